@@ -0,0 +1,137 @@
+// Animation Builder
+//   a fluent way to compose light animations, step by step or from the BasicAnimations presets.
+//   Builders are immutable: every method returns a new builder, so a pattern can be shared and
+//   combined freely. build() returns the same [{repeat, targetLights, sequence}] structure
+//   as the presets, ready to be used in a SetLight directive.
+//
+//   AnimationBuilder.sequence(['ff0000', '770000'], 500)
+//       .concat(BasicAnimations.BlinkAnimation(2, 'white'))
+//       .reverse()
+//       .fitTo(3000)
+//       .loopFor(20000)
+//       .build();
+
+'use strict';
+const colorList = require('./colorsList');
+const validateColor = colorList.validateColor;
+
+function makeStep(color, durationMs, blend) {
+    return {
+        "durationMs": Math.max(1, Math.round(durationMs)),
+        "blend": !!blend,
+        "color": validateColor(color)
+    };
+}
+
+function withDuration(step, durationMs) {
+    return Object.assign({}, step, { "durationMs": Math.max(1, Math.round(durationMs)) });
+}
+
+// flattens preset animations into a single list of steps, unrolling their repeats
+function stepsOf(animations) {
+    let steps = [];
+    (animations || []).forEach((animation) => {
+        for (let i = 0; i < (animation.repeat || 1); i++) {
+            animation.sequence.forEach((step) => steps.push(Object.assign({}, step)));
+        }
+    });
+    return steps;
+}
+
+function totalDuration(steps) {
+    return steps.reduce((total, step) => total + step.durationMs, 0);
+}
+
+function animationBuilder(steps, cycles, targetLights) {
+    return {
+        // adds a single step at the end of the sequence
+        'step': function(color, durationMs, blend) {
+            return animationBuilder(steps.concat([makeStep(color, durationMs, blend)]), cycles, targetLights);
+        },
+        // appends another builder, or the output of one of the BasicAnimations presets
+        'concat': function(other) {
+            const otherSteps = Array.isArray(other) ? stepsOf(other) : other.steps();
+            return animationBuilder(steps.concat(otherSteps), cycles, targetLights);
+        },
+        // repeats the whole sequence, as steps (use loop() to repeat it on the button instead)
+        'repeat': function(times) {
+            let repeated = [];
+            for (let i = 0; i < times; i++) {
+                repeated = repeated.concat(steps);
+            }
+            return animationBuilder(repeated, cycles, targetLights);
+        },
+        // plays the sequence backwards
+        'reverse': function() {
+            return animationBuilder(steps.slice().reverse(), cycles, targetLights);
+        },
+        // keeps a part of the sequence, with the same semantics as Array.prototype.slice
+        'slice': function(begin, end) {
+            return animationBuilder(steps.slice(begin, end), cycles, targetLights);
+        },
+        // multiplies the duration of every step
+        'scale': function(factor) {
+            return animationBuilder(steps.map((step) =>
+                withDuration(step, step.durationMs * factor)), cycles, targetLights);
+        },
+        // stretches or shrinks the steps proportionally, so that the sequence lasts totalMs
+        'fitTo': function(totalMs) {
+            const current = totalDuration(steps);
+            if (current === 0) {
+                return animationBuilder(steps, cycles, targetLights);
+            }
+            let fitted = steps.map((step) =>
+                withDuration(step, step.durationMs * totalMs / current));
+            // absorb the rounding error in the last step
+            const last = fitted[fitted.length - 1];
+            last.durationMs = Math.max(1, last.durationMs + totalMs - totalDuration(fitted));
+            return animationBuilder(fitted, cycles, targetLights);
+        },
+        // sets how many times the button plays the sequence
+        'loop': function(times) {
+            return animationBuilder(steps, times, targetLights);
+        },
+        // loops the sequence enough times to last at least totalMs
+        'loopFor': function(totalMs) {
+            const cycleDuration = totalDuration(steps);
+            return animationBuilder(steps,
+                cycleDuration > 0 ? Math.floor(totalMs / cycleDuration) + 1 : 1, targetLights);
+        },
+        // sets the lights the animation plays on (Echo Buttons only have light "1")
+        'onLights': function(lights) {
+            return animationBuilder(steps, cycles, lights);
+        },
+        'steps': function() {
+            return steps.map((step) => Object.assign({}, step));
+        },
+        'duration': function() {
+            return totalDuration(steps) * cycles;
+        },
+        'build': function() {
+            return [
+              {
+                "repeat": cycles,
+                "targetLights": targetLights,
+                "sequence": steps.map((step) => Object.assign({}, step))
+              }
+            ];
+        }
+    };
+}
+
+var AnimationBuilder = {
+    // starts an empty animation
+    'create': function() {
+        return animationBuilder([], 1, ["1"]);
+    },
+    // starts from the output of one of the BasicAnimations presets
+    'from': function(animations) {
+        return animationBuilder(stepsOf(animations), 1, ["1"]);
+    },
+    // starts with one step per color, each lasting durationMs
+    'sequence': function(colors, durationMs, blend) {
+        return animationBuilder(colors.map((color) => makeStep(color, durationMs, blend)), 1, ["1"]);
+    }
+};
+
+module.exports = AnimationBuilder;
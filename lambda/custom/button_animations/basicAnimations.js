@@ -2,6 +2,7 @@
 
 'use strict';
 const colorList = require('./colorsList');
+const validateColor = colorList.validateColor;
 
 var BasicAnimations = {
 
@@ -198,20 +199,3 @@ var BasicAnimations = {
 };
 
 module.exports = BasicAnimations;
-
-// Function to validate the color argument passed. If it's a color name,
-// it compares it to the list of colors defined in the colorList.js,
-// and returns back the Hex code if applicable.
-function validateColor (requestedColor) {    
-    var color = requestedColor || '';
-    if (color.indexOf('0x') === 0) {
-        return color.substring(2);
-    } else if (color.indexOf('#') === 0) {
-        return color.substring(1);
-    } else {        
-        return colorList.getColor(color) || color;
-    }
-}
-
-
-    
\ No newline at end of file
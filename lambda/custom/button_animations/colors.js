@@ -0,0 +1,374 @@
+// Colors
+//   parses the colors a skill or a player may use - CSS color names ('dark slate gray' or
+//   'darkslategray'), 3 and 6 digit hex ('#0f0', '0x00ff00', '00ff00'), rgb() and hsl() -
+//   into the 6 digit hex the Echo Buttons need, converts between RGB, HSL and CIE Lab,
+//   and names arbitrary shades so that speech can describe them ('a dark teal').
+//
+//   Colors.parse('rgb(0, 128, 128)')       // '008080'
+//   Colors.nearestName('0a6b6b')           // 'teal'
+//   Colors.describe('0a4f4f')              // 'dark teal'
+//   Colors.shades('ff3300', { count: 4 })  // ['ff3300', 'bb2500', '7c1900', '410d00']
+
+'use strict';
+
+// The CSS named colors, written as they are spoken. Names are matched ignoring
+// spaces, dashes and case, so 'darkslategray' and 'Dark-Slate-Gray' work as well.
+// https://www.w3.org/TR/css-color-4/#named-colors
+const CSS_COLORS = {
+    "alice blue": "f0f8ff", "antique white": "faebd7", "aqua": "00ffff", "aquamarine": "7fffd4",
+    "azure": "f0ffff", "beige": "f5f5dc", "bisque": "ffe4c4", "black": "000000",
+    "blanched almond": "ffebcd", "blue": "0000ff", "blue violet": "8a2be2", "brown": "a52a2a",
+    "burly wood": "deb887", "cadet blue": "5f9ea0", "chartreuse": "7fff00", "chocolate": "d2691e",
+    "coral": "ff7f50", "cornflower blue": "6495ed", "cornsilk": "fff8dc", "crimson": "dc143c",
+    "cyan": "00ffff", "dark blue": "00008b", "dark cyan": "008b8b", "dark golden rod": "b8860b",
+    "dark gray": "a9a9a9", "dark grey": "a9a9a9", "dark green": "006400", "dark khaki": "bdb76b",
+    "dark magenta": "8b008b", "dark olive green": "556b2f", "dark orange": "ff8c00", "dark orchid": "9932cc",
+    "dark red": "8b0000", "dark salmon": "e9967a", "dark sea green": "8fbc8f", "dark slate blue": "483d8b",
+    "dark slate gray": "2f4f4f", "dark slate grey": "2f4f4f", "dark turquoise": "00ced1", "dark violet": "9400d3",
+    "deep pink": "ff1493", "deep sky blue": "00bfff", "dim gray": "696969", "dim grey": "696969",
+    "dodger blue": "1e90ff", "fire brick": "b22222", "floral white": "fffaf0", "forest green": "228b22",
+    "fuchsia": "ff00ff", "gainsboro": "dcdcdc", "ghost white": "f8f8ff", "gold": "ffd700",
+    "golden rod": "daa520", "gray": "808080", "grey": "808080", "green": "008000",
+    "green yellow": "adff2f", "honeydew": "f0fff0", "hot pink": "ff69b4", "indian red": "cd5c5c",
+    "indigo": "4b0082", "ivory": "fffff0", "khaki": "f0e68c", "lavender": "e6e6fa",
+    "lavender blush": "fff0f5", "lawn green": "7cfc00", "lemon chiffon": "fffacd", "light blue": "add8e6",
+    "light coral": "f08080", "light cyan": "e0ffff", "light golden rod yellow": "fafad2", "light gray": "d3d3d3",
+    "light grey": "d3d3d3", "light green": "90ee90", "light pink": "ffb6c1", "light salmon": "ffa07a",
+    "light sea green": "20b2aa", "light sky blue": "87cefa", "light slate gray": "778899", "light slate grey": "778899",
+    "light steel blue": "b0c4de", "light yellow": "ffffe0", "lime": "00ff00", "lime green": "32cd32",
+    "linen": "faf0e6", "magenta": "ff00ff", "maroon": "800000", "medium aquamarine": "66cdaa",
+    "medium blue": "0000cd", "medium orchid": "ba55d3", "medium purple": "9370db", "medium sea green": "3cb371",
+    "medium slate blue": "7b68ee", "medium spring green": "00fa9a", "medium turquoise": "48d1cc", "medium violet red": "c71585",
+    "midnight blue": "191970", "mint cream": "f5fffa", "misty rose": "ffe4e1", "moccasin": "ffe4b5",
+    "navajo white": "ffdead", "navy": "000080", "old lace": "fdf5e6", "olive": "808000",
+    "olive drab": "6b8e23", "orange": "ffa500", "orange red": "ff4500", "orchid": "da70d6",
+    "pale golden rod": "eee8aa", "pale green": "98fb98", "pale turquoise": "afeeee", "pale violet red": "db7093",
+    "papaya whip": "ffefd5", "peach puff": "ffdab9", "peru": "cd853f", "pink": "ffc0cb",
+    "plum": "dda0dd", "powder blue": "b0e0e6", "purple": "800080", "rebecca purple": "663399",
+    "red": "ff0000", "rosy brown": "bc8f8f", "royal blue": "4169e1", "saddle brown": "8b4513",
+    "salmon": "fa8072", "sandy brown": "f4a460", "sea green": "2e8b57", "sea shell": "fff5ee",
+    "sienna": "a0522d", "silver": "c0c0c0", "sky blue": "87ceeb", "slate blue": "6a5acd",
+    "slate gray": "708090", "slate grey": "708090", "snow": "fffafa", "spring green": "00ff7f",
+    "steel blue": "4682b4", "tan": "d2b48c", "teal": "008080", "thistle": "d8bfd8",
+    "tomato": "ff6347", "turquoise": "40e0d0", "violet": "ee82ee", "wheat": "f5deb3",
+    "white": "ffffff", "white smoke": "f5f5f5", "yellow": "ffff00", "yellow green": "9acd32"
+};
+
+// The hue families used by describe(), by the hue angle where each one is purest
+const HUE_FAMILIES = [
+    { name: "red", hue: 0 },
+    { name: "orange", hue: 30 },
+    { name: "yellow", hue: 55 },
+    { name: "lime", hue: 90 },
+    { name: "green", hue: 120 },
+    { name: "teal", hue: 170 },
+    { name: "cyan", hue: 190 },
+    { name: "blue", hue: 225 },
+    { name: "purple", hue: 275 },
+    { name: "magenta", hue: 310 },
+    { name: "pink", hue: 340 },
+    { name: "red", hue: 360 }
+];
+
+// D65 reference white, for the XYZ to Lab conversion
+const WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+const HEX6 = /^[0-9a-f]{6}$/;
+const HEX3 = /^[0-9a-f]{3}$/;
+const FUNCTIONAL = /^(rgb|hsl)a?\(([^)]*)\)$/;
+
+// 'Dark-Slate Gray' -> 'darkslategray'
+function nameKey(name) {
+    return name.toLowerCase().replace(/[^a-z]/g, '');
+}
+
+let namesByKey = null;
+
+function namedColors() {
+    if (namesByKey === null) {
+        namesByKey = {};
+        Object.keys(CSS_COLORS).forEach((name) => namesByKey[nameKey(name)] = CSS_COLORS[name]);
+    }
+    return namesByKey;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// reads one rgb() channel: '255', '100%'
+function parseChannel(value) {
+    const number = parseFloat(value);
+    if (isNaN(number)) {
+        return NaN;
+    }
+    return clamp(/%$/.test(value) ? number * 2.55 : number, 0, 255);
+}
+
+// reads an hsl() percentage: '50%', '50'
+function parsePercent(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? NaN : clamp(number, 0, 100) / 100;
+}
+
+function parseFunctional(kind, args) {
+    const parts = args.split(/[\s,/]+/).filter((part) => part !== '');
+    if (parts.length < 3) {
+        return null;
+    }
+    let rgb;
+    if (kind === 'rgb') {
+        rgb = { r: parseChannel(parts[0]), g: parseChannel(parts[1]), b: parseChannel(parts[2]) };
+    } else {
+        const hsl = { h: parseFloat(parts[0]), s: parsePercent(parts[1]), l: parsePercent(parts[2]) };
+        // hslToRgb needs numbers: 'hsl(none 50% 50%)' isn't a color we can show
+        if (!isFinite(hsl.h) || isNaN(hsl.s) || isNaN(hsl.l)) {
+            return null;
+        }
+        rgb = Colors.hslToRgb(hsl);
+    }
+    if (isNaN(rgb.r) || isNaN(rgb.g) || isNaN(rgb.b)) {
+        return null;
+    }
+    return Colors.rgbToHex(rgb);
+}
+
+// sRGB companding, in both directions
+function toLinear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(value) {
+    const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return clamp(c * 255, 0, 255);
+}
+
+function labF(t) {
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+function labFInverse(t) {
+    return Math.pow(t, 3) > 216 / 24389 ? Math.pow(t, 3) : (116 * t - 16) / (24389 / 27);
+}
+
+function scale(rgb, factor) {
+    return { r: rgb.r * factor, g: rgb.g * factor, b: rgb.b * factor };
+}
+
+// darkens a color at full brightness down to a lightness (L*), keeping its hue
+function scaleToLightness(rgb, lightness) {
+    let low = 0, high = 1;
+    for (let i = 0; i < 30; i++) {
+        const factor = (low + high) / 2;
+        if (Colors.rgbToLab(scale(rgb, factor)).l < lightness) {
+            low = factor;
+        } else {
+            high = factor;
+        }
+    }
+    return scale(rgb, (low + high) / 2);
+}
+
+function hueDistance(a, b) {
+    const d = Math.abs(a - b) % 360;
+    return d > 180 ? 360 - d : d;
+}
+
+var Colors = {
+    CSS_COLORS: CSS_COLORS,
+
+    // returns the 6 digit hex for any supported color notation, or null if it isn't a color
+    'parse': function(input) {
+        if (typeof input !== 'string') {
+            return null;
+        }
+        const value = input.trim().toLowerCase();
+        const hex = value.replace(/^(#|0x)/, '');
+        if (HEX6.test(hex)) {
+            return hex;
+        }
+        if (HEX3.test(hex)) {
+            return hex.split('').map((digit) => digit + digit).join('');
+        }
+        const functional = value.replace(/\s+/g, ' ').match(FUNCTIONAL);
+        if (functional) {
+            return parseFunctional(functional[1], functional[2]);
+        }
+        return namedColors()[nameKey(value)] || null;
+    },
+
+    'hexToRgb': function(hex) {
+        const value = parseInt(hex, 16);
+        return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+    },
+
+    'rgbToHex': function(rgb) {
+        return [rgb.r, rgb.g, rgb.b]
+            .map((channel) => ('0' + Math.round(clamp(channel, 0, 255)).toString(16)).slice(-2))
+            .join('');
+    },
+
+    // h in degrees (0-360), s and l from 0 to 1
+    'rgbToHsl': function(rgb) {
+        const r = rgb.r / 255, g = rgb.g / 255, b = rgb.b / 255;
+        const max = Math.max(r, g, b), min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        const d = max - min;
+        if (d === 0) {
+            return { h: 0, s: 0, l: l };
+        }
+        const s = d / (1 - Math.abs(2 * l - 1));
+        let h;
+        if (max === r) {
+            h = ((g - b) / d) % 6;
+        } else if (max === g) {
+            h = (b - r) / d + 2;
+        } else {
+            h = (r - g) / d + 4;
+        }
+        return { h: (h * 60 + 360) % 360, s: s, l: l };
+    },
+
+    'hslToRgb': function(hsl) {
+        const h = ((hsl.h % 360) + 360) % 360;
+        const c = (1 - Math.abs(2 * hsl.l - 1)) * hsl.s;
+        const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+        const m = hsl.l - c / 2;
+        const sector = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][Math.floor(h / 60) % 6];
+        return {
+            r: (sector[0] + m) * 255,
+            g: (sector[1] + m) * 255,
+            b: (sector[2] + m) * 255
+        };
+    },
+
+    // CIE L*a*b*, D65 white point
+    'rgbToLab': function(rgb) {
+        const r = toLinear(rgb.r), g = toLinear(rgb.g), b = toLinear(rgb.b);
+        const fx = labF((0.4124 * r + 0.3576 * g + 0.1805 * b) / WHITE.x);
+        const fy = labF((0.2126 * r + 0.7152 * g + 0.0722 * b) / WHITE.y);
+        const fz = labF((0.0193 * r + 0.1192 * g + 0.9505 * b) / WHITE.z);
+        return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+    },
+
+    'labToRgb': function(lab) {
+        const fy = (lab.l + 16) / 116;
+        const x = labFInverse(fy + lab.a / 500) * WHITE.x;
+        const y = labFInverse(fy) * WHITE.y;
+        const z = labFInverse(fy - lab.b / 200) * WHITE.z;
+        return {
+            r: fromLinear(3.2406 * x - 1.5372 * y - 0.4986 * z),
+            g: fromLinear(-0.9689 * x + 1.8758 * y + 0.0415 * z),
+            b: fromLinear(0.0557 * x - 0.2040 * y + 1.0570 * z)
+        };
+    },
+
+    'hexToHsl': function(hex) {
+        return Colors.rgbToHsl(Colors.hexToRgb(hex));
+    },
+
+    'hslToHex': function(hsl) {
+        return Colors.rgbToHex(Colors.hslToRgb(hsl));
+    },
+
+    'hexToLab': function(hex) {
+        return Colors.rgbToLab(Colors.hexToRgb(hex));
+    },
+
+    'labToHex': function(lab) {
+        return Colors.rgbToHex(Colors.labToRgb(lab));
+    },
+
+    // the straight-line distance between two colors in Lab space (CIE76 Delta E)
+    'distance': function(hexA, hexB) {
+        const a = Colors.hexToLab(hexA), b = Colors.hexToLab(hexB);
+        return Math.sqrt(Math.pow(a.l - b.l, 2) + Math.pow(a.a - b.a, 2) + Math.pow(a.b - b.b, 2));
+    },
+
+    // returns the CSS color name that looks closest to a color, in any notation parse() reads,
+    // or null if it isn't a color
+    'nearestName': function(color) {
+        const hex = Colors.parse(color);
+        if (hex === null) {
+            return null;
+        }
+        let nearest = null;
+        let nearestDistance = Infinity;
+        Object.keys(CSS_COLORS).forEach((name) => {
+            const distance = Colors.distance(hex, CSS_COLORS[name]);
+            if (distance < nearestDistance) {
+                nearest = name;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    },
+
+    // returns darker and darker shades of a color, from full brightness down to a lightness (L*, from
+    // 0 for black to 100 for white) of options.darkestLightness. The shades are spaced evenly in L*,
+    // because the eye perceives lightness rather than the brightness of the LED. The count is reduced
+    // if needed, so that each shade is at least options.minDistance (Delta E) from the previous one.
+    // Returns an empty list for black.
+    'shades': function(hex, options) {
+        options = Object.assign({ count: 4, darkestLightness: 12, minDistance: 10 }, options);
+        const rgb = Colors.hexToRgb(hex);
+        const brightest = Math.max(rgb.r, rgb.g, rgb.b);
+        if (brightest === 0) {
+            return [];
+        }
+        const full = scale(rgb, 255 / brightest);
+        const top = Colors.rgbToLab(full).l;
+        const bottom = Math.min(options.darkestLightness, top);
+        for (let count = Math.max(1, Math.round(options.count)); count > 1; count--) {
+            let shades = [];
+            for (let i = 0; i < count; i++) {
+                const shade = Colors.rgbToHex(scaleToLightness(full, top - (top - bottom) * i / (count - 1)));
+                if (shades.indexOf(shade) < 0) {
+                    shades.push(shade);
+                }
+            }
+            if (shades.every((shade, i) => i === 0 || Colors.distance(shades[i - 1], shade) >= options.minDistance)) {
+                return shades;
+            }
+        }
+        return [Colors.rgbToHex(full)];
+    },
+
+    // describes any shade in a few plain words, like 'dark teal', 'pale pink' or 'light gray';
+    // null if it isn't a color
+    'describe': function(color) {
+        const hex = Colors.parse(color);
+        if (hex === null) {
+            return null;
+        }
+        const hsl = Colors.hexToHsl(hex);
+        if (hsl.l < 0.06) {
+            return 'black';
+        }
+        if (hsl.l > 0.94) {
+            return 'white';
+        }
+        if (hsl.s < 0.12) {
+            return hsl.l < 0.35 ? 'dark gray' : (hsl.l > 0.7 ? 'light gray' : 'gray');
+        }
+        let family = HUE_FAMILIES[0];
+        HUE_FAMILIES.forEach((candidate) => {
+            if (hueDistance(hsl.h, candidate.hue) < hueDistance(hsl.h, family.hue)) {
+                family = candidate;
+            }
+        });
+        if (hsl.l < 0.3) {
+            return 'dark ' + family.name;
+        }
+        if (hsl.l > 0.7) {
+            return 'light ' + family.name;
+        }
+        if (hsl.s < 0.35) {
+            return 'pale ' + family.name;
+        }
+        return family.name;
+    }
+};
+
+module.exports = Colors;
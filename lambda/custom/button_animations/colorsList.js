@@ -3,6 +3,10 @@
 
 'use strict';
 
+const Colors = require('./colors.js');
+const Logger = require('../util/logger.js');
+const log = Logger.create('ColorsList');
+
 var COLORS = {
         "white":"ffffff",
         "red":"ff0000",
@@ -17,11 +21,25 @@ var COLORS = {
 };
 
 module.exports = {
+    // Returns the hex code for a color. The names above are tuned for the button LEDs and
+    // take precedence; any other CSS color name, hex, rgb() or hsl() color is parsed by
+    // the Colors library.
     getColor: function(colorName) {
         if (typeof colorName === 'string' &&
             COLORS[colorName.toLowerCase()] ) {
             return COLORS[colorName.toLowerCase()];
         }
-        console.log("UNKNOWN COLOR: " + colorName);
+        const color = Colors.parse(colorName);
+        if (color) {
+            return color;
+        }
+        log.warn('unknown color', { 'color': colorName });
+    },
+
+    // Function to validate the color argument passed. If it's a color name
+    // or any other color notation, it returns back the Hex code. Anything else is
+    // returned unchanged, to be reported by the directive validation.
+    validateColor: function(requestedColor) {
+        return module.exports.getColor(requestedColor) || requestedColor;
     }
 };
@@ -0,0 +1,349 @@
+/*
+ * Copyright 2018 Amazon.com, Inc. and its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the License.
+ * A copy of the License is located at
+ *
+ * http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is distributed
+ * on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+'use strict';
+
+// Gadget Directives Builder
+const GadgetDirectives = require('util/gadgetDirectives.js');
+// Recognizers and events for the input handlers
+const InputHandlerBuilder = require('util/inputHandlerBuilder.js');
+// Basic Animation Helper Library
+const BasicAnimations = require('button_animations/basicAnimations.js');
+// import the skill settings constants
+const Settings = require('settings.js');
+// Listens for button events, across input handlers
+const InputManager = require('inputManager.js');
+// Structured logs and metrics
+const Logger = require('util/logger.js');
+// Well-formed speech, with the player's words escaped
+const SsmlBuilder = require('util/ssmlBuilder.js');
+const log = Logger.create('Buttons');
+
+const RollCall = require('rollcall.js');
+const GamePlay = require('gameplay.js');
+
+// The animations played on the buttons that changed hands, and while waiting for a new button
+const BUTTON_ANIMATIONS = {
+    'Registered': {
+        'targetGadgets': [],
+        'animations': BasicAnimations.FadeInAnimation(1, "green", 3000)
+    },
+    'NewButtonDown': {
+        'targetGadgets': [],
+        'animations': BasicAnimations.SolidAnimation(1, "green", 1000)
+    },
+    'NewButtonUp': {
+        'targetGadgets': [],
+        'animations': BasicAnimations.SolidAnimation(1, "white", 2000)
+    },
+    'Timeout': {
+        'targetGadgets': [],
+        'animations': BasicAnimations.FadeAnimation("black", 1000)
+    }
+};
+
+// While a player changes their button, any button pressed is reported: the skill tells the
+// buttons already in the game apart from the new one. The first press ends the input handler.
+const NEW_BUTTON_INPUT = InputHandlerBuilder.create()
+    .match("new_button_recognizer", [ InputHandlerBuilder.down() ], { "fuzzy": false, "anchor": "end" })
+    .event("new_button_pressed", {
+        "meets": ["new_button_recognizer"],
+        "reports": "matches",
+        "shouldEndInputHandler": true
+    })
+    .timeoutEvent()
+    .build();
+
+
+// ***********************************************************************
+//   Button Handlers
+//     let the players swap buttons with me or with each other, change
+//     the button of one player, or register all the buttons again, in
+//     the middle of a game: the scores, the match and the difficulty are
+//     kept. DeviceIDs[0] is my button, DeviceIDs[n] the button of player n.
+// ***********************************************************************
+const Buttons = {
+    // "swap buttons": trades my button with the first player's, or with a player's
+    // ("swap buttons with player 2"), or the buttons of two players
+    SwapButtonsIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { intent } = handlerInput.requestEnvelope.request;
+
+        const players = [getNumberSlot(intent, 'player'), getNumberSlot(intent, 'otherPlayer')]
+            .filter((player) => player !== undefined);
+        // without two players named, the swap is with me
+        const roles = players.length === 2 ? players : [0, players.length === 1 ? players[0] : 1];
+        const invalidPlayer = roles.find((player) => player !== 0 && !isPlayer(sessionAttributes, player));
+        if (invalidPlayer !== undefined || roles[0] === roles[1]) {
+            return rejectPlayer(handlerInput, invalidPlayer !== undefined ? invalidPlayer : NaN);
+        }
+
+        const roundInProgress = GamePlay.IsRoundInProgress(sessionAttributes);
+        InputManager.Stop(handlerInput);
+        let deviceIds = sessionAttributes.DeviceIDs;
+        const swapped = [deviceIds[roles[0]], deviceIds[roles[1]]];
+        deviceIds[roles[0]] = swapped[1];
+        deviceIds[roles[1]] = swapped[0];
+        sessionAttributes.MissedRounds = 0;
+        log.info('buttons swapped', { 'roles': roles, 'roundInProgress': roundInProgress });
+        Logger.metric('ButtonsSwapped', 1);
+
+        if (roles[0] > 0) {
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('BUTTONS_SWAPPED_PLAYERS', {
+                'player': roles[0], 'otherPlayer': roles[1]
+            }));
+        } else if (sessionAttributes.playerCount > 1) {
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('BUTTONS_SWAPPED_PLAYER', { 'player': roles[1] }));
+        } else {
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('BUTTONS_SWAPPED'));
+        }
+
+        if (roundInProgress) {
+            // the round lit the buttons for their old roles: play it again from the start
+            ctx.outputSpeech.text(ctx.t('ROUND_RESTART'));
+            GamePlay.StartRound(handlerInput);
+            ctx.outputSpeech.append(GamePlay.RoundInstructions(ctx.t, sessionAttributes));
+            GamePlay.WaitForPress(handlerInput);
+            ctx.openMicrophone = false;
+            return handlerInput.responseBuilder.getResponse();
+        }
+
+        ctx.directives.push(GadgetDirectives.setIdleAnimation(
+            BUTTON_ANIMATIONS.Registered, { 'targetGadgets': swapped } ));
+        return askForColor(handlerInput);
+    },
+
+    // "change my button": listens for a new button, to replace the button of a player
+    ChangeButtonIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { intent } = handlerInput.requestEnvelope.request;
+
+        const player = getNumberSlot(intent, 'player');
+        if (player !== undefined && !isPlayer(sessionAttributes, player)) {
+            return rejectPlayer(handlerInput, player);
+        }
+        // a new button interrupts the round, its lights would be wrong anyway
+        InputManager.Stop(handlerInput);
+        if (player === undefined && sessionAttributes.playerCount > 1) {
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('BUTTON_CHANGE_WHICH_PLAYER'));
+            ctx.outputSpeech = SsmlBuilder.create().append(ctx.reprompt);
+            sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
+            ctx.openMicrophone = true;
+            return handlerInput.responseBuilder.getResponse();
+        }
+
+        ctx.outputSpeech = SsmlBuilder.create().text(sessionAttributes.playerCount > 1
+            ? ctx.t('BUTTON_CHANGE_START_PLAYER', { 'player': player })
+            : ctx.t('BUTTON_CHANGE_START'));
+        ctx.outputSpeech.audio(Settings.WAITING_AUDIO);
+        return Buttons.StartButtonChange(handlerInput, player || 1);
+    },
+
+    // Starts listening for the new button of player `playerNumber`
+    StartButtonChange: function(handlerInput, playerNumber) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+
+        log.info('button change started', { 'player': playerNumber });
+        InputManager.Start(handlerInput, {
+            'duration': Settings.BUTTONS.CHANGE_TIMEOUT_MS,
+            'input': NEW_BUTTON_INPUT
+        });
+        ctx.directives.push(GadgetDirectives.setButtonDownAnimation(BUTTON_ANIMATIONS.NewButtonDown));
+        ctx.directives.push(GadgetDirectives.setButtonUpAnimation(BUTTON_ANIMATIONS.NewButtonUp));
+
+        sessionAttributes.ButtonChange = { 'player': playerNumber };
+        sessionAttributes.state = Settings.SKILL_STATES.BUTTON_CHANGE_MODE;
+        ctx.openMicrophone = false;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    HandleNewButton: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const playerNumber = sessionAttributes.ButtonChange.player;
+        const buttonId = ctx.gameInputEvents[0].gadgetId;
+
+        // the buttons of the other players, and mine, stay theirs: wait for another one
+        const owner = sessionAttributes.DeviceIDs.indexOf(buttonId);
+        if (owner >= 0 && owner !== playerNumber) {
+            log.debug('button already in the game', { 'gadgetId': buttonId, 'owner': owner });
+            ctx.outputSpeech = SsmlBuilder.create().text(owner === 0
+                ? ctx.t('BUTTON_CHANGE_TAKEN_MINE')
+                : ctx.t('BUTTON_CHANGE_TAKEN', { 'player': owner }));
+            ctx.outputSpeech.audio(Settings.WAITING_AUDIO);
+            return Buttons.StartButtonChange(handlerInput, playerNumber);
+        }
+
+        sessionAttributes.DeviceIDs[playerNumber] = buttonId;
+        sessionAttributes.ButtonChange = null;
+        sessionAttributes.MissedRounds = 0;
+        log.info('button changed', { 'player': playerNumber, 'gadgetId': buttonId });
+        Logger.metric('ButtonChanged', 1);
+
+        ctx.outputSpeech = SsmlBuilder.create().text(sessionAttributes.playerCount > 1
+            ? ctx.t('BUTTON_CHANGED_PLAYER', { 'player': playerNumber })
+            : ctx.t('BUTTON_CHANGED'));
+        ctx.directives.push(GadgetDirectives.setIdleAnimation(
+            BUTTON_ANIMATIONS.Registered, { 'targetGadgets': [ buttonId ] } ));
+        resetButtonAnimations(handlerInput);
+        return askForColor(handlerInput);
+    },
+
+    HandleChangeTimeout: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        log.info('button change timed out', { 'player': sessionAttributes.ButtonChange.player });
+
+        sessionAttributes.ButtonChange = null;
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('BUTTON_CHANGE_TIMEOUT'));
+        resetButtonAnimations(handlerInput);
+        return askForColor(handlerInput);
+    },
+
+    // "register the buttons again": a new roll call, for the same number of players
+    RegisterButtonsIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        log.info('registering the buttons again');
+
+        InputManager.Stop(handlerInput);
+        sessionAttributes.ButtonChange = null;
+        sessionAttributes.MissedRounds = 0;
+        // roll call sends the players back to the game, rather than starting it
+        sessionAttributes.isRegisteringAgain = true;
+
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('REGISTER_AGAIN'));
+        ctx.outputSpeech.text(ctx.t('ROLL_CALL_RESTART'));
+        ctx.outputSpeech.text(sessionAttributes.playerCount > 1
+            ? ctx.t('ROLL_CALL_RESTART_MULTI_PLAYER')
+            : ctx.t('ROLL_CALL_RESTART_SINGLE_PLAYER'));
+        ctx.outputSpeech.audio(Settings.WAITING_AUDIO);
+        return RollCall.StartRollCall(handlerInput, Settings.ROLL_CALL.TIMEOUT_MS);
+    },
+
+    // Handles the end of a round no button was pressed in. After too many of them in a row,
+    // a button has probably stopped working: the round isn't scored, and I offer to register
+    // the buttons again instead.
+    HandleRoundTimeout: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+
+        sessionAttributes.MissedRounds = (sessionAttributes.MissedRounds || 0) + 1;
+        const threshold = Settings.BUTTONS.UNRESPONSIVE_ROUNDS;
+        if (threshold === 0 || sessionAttributes.MissedRounds < threshold) {
+            return GamePlay.HandleTimeout(handlerInput);
+        }
+        log.info('buttons unresponsive', { 'missedRounds': sessionAttributes.MissedRounds });
+        Logger.metric('ButtonsUnresponsive', 1, { 'players': String(sessionAttributes.playerCount) });
+
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('BUTTONS_UNRESPONSIVE_REPROMPT'));
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('TIME_IS_UP'));
+        ctx.outputSpeech.text(ctx.t('BUTTONS_UNRESPONSIVE', { 'count': sessionAttributes.MissedRounds }));
+
+        ctx.directives.push(GadgetDirectives.setIdleAnimation(
+            BUTTON_ANIMATIONS.Timeout, { 'targetGadgets': sessionAttributes.DeviceIDs } ));
+        resetButtonAnimations(handlerInput);
+
+        sessionAttributes.state = Settings.SKILL_STATES.BUTTON_CHECK_MODE;
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    // "No" to registering the buttons again: back to the game
+    DeclineRegistration: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+
+        sessionAttributes.MissedRounds = 0;
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('KEEP_GOING'));
+        return askForColor(handlerInput);
+    }
+};
+
+module.exports = Buttons;
+
+/**
+ *  The askForColor function ends the response by asking for the
+ *  color of the next round, in play mode. A match goes on with the
+ *  round it was at.
+ */
+function askForColor(handlerInput) {
+    const {attributesManager} = handlerInput;
+    const ctx = attributesManager.getRequestAttributes();
+    const sessionAttributes = attributesManager.getSessionAttributes();
+
+    ctx.reprompt = SsmlBuilder.create().text(ctx.t('CHOOSE_COLOR_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+    ctx.outputSpeech.text(ctx.t('CHOOSE_COLOR', { 'colors': ctx.t('COLOR_CHOICES') }));
+    sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
+    ctx.openMicrophone = true;
+    return handlerInput.responseBuilder.getResponse();
+};
+/**
+ *  The resetButtonAnimations function sets the button down and up
+ *  animations of the buttons in the game back to the defaults.
+ */
+function resetButtonAnimations(handlerInput) {
+    const {attributesManager} = handlerInput;
+    const ctx = attributesManager.getRequestAttributes();
+    const deviceIds = attributesManager.getSessionAttributes().DeviceIDs;
+
+    ctx.directives.push(GadgetDirectives.setButtonDownAnimation(
+        Settings.DEFAULT_ANIMATIONS.ButtonDown, { 'targetGadgets': deviceIds } ));
+    ctx.directives.push(GadgetDirectives.setButtonUpAnimation(
+        Settings.DEFAULT_ANIMATIONS.ButtonUp, { 'targetGadgets': deviceIds } ));
+};
+/**
+ *  The rejectPlayer function tells the players that there's no
+ *  player with that number, and leaves the state as it was.
+ */
+function rejectPlayer(handlerInput, playerNumber) {
+    const ctx = handlerInput.attributesManager.getRequestAttributes();
+    ctx.reprompt = SsmlBuilder.create().text(ctx.t('SAY_AGAIN_REPROMPT'));
+    ctx.outputSpeech = SsmlBuilder.create()
+        .text(isNaN(playerNumber) ? ctx.t('NOT_UNDERSTOOD') : ctx.t('BUTTON_PLAYER_INVALID', { 'player': playerNumber }))
+        .append(ctx.reprompt);
+    ctx.openMicrophone = true;
+    return handlerInput.responseBuilder.getResponse();
+};
+/**
+ *  The isPlayer function returns true if playerNumber is one of
+ *  the players of the game, who each have a registered button.
+ */
+function isPlayer(sessionAttributes, playerNumber) {
+    return Number.isInteger(playerNumber) && playerNumber >= 1
+        && playerNumber < (sessionAttributes.DeviceIDs || []).length;
+};
+/**
+ *  The getNumberSlot function returns the value of an AMAZON.NUMBER
+ *  slot, undefined when it wasn't said, or NaN when it isn't a number.
+ */
+function getNumberSlot(intent, name) {
+    const slot = intent.slots && intent.slots[name];
+    if (!slot || slot.value === undefined || slot.value === '?') {
+        return undefined;
+    }
+    return parseInt(slot.value, 10);
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+// Plays the skill from a terminal, with virtual Echo Buttons:
+//
+//   npm run emulator                          (or: NODE_PATH=. node emulator/cli.js [locale] [buttons])
+//
+//   > launch
+//   > press 1                                 press the first button now
+//   > press 2 1500                            press the second button, 1.5 seconds later
+//   > say colorIntent color=red               send an intent, with its slots
+//   > yes | no | help | stop                  shortcuts for the built-in intents
+//   > wait 5000                               let 5 seconds pass
+//   > lights                                  show what each button displays
+//   > end | quit
+
+// play offline by default: keep player profiles in memory, and report invalid directives
+process.env.PERSISTENCE_ADAPTER = process.env.PERSISTENCE_ADAPTER || 'memory';
+process.env.NODE_ENV = process.env.NODE_ENV || 'development';
+
+const readline = require('readline');
+const Emulator = require('./emulator.js');
+const Skill = require('../index.js');
+
+const SHORTCUTS = {
+    'yes': 'AMAZON.YesIntent',
+    'no': 'AMAZON.NoIntent',
+    'help': 'AMAZON.HelpIntent',
+    'stop': 'AMAZON.StopIntent',
+    'cancel': 'AMAZON.CancelIntent'
+};
+
+const locale = process.argv[2] || 'en-US';
+const buttonCount = parseInt(process.argv[3], 10) || 4;
+const emulator = Emulator.createEmulator({ 'handler': Skill.handler, 'locale': locale, 'buttonCount': buttonCount });
+
+// the entities the skill's SSML escapes text with
+const ENTITIES = { 'amp': '&', 'lt': '<', 'gt': '>', 'quot': '"', 'apos': "'" };
+
+// the skill logs every request; keep the terminal for the conversation
+const log = console.log;
+console.log = function() {};
+
+function speechOf(response) {
+    const speech = response && response.response && response.response.outputSpeech;
+    return speech ? (speech.ssml || speech.text || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()
+        .replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => ENTITIES[name]) : '';
+}
+
+function showLights() {
+    emulator.gadgets.forEach((gadget, i) => {
+        log('  button ' + (i + 1) + ': #' + gadget.colorAt(emulator.now())
+            + ' (' + (gadget.animationAt(emulator.now()) || 'off') + ')');
+    });
+}
+
+function showResponses(responses) {
+    (Array.isArray(responses) ? responses : [responses]).forEach((response) => {
+        if (!response) {
+            return;
+        }
+        log('Alexa: ' + (speechOf(response) || '(silent)'));
+        if (response.response.shouldEndSession === true) {
+            log('  (session ended)');
+        } else if (response.response.shouldEndSession === false) {
+            log('  (listening)');
+        }
+    });
+    log('  [' + (emulator.now() / 1000).toFixed(1) + 's]');
+}
+
+// parses 'color=red level=hard' into intent slots
+function parseSlots(words) {
+    let slots = {};
+    words.forEach((word) => {
+        const [name, value] = word.split('=');
+        slots[name] = value === undefined ? '' : value.replace(/_/g, ' ');
+    });
+    return slots;
+}
+
+function run(line) {
+    const words = line.trim().split(/\s+/).filter((word) => word !== '');
+    const command = (words[0] || '').toLowerCase();
+    switch (command) {
+        case '':
+            return Promise.resolve();
+        case 'launch':
+            return emulator.launch().then(showResponses);
+        case 'press':
+            return emulator.press(parseInt(words[1], 10) - 1, parseInt(words[2], 10) || 0).then(showResponses);
+        case 'wait':
+            return emulator.wait(parseInt(words[1], 10) || 1000).then(showResponses);
+        case 'say':
+            return emulator.intent(words[1], parseSlots(words.slice(2))).then(showResponses);
+        case 'lights':
+            showLights();
+            return Promise.resolve();
+        case 'end':
+            return emulator.endSession().then(showResponses);
+        case 'quit':
+        case 'exit':
+            process.exit(0);
+            break;
+        default:
+            if (SHORTCUTS[command]) {
+                return emulator.intent(SHORTCUTS[command]).then(showResponses);
+            }
+            log('Unknown command: ' + command);
+            return Promise.resolve();
+    }
+}
+
+const rl = readline.createInterface({ 'input': process.stdin, 'output': process.stdout, 'prompt': '> ' });
+log('Echo Buttons emulator, ' + buttonCount + ' buttons, ' + locale + '. Type "launch" to start.');
+rl.prompt();
+// commands run one after the other, even when they are piped in faster than the skill answers
+let queue = Promise.resolve();
+rl.on('line', (line) => {
+    queue = queue
+        .then(() => run(line))
+        .catch((error) => log('Error: ' + error.message))
+        .then(() => rl.prompt());
+});
+rl.on('close', () => queue.then(() => process.exit(0)));
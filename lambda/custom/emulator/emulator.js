@@ -0,0 +1,285 @@
+'use strict';
+
+// Echo Buttons Emulator
+//   plays a whole skill session locally, without an Alexa device or physical buttons.
+//   It sends requests to the skill's Lambda handler, keeps the session attributes between
+//   turns as Alexa does, and applies the directives of each response to virtual buttons:
+//   SetLight directives change what the buttons display, StartInputHandler directives
+//   start a virtual input handler. Pressing a virtual button sends the skill the
+//   GameEngine.InputHandlerEvent the Game Engine would send, with the color the button
+//   was displaying when it was pressed.
+//
+//   The emulator has its own clock, in milliseconds, that only moves when asked to, so
+//   sessions replay the same way every time:
+//
+//     const emulator = Emulator.createEmulator({ 'handler': require('index.js').handler });
+//     emulator.launch()
+//         .then(() => emulator.press(0))          // registers the first button
+//         .then(() => emulator.press(1, 500))     // the second one, half a second later
+//         .then(() => emulator.intent('colorIntent', { 'color': 'red' }))
+//         .then(() => emulator.press(1, 2000))    // tries to match the color
+//         .then((responses) => console.log(responses[0].response.outputSpeech.ssml));
+
+const VirtualGadget = require('./virtualGadget.js');
+const InputHandler = require('./inputHandler.js');
+
+// how long a virtual button stays down when it is pressed
+const PRESS_DURATION_MS = 200;
+// when the emulator clock starts, for the request timestamps
+const DEFAULT_START_TIME = Date.parse('2018-06-01T12:00:00.000Z');
+
+// fills in the value and entity resolution of a slot: 'red' or { 'value': 'rosso', 'id': 'red' }
+function makeSlot(name, slot) {
+    if (slot === null || typeof slot !== 'object') {
+        slot = { 'value': slot === undefined ? undefined : String(slot) };
+    }
+    let intentSlot = { 'name': name, 'value': slot.value };
+    if (slot.id !== undefined) {
+        intentSlot.resolutions = {
+            'resolutionsPerAuthority': [{
+                'authority': 'amzn1.er-authority.echo-sdk.emulator.' + name,
+                'status': { 'code': 'ER_SUCCESS_MATCH' },
+                'values': [{ 'value': { 'name': slot.value, 'id': slot.id } }]
+            }]
+        };
+    }
+    return intentSlot;
+}
+
+var emulator = {
+    'PRESS_DURATION_MS': PRESS_DURATION_MS,
+
+    // returns a new emulator for a skill handler, with `buttonCount` virtual buttons
+    'createEmulator': function({
+        handler,
+        buttonCount = 4,
+        locale = 'en-US',
+        userId = 'amzn1.ask.account.emulator',
+        deviceId = 'amzn1.ask.device.emulator',
+        startTime = DEFAULT_START_TIME
+    } = {}) {
+        if (typeof handler !== 'function') {
+            throw new Error('The emulator needs the skill handler, such as require("index.js").handler');
+        }
+        let gadgets = [];
+        for (let i = 0; i < buttonCount; i++) {
+            gadgets.push(VirtualGadget.createVirtualGadget('amzn1.ask.gadget.emulator' + (i + 1)));
+        }
+
+        let now = 0;
+        let requestCount = 0;
+        let sessionCount = 0;
+        let session = null;
+        let inputHandler = null;
+        let lastRequest = null;
+
+        const timestamp = function(time) {
+            return new Date(startTime + time).toISOString();
+        };
+
+        const makeEnvelope = function(request) {
+            if (session === null) {
+                sessionCount++;
+                session = {
+                    'new': true,
+                    'sessionId': 'amzn1.echo-api.session.emulator' + sessionCount,
+                    'application': { 'applicationId': 'amzn1.ask.skill.emulator' },
+                    'user': { 'userId': userId },
+                    'attributes': {}
+                };
+            }
+            requestCount++;
+            return {
+                'version': '1.0',
+                'session': Object.assign({}, session),
+                'context': {
+                    'System': {
+                        'application': { 'applicationId': session.application.applicationId },
+                        'user': { 'userId': userId },
+                        'device': {
+                            'deviceId': deviceId,
+                            'supportedInterfaces': { 'GameEngine': {}, 'GadgetController': {} }
+                        }
+                    }
+                },
+                'request': Object.assign({
+                    'requestId': 'amzn1.echo-api.request.emulator' + requestCount,
+                    'timestamp': timestamp(now),
+                    'locale': locale
+                }, request)
+            };
+        };
+
+        // applies the directives of a response to the virtual gadgets and input handler
+        const applyDirectives = function(envelope, response) {
+            ((response.response && response.response.directives) || []).forEach((directive) => {
+                if (directive.type === 'GadgetController.SetLight') {
+                    const targets = directive.targetGadgets && directive.targetGadgets.length
+                        ? gadgets.filter((gadget) => directive.targetGadgets.indexOf(gadget.gadgetId) >= 0)
+                        : gadgets;
+                    targets.forEach((gadget) => gadget.setLight(directive, now));
+                } else if (directive.type === 'GameEngine.StartInputHandler') {
+                    inputHandler = InputHandler.createInputHandler(directive, envelope.request.requestId, now);
+                } else if (directive.type === 'GameEngine.StopInputHandler') {
+                    if (inputHandler && inputHandler.originatingRequestId === directive.originatingRequestId) {
+                        inputHandler.stop();
+                    }
+                }
+            });
+        };
+
+        // sends a request to the skill, and updates the session from its response
+        const send = function(request) {
+            const envelope = makeEnvelope(request);
+            lastRequest = envelope;
+            return Promise.resolve(handler(envelope, {})).then((response) => {
+                applyDirectives(envelope, response);
+                if (request.type === 'SessionEndedRequest' || response.response.shouldEndSession === true) {
+                    session = null;
+                    inputHandler = null;
+                } else {
+                    session.new = false;
+                    session.attributes = response.sessionAttributes || {};
+                }
+                return response;
+            });
+        };
+
+        // sends the events triggered by the input handler, all in one request
+        const sendInputHandlerEvents = function(triggered) {
+            if (triggered.length === 0 || session === null) {
+                return Promise.resolve([]);
+            }
+            return send({
+                'type': 'GameEngine.InputHandlerEvent',
+                'originatingRequestId': inputHandler.originatingRequestId,
+                'events': triggered
+            }).then((response) => [response]);
+        };
+
+        // moves the clock forward to `time`, sending the timeout events that happen on the way
+        const advanceTo = function(time) {
+            if (inputHandler && !inputHandler.isEnded() && inputHandler.timeoutTime() <= time) {
+                now = Math.max(now, inputHandler.timeoutTime());
+                return sendInputHandlerEvents(inputHandler.handleTime(now)).then((responses) => {
+                    return advanceTo(time).then((more) => responses.concat(more));
+                });
+            }
+            now = Math.max(now, time);
+            return Promise.resolve([]);
+        };
+
+        const gadgetAt = function(index) {
+            if (!gadgets[index]) {
+                throw new Error('There is no virtual button ' + index + ', the emulator has ' + gadgets.length);
+            }
+            return gadgets[index];
+        };
+
+        // records a button event, and sends the events it triggers
+        const buttonEvent = function(gadget, action, color) {
+            if (!inputHandler || inputHandler.isEnded()) {
+                return Promise.resolve([]);
+            }
+            const inputEvent = {
+                'gadgetId': gadget.gadgetId,
+                'timestamp': timestamp(now),
+                'action': action,
+                'color': color,
+                'feature': 'press'
+            };
+            return sendInputHandlerEvents(inputHandler.handleInputEvent(inputEvent, now));
+        };
+
+        return {
+            'gadgets': gadgets,
+
+            // the emulator clock, in milliseconds since the emulator started
+            'now': function() {
+                return now;
+            },
+
+            // the session attributes the skill returned in its last response
+            'sessionAttributes': function() {
+                return session ? session.attributes : {};
+            },
+
+            'isSessionOpen': function() {
+                return session !== null;
+            },
+
+            // the input handler started by the skill, if any, with its originatingRequestId
+            'inputHandler': function() {
+                return inputHandler;
+            },
+
+            // the last request envelope sent to the skill
+            'lastRequest': function() {
+                return lastRequest;
+            },
+
+            // the color virtual button `index` displays now
+            'colorOf': function(index) {
+                return gadgetAt(index).colorAt(now);
+            },
+
+            // moves the clock forward by `ms`; resolves with the responses to the timeouts that happened
+            'wait': function(ms) {
+                return advanceTo(now + (ms || 0));
+            },
+
+            'launch': function() {
+                return send({ 'type': 'LaunchRequest' });
+            },
+
+            // sends an intent; slots are given by name: { 'color': 'red' } or { 'color': { 'value': 'rosso', 'id': 'red' } }
+            'intent': function(name, slots) {
+                let intentSlots = {};
+                Object.keys(slots || {}).forEach((slotName) => {
+                    intentSlots[slotName] = makeSlot(slotName, slots[slotName]);
+                });
+                return send({
+                    'type': 'IntentRequest',
+                    'dialogState': 'COMPLETED',
+                    'intent': { 'name': name, 'confirmationStatus': 'NONE', 'slots': intentSlots }
+                });
+            },
+
+            // sends any request, for the cases the other methods don't cover (such as stale input handler events)
+            'request': function(request) {
+                return send(request);
+            },
+
+            'endSession': function(reason) {
+                if (session === null) {
+                    return Promise.resolve(null);
+                }
+                return send({ 'type': 'SessionEndedRequest', 'reason': reason || 'USER_INITIATED' });
+            },
+
+            // presses virtual button `index` after `delay` ms, and releases it PRESS_DURATION_MS later.
+            // Resolves with the responses to the requests this caused (timeouts that happened
+            // while waiting, then the input handler events of the press)
+            'press': function(index, delay) {
+                const gadget = gadgetAt(index);
+                let responses = [];
+                return advanceTo(now + (delay || 0))
+                    .then((timeouts) => {
+                        responses = responses.concat(timeouts);
+                        return buttonEvent(gadget, 'down', gadget.press(now));
+                    })
+                    .then((pressed) => {
+                        responses = responses.concat(pressed);
+                        return advanceTo(now + PRESS_DURATION_MS);
+                    })
+                    .then((timeouts) => {
+                        responses = responses.concat(timeouts);
+                        return buttonEvent(gadget, 'up', gadget.release(now));
+                    })
+                    .then((released) => responses.concat(released));
+            }
+        };
+    }
+};
+
+module.exports = emulator;
@@ -0,0 +1,250 @@
+'use strict';
+
+// Virtual Input Handler
+//   evaluates the recognizers and events of a GameEngine.StartInputHandler directive
+//   against the button presses of the virtual gadgets, the way the Game Engine does.
+//   Times are in milliseconds on the emulator clock.
+//   see: https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html
+//
+//   Supported: match recognizers (anchor, fuzzy, gadgetIds, pattern with gadgetIds, colors,
+//   action and repeat), proxies, the built-in "timed out" recognizer, progress and deviation
+//   recognizers, and events with meets, fails, reports, shouldEndInputHandler,
+//   maximumInvocations and triggerTimeMilliseconds.
+
+const TIMED_OUT_RECOGNIZER = 'timed out';
+
+// expands the `repeat` of pattern entries: [{action: 'down', repeat: 2}] -> two entries
+function expandPattern(pattern) {
+    let expanded = [];
+    (pattern || []).forEach((entry) => {
+        for (let i = 0; i < Math.max(1, entry.repeat || 1); i++) {
+            expanded.push(entry);
+        }
+    });
+    return expanded;
+}
+
+// returns the bindings extended so that one of `gadgetIds` accepts `gadgetId`, or null
+function bindGadget(gadgetIds, gadgetId, proxies, bindings) {
+    for (let i = 0; i < gadgetIds.length; i++) {
+        const id = gadgetIds[i];
+        if (proxies.indexOf(id) < 0) {
+            if (id === gadgetId) {
+                return bindings;
+            }
+        } else if (bindings[id] === gadgetId) {
+            return bindings;
+        } else if (bindings[id] === undefined
+            && Object.keys(bindings).every((proxy) => bindings[proxy] !== gadgetId)) {
+            const bound = Object.assign({}, bindings);
+            bound[id] = gadgetId;
+            return bound;
+        }
+    }
+    return null;
+}
+
+// returns the bindings extended so that a pattern entry accepts an input event, or null
+function matchEntry(entry, inputEvent, proxies, bindings) {
+    if (entry.action !== undefined && entry.action !== inputEvent.action) {
+        return null;
+    }
+    if (entry.colors !== undefined && entry.colors.indexOf(inputEvent.color) < 0) {
+        return null;
+    }
+    if (entry.gadgetIds !== undefined) {
+        return bindGadget(entry.gadgetIds, inputEvent.gadgetId, proxies, bindings);
+    }
+    return bindings;
+}
+
+// Finds the input events of `history` that match `pattern`, honoring the anchor and fuzzy
+// options. Returns { events, bindings } for the first match found, or null.
+// With `partial`, the pattern may be matched only up to `patternLength` entries.
+function findMatch(history, pattern, options, proxies, bindings) {
+    const anchor = options.anchor || 'end';
+    const fuzzy = options.fuzzy === true;
+    const patternLength = options.patternLength === undefined ? pattern.length : options.patternLength;
+
+    const search = function(p, h, bound, matched) {
+        if (p === patternLength) {
+            const last = matched.length ? history.indexOf(matched[matched.length - 1]) : -1;
+            if (anchor === 'end' && !options.partial && last !== history.length - 1) {
+                return null;
+            }
+            return { 'events': matched, 'bindings': bound };
+        }
+        for (let i = h; i < history.length; i++) {
+            const extended = matchEntry(pattern[p], history[i], proxies, bound);
+            if (extended !== null) {
+                const found = search(p + 1, i + 1, extended, matched.concat([history[i]]));
+                if (found) {
+                    return found;
+                }
+            }
+            // without fuzzy, the pattern must match consecutive events
+            if (!fuzzy && p > 0) {
+                break;
+            }
+        }
+        return null;
+    };
+
+    if (anchor === 'start') {
+        // the first entry must match the first event of the history
+        if (patternLength === 0) {
+            return { 'events': [], 'bindings': bindings };
+        }
+        const first = history.length ? matchEntry(pattern[0], history[0], proxies, bindings) : null;
+        return first === null ? null : search(1, 1, first, [history[0]]);
+    }
+    return search(0, 0, bindings, []);
+}
+
+var inputHandler = {
+    'TIMED_OUT_RECOGNIZER': TIMED_OUT_RECOGNIZER,
+
+    // returns a new input handler for a StartInputHandler directive received at `startTime`,
+    // in the response to the request `originatingRequestId`
+    'createInputHandler': function(directive, originatingRequestId, startTime) {
+        const proxies = directive.proxies || [];
+        const recognizers = directive.recognizers || {};
+        const events = directive.events || {};
+        const maximumHistoryLength = directive.maximumHistoryLength;
+
+        let history = [];
+        // the gadget each proxy was assigned to: proxies are bound once, for the input handler lifetime
+        let bindings = {};
+        let invocations = {};
+        let ended = false;
+
+        // evaluates one recognizer; returns { matched, events, bindings }
+        const evaluate = function(name, time) {
+            if (name === TIMED_OUT_RECOGNIZER) {
+                return { 'matched': time >= startTime + directive.timeout, 'events': [], 'bindings': bindings };
+            }
+            const recognizer = recognizers[name];
+            if (!recognizer) {
+                return { 'matched': false, 'events': [], 'bindings': bindings };
+            }
+            if (recognizer.type === 'match') {
+                const filtered = recognizer.gadgetIds === undefined ? history
+                    : history.filter((inputEvent) =>
+                        bindGadget(recognizer.gadgetIds, inputEvent.gadgetId, proxies, bindings) !== null);
+                const found = findMatch(filtered, expandPattern(recognizer.pattern), recognizer, proxies, bindings);
+                return found
+                    ? { 'matched': true, 'events': found.events, 'bindings': found.bindings }
+                    : { 'matched': false, 'events': [], 'bindings': bindings };
+            }
+            const target = recognizers[recognizer.recognizer];
+            if (!target || target.type !== 'match') {
+                return { 'matched': false, 'events': [], 'bindings': bindings };
+            }
+            const pattern = expandPattern(target.pattern);
+            // how many entries of the target pattern the history matches so far
+            let progress = 0;
+            for (let length = pattern.length; length > 0 && progress === 0; length--) {
+                const options = Object.assign({}, target, { 'patternLength': length, 'partial': true });
+                if (findMatch(history, pattern, options, proxies, bindings)) {
+                    progress = length;
+                }
+            }
+            if (recognizer.type === 'progress') {
+                return {
+                    'matched': pattern.length > 0 && progress * 100 / pattern.length >= recognizer.completion,
+                    'events': [],
+                    'bindings': bindings
+                };
+            }
+            // deviation: a strict pattern can no longer be completed once the history isn't one of its prefixes
+            const deviated = target.fuzzy !== true && history.length > 0 && progress < history.length;
+            return { 'matched': deviated, 'events': [], 'bindings': bindings };
+        };
+
+        // returns the events triggered at `time`, as reported in a GameEngine.InputHandlerEvent
+        const triggerEvents = function(time) {
+            let triggered = [];
+            Object.keys(events).forEach((name) => {
+                const event = events[name];
+                if (ended
+                    || (event.maximumInvocations !== undefined && (invocations[name] || 0) >= event.maximumInvocations)
+                    || (event.triggerTimeMilliseconds !== undefined && time < startTime + event.triggerTimeMilliseconds)) {
+                    return;
+                }
+                const met = (event.meets || []).map((recognizer) => evaluate(recognizer, time));
+                const failed = (event.fails || []).some((recognizer) => evaluate(recognizer, time).matched);
+                if (met.length === 0 || !met.every((result) => result.matched) || failed) {
+                    return;
+                }
+                met.forEach((result) => bindings = result.bindings);
+                invocations[name] = (invocations[name] || 0) + 1;
+
+                let inputEvents = [];
+                if (event.reports === 'history') {
+                    inputEvents = history.slice();
+                } else if (event.reports === 'matches') {
+                    met.forEach((result) => result.events.forEach((inputEvent) => {
+                        if (inputEvents.indexOf(inputEvent) < 0) {
+                            inputEvents.push(inputEvent);
+                        }
+                    }));
+                }
+                triggered.push({ 'name': name, 'inputEvents': inputEvents.map((e) => Object.assign({}, e)) });
+                if (event.shouldEndInputHandler === true) {
+                    ended = true;
+                }
+            });
+            return triggered;
+        };
+
+        return {
+            'originatingRequestId': originatingRequestId,
+
+            // true once an event ended the input handler, or it was stopped
+            'isEnded': function() {
+                return ended;
+            },
+
+            'stop': function() {
+                ended = true;
+            },
+
+            // when the input handler times out, on the emulator clock
+            'timeoutTime': function() {
+                return startTime + directive.timeout;
+            },
+
+            // the gadget each proxy was assigned to so far
+            'bindings': function() {
+                return Object.assign({}, bindings);
+            },
+
+            // records a button event (see the emulator for its format) and returns the events it triggered
+            'handleInputEvent': function(inputEvent, time) {
+                if (ended) {
+                    return [];
+                }
+                history.push(inputEvent);
+                if (maximumHistoryLength !== undefined && history.length > maximumHistoryLength) {
+                    history.shift();
+                }
+                return triggerEvents(time);
+            },
+
+            // returns the events triggered by time passing, such as the timeout
+            'handleTime': function(time) {
+                if (ended) {
+                    return [];
+                }
+                const triggered = triggerEvents(time);
+                if (time >= startTime + directive.timeout) {
+                    // the input handler always ends when it times out, reported or not
+                    ended = true;
+                }
+                return triggered;
+            }
+        };
+    }
+};
+
+module.exports = inputHandler;
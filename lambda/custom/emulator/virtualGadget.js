@@ -0,0 +1,145 @@
+'use strict';
+
+// Virtual Gadget
+//   an Echo Button that only exists in memory. It plays the animations of the
+//   GadgetController.SetLight directives it receives, and tells which color it
+//   displays at any time, so that the emulator can report it when it is pressed.
+//   Times are in milliseconds on the emulator clock.
+//   see: https://developer.amazon.com/docs/gadget-skills/gadgetcontroller-interface-reference.html
+
+const Colors = require('../button_animations/colors.js');
+
+// what a button shows when no animation is playing
+const LIGHTS_OFF = '000000';
+
+// mixes two hex colors, weight 0 is all `from`, weight 1 is all `to`
+function blend(from, to, weight) {
+    const a = Colors.hexToRgb(from), b = Colors.hexToRgb(to);
+    return Colors.rgbToHex({
+        r: a.r + (b.r - a.r) * weight,
+        g: a.g + (b.g - a.g) * weight,
+        b: a.b + (b.b - a.b) * weight
+    });
+}
+
+// flattens the animations of a SetLight directive into a single list of steps
+function stepsOf(animations) {
+    let steps = [];
+    (animations || []).forEach((animation) => {
+        for (let i = 0; i < Math.max(1, animation.repeat || 0); i++) {
+            steps = steps.concat(animation.sequence || []);
+        }
+    });
+    return steps;
+}
+
+// returns the color of a playing animation, `elapsed` ms after it started from `initialColor`
+// or null once the animation is over
+function colorOfAnimation(steps, initialColor, elapsed) {
+    let previous = initialColor;
+    let stepStart = 0;
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        if (elapsed < stepStart + step.durationMs) {
+            return step.blend
+                ? blend(previous, step.color, (elapsed - stepStart) / step.durationMs)
+                : step.color;
+        }
+        previous = step.color;
+        stepStart += step.durationMs;
+    }
+    return null;
+}
+
+var virtualGadget = {
+    'LIGHTS_OFF': LIGHTS_OFF,
+
+    // returns a new virtual button, with its lights off
+    'createVirtualGadget': function(gadgetId) {
+        // the animation stored for each trigger event, as set by the last SetLight directive
+        let triggers = {};
+        // what the light is doing now: the animation that plays, when it started and its first color
+        let playing = null;
+
+        const colorAt = function(time) {
+            // a SetLight with a triggerEventTimeMs shows what played before, until it starts
+            const animation = (playing && time < playing.startTime) ? playing.before : playing;
+            if (!animation || time < animation.startTime) {
+                return LIGHTS_OFF;
+            }
+            return colorOfPlaying(animation, time);
+        };
+
+        const colorOfPlaying = function(animation, time) {
+            const color = colorOfAnimation(animation.steps, animation.initialColor, time - animation.startTime);
+            return color === null ? LIGHTS_OFF : color;
+        };
+
+        const play = function(trigger, time) {
+            const animation = triggers[trigger];
+            if (!animation) {
+                return;
+            }
+            const startTime = time + animation.delay;
+            playing = {
+                'trigger': trigger,
+                'steps': animation.steps,
+                'startTime': startTime,
+                'initialColor': colorAt(startTime),
+                // keep what was playing before, to display it until the new animation starts
+                'before': playing ? Object.assign({}, playing, { 'before': null }) : null
+            };
+        };
+
+        return {
+            'gadgetId': gadgetId,
+
+            // applies a SetLight directive received at `time`
+            'setLight': function(directive, time) {
+                const parameters = directive.parameters;
+                triggers[parameters.triggerEvent] = {
+                    'steps': stepsOf(parameters.animations),
+                    'delay': parameters.triggerEventTimeMs || 0
+                };
+                if (parameters.triggerEvent === 'none') {
+                    play('none', time);
+                }
+            },
+
+            // the color displayed at `time`, as a RRGGBB hex string
+            'colorAt': colorAt,
+
+            // the name of the trigger of the animation playing at `time` ('none', 'buttonDown',
+            // 'buttonUp'), or null when the lights are off
+            'animationAt': function(time) {
+                if (!playing || time < playing.startTime) {
+                    return null;
+                }
+                return colorOfAnimation(playing.steps, playing.initialColor, time - playing.startTime) === null
+                    ? null : playing.trigger;
+            },
+
+            // presses the button at `time`; returns the color it displayed when it was pressed
+            'press': function(time) {
+                const color = colorAt(time);
+                play('buttonDown', time);
+                return color;
+            },
+
+            // releases the button at `time`; returns the color it displayed when it was released
+            'release': function(time) {
+                const color = colorAt(time);
+                play('buttonUp', time);
+                return color;
+            },
+
+            // forgets every animation, as when the skill session ends
+            'reset': function() {
+                triggers = {};
+                playing = null;
+            }
+        };
+    }
+};
+
+module.exports = virtualGadget;
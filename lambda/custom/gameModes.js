@@ -0,0 +1,159 @@
+/*
+ * Copyright 2018 Amazon.com, Inc. and its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the License.
+ * A copy of the License is located at
+ *
+ * http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is distributed
+ * on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+'use strict';
+
+// import the skill settings constants
+const Settings = require('settings.js');
+// Canonical values of custom slots, whatever the locale
+const Slots = require('util/slots.js');
+// Structured logs and metrics
+const Logger = require('util/logger.js');
+// Well-formed speech, with the player's words escaped
+const SsmlBuilder = require('util/ssmlBuilder.js');
+const log = Logger.create('GameModes');
+
+const GamePlay = require('gameplay.js');
+const Buttons = require('buttons.js');
+const SimonSays = require('simonSays.js');
+const Race = require('race.js');
+
+// The game played until the players pick another one
+const DEFAULT_MODE = 'classic';
+
+// ***********************************************************************
+//   Game Modes
+//     the games that can be played on the registered buttons, by the
+//     name players use to pick them ("let's play classic"): the ids of the
+//     GAME_MODES slot of gameModeIntent. index.js builds the skill states from
+//     this table; to add a game, add it here and to the slot type.
+//
+//     state      the skill state the game is played in
+//     start      starts a game: when the players pick it, or say yes to playing again
+//     intents    the intents that set up a game, accepted before a game and while the game
+//                is played; games are picked and started through gameModeIntent only
+//     events     the Game Engine events of the game's input handlers
+//     help       the help while the game is played; for the game of the play mode, the help
+//                of that mode starts with it, followed by the hints of the other games
+//     recover    the recovery prompt for the intents the game's state refuses
+//     hint       the message that tells players about the game, in the help
+//
+//     Each game sets the `GameMode` session attribute to its name when it starts,
+//     and configures its own input handlers and animations.
+// ***********************************************************************
+const MODES = {
+    // matching a shade on my button, a round or a match at a time
+    'classic': {
+        'state': Settings.SKILL_STATES.PLAY_MODE,
+        'start': GamePlay.StartClassic,
+        'intents': {
+            'colorIntent': GamePlay.ColorIntentHandler,
+            'matchIntent': GamePlay.MatchIntentHandler,
+            // the level of a round in progress holds until the round is over
+            'difficultyIntent': GamePlay.BetweenRounds(GamePlay.DifficultyIntentHandler)
+        },
+        'events': {
+            'button_down_event': GamePlay.HandleButtonPressed,
+            // counts the rounds without a press, before GamePlay.HandleTimeout
+            'timeout': Buttons.HandleRoundTimeout
+        },
+        'help': GamePlay.HelpIntentHandler,
+        'hint': 'CLASSIC_HINT'
+    },
+    'simon': {
+        'state': Settings.SKILL_STATES.SIMON_MODE,
+        'start': SimonSays.SimonSaysIntentHandler,
+        'intents': {},
+        'events': {
+            'simon_button_pressed': SimonSays.HandleButtonPressed,
+            'timeout': SimonSays.HandleTimeout
+        },
+        'help': SimonSays.HelpIntentHandler,
+        'recover': SimonSays.Recover,
+        'hint': 'SIMON_HINT'
+    },
+    'race': {
+        'state': Settings.SKILL_STATES.RACE_MODE,
+        'start': Race.RaceIntentHandler,
+        'intents': {},
+        'events': {
+            [Race.PressEventName(1)]: Race.HandleButtonPressed,
+            [Race.PressEventName(2)]: Race.HandleButtonPressed,
+            'timeout': Race.HandleTimeout
+        },
+        'help': Race.HelpIntentHandler,
+        'recover': Race.Recover,
+        'hint': 'RACE_HINT'
+    }
+};
+
+const GameModes = {
+    // Returns every game mode, with its name
+    All: function() {
+        return Object.keys(MODES).map(GameModes.Get);
+    },
+
+    // Returns the game mode called `name`, or undefined
+    Get: function(name) {
+        return MODES.hasOwnProperty(name) ? Object.assign({ 'name': name }, MODES[name]) : undefined;
+    },
+
+    // Returns the game mode played last in this session, or the default one
+    Active: function(sessionAttributes) {
+        return GameModes.Get(sessionAttributes.GameMode) || GameModes.Get(DEFAULT_MODE);
+    },
+
+    // Returns the intents of every game mode, accepted whenever no game is being played
+    Intents: function() {
+        return GameModes.All().reduce((intents, mode) => Object.assign(intents, mode.intents), {});
+    },
+
+    // "let's play race": starts the game mode the players picked
+    GameModeIntentHandler: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        const { request } = handlerInput.requestEnvelope;
+
+        const mode = GameModes.Get(Slots.resolvedValue(request.intent.slots.mode));
+        if (mode === undefined) {
+            const modes = GameModes.All().map((gameMode) => ctx.t('GAME_MODES.' + gameMode.name)).join(', ');
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('GAME_MODE_REPROMPT', { 'modes': modes }));
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('GAME_MODE_INVALID')).append(ctx.reprompt);
+            ctx.openMicrophone = true;
+            return handlerInput.responseBuilder.getResponse();
+        }
+        log.info('game mode picked', { 'mode': mode.name });
+        return mode.start(handlerInput);
+    },
+
+    // "Yes" to playing again: another game of the mode played last
+    PlayAgain: function(handlerInput) {
+        const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+        return GameModes.Active(sessionAttributes).start(handlerInput);
+    },
+
+    // Returns the game played in the play mode, whose help is the help of that mode
+    Lobby: function() {
+        return GameModes.All().find((mode) => mode.state === Settings.SKILL_STATES.PLAY_MODE);
+    },
+
+    // Returns the messages that tell players about the games other than `except`, for the help
+    Hints: function(t, except) {
+        return GameModes.All()
+            .filter((mode) => mode.hint && mode.name !== except)
+            .map((mode) => t(mode.hint));
+    }
+};
+
+module.exports = GameModes;
@@ -18,55 +18,59 @@
 const Alexa = require('ask-sdk-core');
 // Gadget Directives Builder
 const GadgetDirectives = require('util/gadgetDirectives.js');
+// Recognizers and events for the input handlers
+const InputHandlerBuilder = require('util/inputHandlerBuilder.js');
 // Basic Animation Helper Library
 const BasicAnimations = require('button_animations/basicAnimations.js');
+// Fluent builder for custom animation sequences
+const AnimationBuilder = require('button_animations/animationBuilder.js');
+// Color names and notations, and shade generation
+const ColorsList = require('button_animations/colorsList.js');
+const Colors = require('button_animations/colors.js');
 // import the skill settings constants 
 const Settings = require('settings.js');
+// Per-user lifetime stats
+const PlayerProfile = require('playerProfile.js');
+// Best scores of the named players of the household
+const Leaderboard = require('leaderboard.js');
+// Listens for button events, across input handlers
+const InputManager = require('inputManager.js');
+// Canonical values of custom slots, whatever the locale
+const Slots = require('util/slots.js');
+// Structured logs and metrics
+const Logger = require('util/logger.js');
+// Well-formed speech, with the player's words escaped
+const SsmlBuilder = require('util/ssmlBuilder.js');
+const log = Logger.create('GamePlay');
 
-/* Set up two new animations:
- *    one animation for winning, and one animation for losing */
-const WINNING_ANIMATION = {
-       'targetGadgets': [],
-       'animations': BasicAnimations.PulseAnimation(3, 'light blue', 'dark green')
-    };
-const LOSING_ANIMATION = {
-       'targetGadgets': [],
-       'animations': BasicAnimations.PulseAnimation(3, 'orange', 'red')
-    };
+/* The animations for winning and losing, in the colors set in settings.js */
+const WINNING_ANIMATION = Settings.RESULT_ANIMATIONS.Win;
+const LOSING_ANIMATION = Settings.RESULT_ANIMATIONS.Lose;
     
-// Define a recognizer for button down events that will match when any button is pressed down.
-// We'll use this recognizer as trigger source for the "button_down_event" during play
+// Define a recognizer for button down events that will match when any of the players' buttons is pressed down,
+// and named events based on it and the built-in "timed out" recognizer, to report back to the skill when 
+// one of the buttons in play was pressed and eventually when the input handler times out
 // see: https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html#recognizers
-function configureRecognizer(gadgetId) {
-    return {
-        "button_down_recognizer": {
-            "type": "match",
-            "fuzzy": false,
-            "anchor": "end",
-            "pattern": [{
-                "gadgetIds": [gadgetId],
-                "action": "down"
-            }]
-        }
-    };
+//      https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html#define
+function configureRound(gadgetIds) {
+    return InputHandlerBuilder.create()
+        .match("button_down_recognizer", [ InputHandlerBuilder.down(gadgetIds) ],
+            { "fuzzy": false, "anchor": "end" })
+        .event("button_down_event", {
+            "meets": ["button_down_recognizer"],
+            "reports": "matches",
+            "shouldEndInputHandler": true
+        })
+        .timeoutEvent()
+        .build();
 }
 
-// Define named events based on the DIRECT_BUTTON_DOWN_RECOGNIZER and the built-in "timed out" recognizer
-// to report back to the skill when either of the two buttons in play was pressed and eventually when the
-// input handler times out
-// see: https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html#define
-const DIRECT_MODE_EVENTS = {
-    "button_down_event": {
-        "meets": ["button_down_recognizer"],
-        "reports": "matches",
-        "shouldEndInputHandler": true
-    },
-    "timeout": {
-        "meets": ["timed out"],
-        "reports": "history",
-        "shouldEndInputHandler": true
-    }
-};
+// The longest an animation step can last, rounded down from the Echo Buttons limit of 65535ms
+const MAX_STEP_DURATION_MS = 60000;
+
+// The smallest difference of lightness (in L*) players can tell, below which a press that missed
+// is described as a different shade rather than a darker or lighter one
+const MIN_LIGHTNESS_DIFFERENCE = 1;
 
 
 // ***********************************************************************
@@ -77,88 +81,414 @@ const DIRECT_MODE_EVENTS = {
 const GamePlay = {
 
     ColorIntentHandler: function(handlerInput) {
-        console.log("GamePlay::colorIntent");
         const {attributesManager} = handlerInput;
         const ctx = attributesManager.getRequestAttributes();
         const sessionAttributes = attributesManager.getSessionAttributes();
         const { request } = handlerInput.requestEnvelope;
                    
-        const uColor = request.intent.slots.color.value;
-        console.log("User color: " + uColor);
+        // the color is resolved to its canonical (English) name, whatever the locale it was spoken in
+        const uColor = Slots.resolvedValue(request.intent.slots.color);
+        log.debug('color chosen', { 'color': uColor });
         
-        if (uColor === undefined || Settings.COLOR_SHADES[uColor] === undefined) {
-            ctx.reprompt = ["What color was that? Please pick a valid color!"];
-            ctx.outputSpeech = ["Sorry, I didn't get that. " + ctx.reprompt[0]];
+        if (uColor === undefined || makeColorShades(uColor, 1).length === 0) {
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('COLOR_INVALID_REPROMPT'));
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('NOT_UNDERSTOOD')).append(ctx.reprompt);
             ctx.openMicrophone = false;
             return handlerInput.responseBuilder.getResponse();
         } else {
             sessionAttributes.ColorChoice = uColor;
-            let colorShades = Settings.COLOR_SHADES[uColor];
-            let randomShadeIndex = pickRandomIndex(colorShades);
-            sessionAttributes.RefColorShade = colorShades[randomShadeIndex];
-            console.log("Selected shade: " + sessionAttributes.RefColorShade);
-
-            let deviceIds = sessionAttributes.DeviceIDs;
-            deviceIds = deviceIds.slice(-2);
-
-            /* Build Start Input Handler Directive */
-            ctx.directives.push(GadgetDirectives.startInputHandler({
-                  'timeout': 20000,
-                  'recognizers': configureRecognizer(deviceIds[1]),
-                  'events': DIRECT_MODE_EVENTS
-                } ));
-
-            /* Save Input Handler Request ID */
-            sessionAttributes.CurrentInputHandlerID = request.requestId;
-            console.log("Current Input Handler ID: " + sessionAttributes.CurrentInputHandlerID);
-
-            /* configure light animation for the reference button */
-            ctx.directives.push(GadgetDirectives.setIdleAnimation({
-                'targetGadgets': [ deviceIds[0] ],
-                'animations': BasicAnimations.SolidAnimation(1, sessionAttributes.RefColorShade, 20000)
-            } ));
-            /* configure light animation for the play button */
-            ctx.directives.push(GadgetDirectives.setIdleAnimation({
-                'targetGadgets': [ deviceIds[1] ],
-                'animations': makeRollingAnimation(Settings.COLOR_SHADES[uColor], 1000)
-            } ));
-            /* for button down, briefly set the color to the reference shade */
-            ctx.directives.push(GadgetDirectives.setButtonDownAnimation({
-                'targetGadgets': [ deviceIds[1] ],
-                'animations': BasicAnimations.SolidAnimation(1, sessionAttributes.RefColorShade, 10)
-            } ));
-            /* for button up, briefly set the color to the reference shade */
-            ctx.directives.push(GadgetDirectives.setButtonUpAnimation({
-                'targetGadgets': deviceIds,
-                'animations': BasicAnimations.SolidAnimation(1, sessionAttributes.RefColorShade, 10)
-            } ));
-
-            ctx.outputSpeech = ["Ok. " + uColor + " it is. "];
-            ctx.outputSpeech.push("Try to press your button when the color matches my button. ");
-            ctx.outputSpeech.push(Settings.WAITING_AUDIO);
+            GamePlay.StartRound(handlerInput);
+
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t(sessionAttributes.ColorBlind ? 'COLOR_BLIND_COLOR_CONFIRM' : 'COLOR_CONFIRM', {
+                'color': GamePlay.DescribeColor(ctx.t, sessionAttributes, uColor)
+            }));
+            if (sessionAttributes.Match) {
+                ctx.outputSpeech.text(ctx.t('ROUND_OF_MATCH', { 
+                    'round': sessionAttributes.Match.round, 
+                    'length': sessionAttributes.Match.length 
+                }));
+            }
+            ctx.outputSpeech.append(GamePlay.RoundInstructions(ctx.t, sessionAttributes));
+            GamePlay.WaitForPress(handlerInput);
             
             ctx.openMicrophone = false;
             return handlerInput.responseBuilder.getResponse();
         }
     },
 
+    MatchIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { request } = handlerInput.requestEnvelope;
+
+        const matchLength = parseInt(Slots.resolvedValue(request.intent.slots && request.intent.slots.rounds), 10);
+        log.debug('match length chosen', { 'matchLength': matchLength });
+
+        if (isNaN(matchLength) || matchLength % 2 === 0
+            || matchLength < Settings.MATCH.MIN_LENGTH || matchLength > Settings.MATCH.MAX_LENGTH) {
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('MATCH_LENGTH_REPROMPT'));
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('MATCH_LENGTH_INVALID')).append(ctx.reprompt);
+            ctx.openMicrophone = true;
+            return handlerInput.responseBuilder.getResponse();
+        }
+
+        // start keeping score for the new match; rounds are chained automatically
+        // until one of us wins the majority of rounds
+        sessionAttributes.Match = {
+            'length': matchLength,
+            'round': 1,
+            'playerScore': 0,
+            'alexaScore': 0,
+            // the points and fastest match of each player who pressed, for the leaderboard
+            'points': {},
+            'reactionMs': {}
+        };
+        sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
+
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('MATCH_COLOR_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('MATCH_CONFIRM', { 'length': matchLength }));
+        ctx.outputSpeech.append(ctx.reprompt);
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    DifficultyIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { request } = handlerInput.requestEnvelope;
+
+        const level = Slots.resolvedValue(request.intent.slots.level);
+        log.debug('difficulty chosen', { 'level': level });
+
+        if (level === undefined || !Settings.DIFFICULTY.LEVELS.hasOwnProperty(level)) {
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('DIFFICULTY_REPROMPT'));
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('DIFFICULTY_INVALID')).append(ctx.reprompt);
+            ctx.openMicrophone = true;
+            return handlerInput.responseBuilder.getResponse();
+        }
+
+        // the level applies from the next round, for the rest of the session
+        sessionAttributes.Difficulty = level;
+        sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
+
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('CHOOSE_COLOR_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('DIFFICULTY_CONFIRM', { 'level': ctx.t('DIFFICULTY_LEVELS.' + level) }));
+        ctx.outputSpeech.text(GamePlay.DescribeDifficulty(handlerInput));
+        ctx.outputSpeech.append(ctx.reprompt);
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    // "color blind mode for red and green": the rounds roll the shades of a palette that differ in
+    // brightness, whatever the color picked, from the next round and for the rest of the session
+    ColorBlindIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { intent } = handlerInput.requestEnvelope.request;
+
+        // without a palette or cues named, the players keep what they had chosen
+        const current = sessionAttributes.ColorBlind || {
+            'palette': Settings.COLOR_BLIND.DEFAULT_PALETTE,
+            'audioCues': Settings.COLOR_BLIND.CUES_BY_DEFAULT
+        };
+        const palette = Slots.resolvedValue(intent.slots.palette) || current.palette;
+        const cues = Slots.resolvedValue(intent.slots.cues);
+        log.debug('color blind mode chosen', { 'palette': palette, 'cues': cues });
+
+        if (!Settings.COLOR_BLIND.PALETTES.hasOwnProperty(palette)) {
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('COLOR_BLIND_REPROMPT'));
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('COLOR_BLIND_INVALID')).append(ctx.reprompt);
+            ctx.openMicrophone = true;
+            return handlerInput.responseBuilder.getResponse();
+        }
+
+        sessionAttributes.ColorBlind = {
+            'palette': palette,
+            'audioCues': cues === 'on' || cues === 'off' ? cues === 'on' : current.audioCues
+        };
+        sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
+        log.info('color blind mode on', sessionAttributes.ColorBlind);
+        Logger.metric('ColorBlindMode', 1, { 'palette': palette });
+
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('CHOOSE_COLOR_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('COLOR_BLIND_CONFIRM', {
+            'deficiency': ctx.t('COLOR_BLIND_PALETTES.' + palette, { 'defaultValue': palette }),
+            'color': GamePlay.DescribeColor(ctx.t, sessionAttributes)
+        }));
+        ctx.outputSpeech.text(sessionAttributes.ColorBlind.audioCues ? ctx.t('COLOR_BLIND_CUES_ON') : ctx.t('COLOR_BLIND_CUES_OFF'));
+        ctx.outputSpeech.append(ctx.reprompt);
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    // "turn off color blind mode": back to the shades of the color picked, from the next round
+    ColorBlindOffIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+
+        sessionAttributes.ColorBlind = null;
+        sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
+        log.info('color blind mode off');
+
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('CHOOSE_COLOR_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('COLOR_BLIND_OFF')).append(ctx.reprompt);
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    // Help in the shades game: how it's played, and the difficulty level. The help of the
+    // play mode goes on with the other games, see index.js
+    HelpIntentHandler: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+
+        InputManager.Stop(handlerInput);
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('HELP_PLAY_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('HELP_PLAY', { 'colors': ctx.t('COLOR_CHOICES') }));
+        ctx.outputSpeech.text(GamePlay.DescribeDifficulty(handlerInput));
+        ctx.outputSpeech.text(ctx.t('DIFFICULTY_HELP'));
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    // "let's play classic", or "yes" to playing again: asks for the color of the next round
+    StartClassic: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+
+        InputManager.Stop(handlerInput);
+        // players coming from another game hear how this one is played
+        if (sessionAttributes.GameMode && sessionAttributes.GameMode !== 'classic') {
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('CHOOSE_COLOR_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('CLASSIC_START'));
+        } else {
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('PICK_DIFFERENT_COLOR', { 'colors': ctx.t('COLOR_CHOICES') }));
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('KEEP_GOING'));
+        }
+        ctx.outputSpeech.append(ctx.reprompt);
+        sessionAttributes.GameMode = 'classic';
+        sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    // Returns the settings of the difficulty level chosen for this session
+    GetDifficulty: function(sessionAttributes) {
+        const levels = Settings.DIFFICULTY.LEVELS;
+        return levels[sessionAttributes.Difficulty] || levels[Settings.DIFFICULTY.DEFAULT_LEVEL];
+    },
+
+    // Returns the speech that explains the current difficulty level
+    DescribeDifficulty: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const level = Settings.DIFFICULTY.LEVELS.hasOwnProperty(sessionAttributes.Difficulty)
+            ? sessionAttributes.Difficulty : Settings.DIFFICULTY.DEFAULT_LEVEL;
+        const difficulty = GamePlay.GetDifficulty(sessionAttributes);
+        return ctx.t('DIFFICULTY_DESCRIPTION', {
+            'level': ctx.t('DIFFICULTY_LEVELS.' + level),
+            'count': difficulty.SHADE_COUNT,
+            'seconds': difficulty.ROUND_TIMEOUT_MS / 1000
+        });
+    },
+
+    // Returns the shades of a color that are rolled in this session, brightest first: in color
+    // blind mode, the shades of the palette, whatever the color
+    GetColorShades: function(sessionAttributes, colorName) {
+        const shadeCount = GamePlay.GetDifficulty(sessionAttributes).SHADE_COUNT;
+        const palette = getPalette(sessionAttributes);
+        return palette ? pickPaletteShades(palette, shadeCount) : makeColorShades(colorName, shadeCount);
+    },
+
+    // Returns the name of the color whose shades are rolled, to be spoken: in color blind mode,
+    // the hue of the palette
+    DescribeColor: function(t, sessionAttributes, colorName) {
+        if (sessionAttributes.ColorBlind) {
+            const palette = sessionAttributes.ColorBlind.palette;
+            return t('COLOR_BLIND_COLORS.' + palette, { 'defaultValue': palette });
+        }
+        return t('COLORS.' + colorName, { 'defaultValue': colorName });
+    },
+
+    // Returns the speech telling the players how to play the round that just started
+    RoundInstructions: function(t, sessionAttributes) {
+        return SsmlBuilder.create()
+            .text(sessionAttributes.ColorBlind ? t('ROUND_INSTRUCTIONS_COLOR_BLIND') : t('ROUND_INSTRUCTIONS'))
+            .append(GamePlay.ShadeCue(t, sessionAttributes, sessionAttributes.RefColorShade));
+    },
+
+    // Returns the audio cue of a shade of the palette in color blind mode, when the players
+    // asked for cues, or no speech
+    ShadeCue: function(t, sessionAttributes, shade) {
+        const palette = getPalette(sessionAttributes);
+        const index = palette ? palette.indexOf(shade) : -1;
+        if (index < 0 || !sessionAttributes.ColorBlind.audioCues) {
+            return SsmlBuilder.create();
+        }
+        return SsmlBuilder.create().text(t('COLOR_BLIND_CUE')).audio(Settings.COLOR_BLIND.CUES[index]);
+    },
+
+    // Returns the animation that rolls through the shades of a color at the speed of the
+    // difficulty level, for `totalDuration` ms
+    MakeRollingAnimation: function(sessionAttributes, colorShades, totalDuration) {
+        return makeRollingAnimation(colorShades,
+            GamePlay.GetDifficulty(sessionAttributes).SHADE_DURATION_MS, totalDuration);
+    },
+
+    // Returns true while a round is being played: rounds are the only input that is renewed
+    IsRoundInProgress: function(sessionAttributes) {
+        return sessionAttributes.state === Settings.SKILL_STATES.PLAY_MODE
+            && !!sessionAttributes.InputHandler && sessionAttributes.InputHandler.renew === true;
+    },
+
+    // Compares the shade a player pressed on with the reference shade. The verdict is 'perfect',
+    // 'close' or 'far', by their perceptual distance (Delta E, see Settings.SCORING), and the
+    // direction tells whether the player's shade was too 'dark', too 'light', or just a different 'shade'
+    JudgeMatch: function(referenceColor, buttonColor) {
+        const deltaE = Colors.distance(referenceColor, buttonColor);
+        const lightness = Colors.hexToLab(buttonColor).l - Colors.hexToLab(referenceColor).l;
+        let verdict = 'far';
+        if (deltaE <= Settings.SCORING.PERFECT_DELTA_E) {
+            verdict = 'perfect';
+        } else if (deltaE <= Settings.SCORING.CLOSE_DELTA_E) {
+            verdict = 'close';
+        }
+        let direction = 'shade';
+        if (Math.abs(lightness) >= MIN_LIGHTNESS_DIFFERENCE) {
+            direction = lightness < 0 ? 'dark' : 'light';
+        }
+        return { 'verdict': verdict, 'deltaE': deltaE, 'direction': direction };
+    },
+
+    // Returns the handler of an intent that waits for the end of a round in progress, as it
+    // would drop the round or change how it's played: in the middle of a round, the round goes
+    // on and the players hear how to play it
+    BetweenRounds: function(handler) {
+        return function(handlerInput) {
+            const {attributesManager} = handlerInput;
+            const sessionAttributes = attributesManager.getSessionAttributes();
+            if (!GamePlay.IsRoundInProgress(sessionAttributes)) {
+                return handler(handlerInput);
+            }
+            const ctx = attributesManager.getRequestAttributes();
+            log.info('intent refused during a round', { 'intent': handlerInput.requestEnvelope.request.intent.name });
+            ctx.outputSpeech = SsmlBuilder.create()
+                .text(ctx.t('ROUND_NOT_OVER'))
+                .append(GamePlay.RoundInstructions(ctx.t, sessionAttributes));
+            ctx.openMicrophone = false;
+            return handlerInput.responseBuilder.getResponse();
+        };
+    },
+
+    // Starts a round with the color the user chose: picks a random reference shade, starts
+    // a new input handler and sets up the animations on both buttons.
+    // The caller is responsible for the output speech.
+    StartRound: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { request } = handlerInput.requestEnvelope;
+
+        const difficulty = GamePlay.GetDifficulty(sessionAttributes);
+        let colorShades = GamePlay.GetColorShades(sessionAttributes, sessionAttributes.ColorChoice);
+        let randomShadeIndex = pickRandomIndex(colorShades);
+        sessionAttributes.RefColorShade = colorShades[randomShadeIndex];
+        log.info('round started', {
+            'color': sessionAttributes.ColorChoice,
+            'palette': sessionAttributes.ColorBlind ? sessionAttributes.ColorBlind.palette : undefined,
+            'shade': sessionAttributes.RefColorShade,
+            'durationMs': difficulty.ROUND_TIMEOUT_MS
+        });
+        Logger.metric('RoundStarted', 1, metricDimensions(sessionAttributes));
+
+        // the first registered button is the reference button, all the others are played on
+        let deviceIds = sessionAttributes.DeviceIDs;
+        let referenceId = deviceIds[0];
+        let playerIds = deviceIds.slice(1);
+
+        /* Listen for the players' buttons for the whole round, across as many input handlers as it takes */
+        InputManager.Start(handlerInput, {
+            'duration': difficulty.ROUND_TIMEOUT_MS,
+            'input': configureRound(playerIds),
+            'renew': true
+        });
+
+        // a round can also start from the exit mode, when the player picks another color
+        sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
+        // "yes" to playing again plays another round of this game, see gameModes.js
+        sessionAttributes.GameMode = 'classic';
+
+        /* Save when the round started, to measure reaction times; see WaitForPress */
+        sessionAttributes.RoundStartTime = request.timestamp;
+
+        /* configure light animation for the reference button */
+        ctx.directives.push(GadgetDirectives.setIdleAnimation({
+            'targetGadgets': [ referenceId ],
+            'animations': makeSolidAnimation(sessionAttributes.RefColorShade, difficulty.ROUND_TIMEOUT_MS)
+        } ));
+        /* configure light animation for the play buttons */
+        ctx.directives.push(GadgetDirectives.setIdleAnimation({
+            'targetGadgets': playerIds,
+            'animations': makeRollingAnimation(colorShades, difficulty.SHADE_DURATION_MS,
+                difficulty.ROUND_TIMEOUT_MS)
+        } ));
+        /* for button down, briefly set the color to the reference shade */
+        ctx.directives.push(GadgetDirectives.setButtonDownAnimation({
+            'targetGadgets': playerIds,
+            'animations': BasicAnimations.SolidAnimation(1, sessionAttributes.RefColorShade, 10)
+        } ));
+        /* for button up, briefly set the color to the reference shade */
+        ctx.directives.push(GadgetDirectives.setButtonUpAnimation({
+            'targetGadgets': deviceIds,
+            'animations': BasicAnimations.SolidAnimation(1, sessionAttributes.RefColorShade, 10)
+        } ));
+    },
+
+    // Ends the speech of a response that starts a round with the waiting sound, the players press
+    // while it plays. Reaction times are measured from the end of the round prompt: as the prompt is
+    // spoken after the request, its estimated duration is added to the start of the round
+    // (see Settings.SCORING).
+    WaitForPress: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+
+        const startTime = Date.parse(sessionAttributes.RoundStartTime);
+        const promptDuration = estimatePromptDuration(ctx.outputSpeech);
+        if (!isNaN(startTime)) {
+            sessionAttributes.RoundStartTime = new Date(startTime + promptDuration).toISOString();
+        }
+        log.debug('waiting for a press', { 'promptDurationMs': promptDuration });
+        ctx.outputSpeech.audio(Settings.WAITING_AUDIO);
+    },
+
     HandleTimeout: function(handlerInput) {
-        console.log("GamePlay::InputHandlerEvent::timeout");
         let {attributesManager} = handlerInput;
         let ctx = attributesManager.getRequestAttributes();
         let sessionAttributes = attributesManager.getSessionAttributes();
+        log.info('round timed out');
+        Logger.metric('RoundTimedOut', 1, metricDimensions(sessionAttributes));
+
+        if (sessionAttributes.Match) {
+            // in a match, running out of time loses the round
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('TIME_IS_UP'));
+            return GamePlay.HandleMatchRound(handlerInput, false);
+        }
 
-        // The color the user chose
-        const referenceShade = sessionAttributes.RefColorShade;
-        ctx.outputSpeech = ["Time is up. Would you like to play again?"];
-        ctx.reprompt = ["Say Yes to keep playing, or No to exit"];
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('TIME_IS_UP')).text(ctx.t('PLAY_AGAIN_QUESTION'));
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('PLAY_AGAIN_REPROMPT'));
 
         let deviceIds = sessionAttributes.DeviceIDs;
-        deviceIds = deviceIds.slice(-2);
         // play a custom FadeOut animation, based on the user's selected color
         ctx.directives.push(GadgetDirectives.setIdleAnimation({ 
             'targetGadgets': deviceIds, 
-            'animations': BasicAnimations.FadeOutAnimation(1, uColor, 2000) 
+            'animations': BasicAnimations.FadeOutAnimation(1,
+                GamePlay.GetColorShades(sessionAttributes, sessionAttributes.ColorChoice)[0], 2000) 
         }));
         // Reset button animation for skill exit
         ctx.directives.push(GadgetDirectives.setButtonDownAnimation(
@@ -166,8 +496,7 @@ const GamePlay = {
         ctx.directives.push(GadgetDirectives.setButtonUpAnimation(
             Settings.DEFAULT_ANIMATIONS.ButtonUp, {'targetGadgets': deviceIds } ));
                 
-        // Set Skill End flag
-        sessionAttributes.expectingEndSkillConfirmation = true;
+        // enter the ExitMode and see if the user would like to play again
         sessionAttributes.state = Settings.SKILL_STATES.EXIT_MODE;
                             
         ctx.openMicrophone = true;
@@ -175,27 +504,142 @@ const GamePlay = {
     },
 
     HandleButtonPressed: function(handlerInput) {
-        console.log("GamePlay::InputHandlerEvent::button_down_event");
         let {attributesManager} = handlerInput;
         let ctx = attributesManager.getRequestAttributes();
         let sessionAttributes = attributesManager.getSessionAttributes();
 
+        const { request } = handlerInput.requestEnvelope;
         let gameInputEvents = ctx.gameInputEvents;
         let buttonId = gameInputEvents[0].gadgetId;
         let buttonColor = gameInputEvents[0].color;
         const referenceColor = sessionAttributes.RefColorShade;
-        const playerWon = (referenceColor.toUpperCase() === buttonColor.toUpperCase());
-        ctx.reprompt = ["Say Yes to keep playing, or No to exit"];
-        ctx.outputSpeech = [playerWon
-                 ? Settings.WINNING_AUDIO
-                   + "Colors Match! Great job. Would you like to play again?"
-                 : Settings.LOSING_AUDIO
-                   + "Close, but the colors don't match. Would you like to try again?"];
+        // close shades win too, see Settings.SCORING
+        const judgement = GamePlay.JudgeMatch(referenceColor, buttonColor);
+        const playerWon = judgement.verdict !== 'far';
+
+        // attribute the press to the player who owns the button: player 1 has the second registered button
+        const playerNumber = sessionAttributes.DeviceIDs.indexOf(buttonId);
+        const playerName = sessionAttributes.playerCount > 1 
+            ? ctx.t('PLAYER_PREFIX', { 'player': playerNumber }) + " " : "";
+        // the buttons work, see Buttons.HandleRoundTimeout
+        sessionAttributes.MissedRounds = 0;
+        if (playerWon && playerNumber > 0) {
+            sessionAttributes.PlayerWins = sessionAttributes.PlayerWins || {};
+            sessionAttributes.PlayerWins[playerNumber] = (sessionAttributes.PlayerWins[playerNumber] || 0) + 1;
+        }
+        log.info('button pressed', {
+            'gadgetId': buttonId,
+            'player': playerNumber,
+            'color': buttonColor,
+            'verdict': judgement.verdict,
+            'deltaE': Math.round(judgement.deltaE * 10) / 10,
+            'won': playerWon
+        });
+        Logger.metric(playerWon ? 'RoundWon' : 'RoundLost', 1, metricDimensions(sessionAttributes));
+        Logger.metric('ColorDistance', judgement.deltaE, metricDimensions(sessionAttributes));
+
+        // fast, correct matches earn more points, close ones a share of them
+        const pointsShare = judgement.verdict === 'perfect' ? 1 : Settings.SCORING.CLOSE_POINTS_SHARE;
+        const described = describeJudgement(ctx.t, judgement);
+        // the press is timed by the request reporting it, on the same clock as the start of the round:
+        // the timestamps of the input events come from the device, whose clock can be off
+        const reaction = playerWon
+            ? scoreReaction(ctx.t, sessionAttributes, playerNumber, request.timestamp, pointsShare)
+            : { 'speech': SsmlBuilder.create(), 'points': 0 };
+        const reactionSpeech = reaction.speech;
+
+        // update the player's lifetime stats before responding, and the leaderboard when the
+        // player told me their name: a round played on its own is a game, with the points of
+        // the round; a match counts as one game once it's over, see HandleMatchRound
+        const leaderboardName = (sessionAttributes.PlayerNames || {})[playerNumber];
+        let recorded = Promise.resolve();
+        if (sessionAttributes.Match) {
+            addMatchPoints(sessionAttributes.Match, playerNumber, reaction);
+        } else {
+            recorded = PlayerProfile.RecordGameResult(handlerInput, playerWon, sessionAttributes.ColorChoice)
+                .then(() => leaderboardName && Leaderboard.RecordGameResult(handlerInput, leaderboardName, playerWon,
+                    reaction.points, reaction.reactionMs));
+        }
+        return recorded
+            .then(() => {
+                if (sessionAttributes.Match) {
+                    ctx.outputSpeech = SsmlBuilder.create()
+                        .audio(playerWon ? Settings.WINNING_AUDIO : Settings.LOSING_AUDIO)
+                        .text(playerName + described.result)
+                        .text(described.feedback)
+                        .append(reactionSpeech);
+                    return GamePlay.HandleMatchRound(handlerInput, playerWon);
+                }
+
+                ctx.reprompt = SsmlBuilder.create().text(ctx.t('PLAY_AGAIN_REPROMPT'));
+                ctx.outputSpeech = SsmlBuilder.create()
+                    .audio(playerWon ? Settings.WINNING_AUDIO : Settings.LOSING_AUDIO)
+                    .text(playerName + (judgement.verdict === 'perfect' ? ctx.t('COLORS_MATCH_GREAT_JOB') : described.result))
+                    .text(described.feedback)
+                    .append(reactionSpeech);
+                ctx.outputSpeech.text(playerWon 
+                    ? ctx.t('PLAY_AGAIN_QUESTION') : ctx.t('TRY_AGAIN_QUESTION'));
+
+                let deviceIds = sessionAttributes.DeviceIDs;
+
+                let idleAnimation = playerWon ? WINNING_ANIMATION : LOSING_ANIMATION;
+                ctx.directives.push(GadgetDirectives.setIdleAnimation(
+                    idleAnimation, {'targetGadgets': deviceIds } ));
+                ctx.directives.push(GadgetDirectives.setButtonDownAnimation(
+                    Settings.DEFAULT_ANIMATIONS.ButtonDown, {'targetGadgets': deviceIds } ));
+                ctx.directives.push(GadgetDirectives.setButtonUpAnimation(
+                    Settings.DEFAULT_ANIMATIONS.ButtonUp, {'targetGadgets': deviceIds } ));
+                // enter the ExitMode and see if the user would like to play again
+                sessionAttributes.state = Settings.SKILL_STATES.EXIT_MODE;
+                ctx.openMicrophone = true;
+                return handlerInput.responseBuilder.getResponse();
+            });
+    },
+
+    // Scores the round that just ended and either chains the next round,
+    // or wraps up the match once one of us has won the majority of rounds.
+    // The caller has already added the speech announcing the round result.
+    HandleMatchRound: function(handlerInput, playerWon) {
+        let {attributesManager} = handlerInput;
+        let ctx = attributesManager.getRequestAttributes();
+        let sessionAttributes = attributesManager.getSessionAttributes();
+        let match = sessionAttributes.Match;
+
+        if (playerWon) {
+            match.playerScore += 1;
+        } else {
+            match.alexaScore += 1;
+        }
+        const roundsToWin = Math.floor(match.length / 2) + 1;
+
+        if (match.playerScore < roundsToWin && match.alexaScore < roundsToWin) {
+            match.round += 1;
+            ctx.outputSpeech.text(describeScore(ctx.t, match));
+            ctx.outputSpeech.text(ctx.t('NEXT_ROUND', { 'round': match.round }));
+            GamePlay.StartRound(handlerInput);
+            ctx.outputSpeech.append(GamePlay.ShadeCue(ctx.t, sessionAttributes, sessionAttributes.RefColorShade));
+            GamePlay.WaitForPress(handlerInput);
+            ctx.openMicrophone = false;
+            return handlerInput.responseBuilder.getResponse();
+        }
+
+        const playerWonMatch = match.playerScore > match.alexaScore;
+        log.info('match over', {
+            'won': playerWonMatch,
+            'playerScore': match.playerScore,
+            'alexaScore': match.alexaScore
+        });
+        Logger.metric(playerWonMatch ? 'MatchWon' : 'MatchLost', 1, metricDimensions(sessionAttributes));
+        ctx.outputSpeech.text(playerWonMatch
+            ? ctx.t('MATCH_PLAYER_WINS', { 'player': match.playerScore, 'alexa': match.alexaScore })
+            : ctx.t('MATCH_ALEXA_WINS', { 'player': match.playerScore, 'alexa': match.alexaScore }));
+        ctx.outputSpeech.text(ctx.t('PLAY_AGAIN_QUESTION'));
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('PLAY_AGAIN_REPROMPT'));
+        sessionAttributes.Match = null;
 
         let deviceIds = sessionAttributes.DeviceIDs;
-        deviceIds = deviceIds.slice(-2);
 
-        let idleAnimation = playerWon ? WINNING_ANIMATION : LOSING_ANIMATION;
+        let idleAnimation = playerWonMatch ? WINNING_ANIMATION : LOSING_ANIMATION;
         ctx.directives.push(GadgetDirectives.setIdleAnimation(
             idleAnimation, {'targetGadgets': deviceIds } ));
         ctx.directives.push(GadgetDirectives.setButtonDownAnimation(
@@ -203,10 +647,12 @@ const GamePlay = {
         ctx.directives.push(GadgetDirectives.setButtonUpAnimation(
             Settings.DEFAULT_ANIMATIONS.ButtonUp, {'targetGadgets': deviceIds } ));
         // enter the ExitMode and see if the user would like to play again
-        sessionAttributes.expectingEndSkillConfirmation = true;
         sessionAttributes.state = Settings.SKILL_STATES.EXIT_MODE;
         ctx.openMicrophone = true;
-        return handlerInput.responseBuilder.getResponse();
+        // the whole match is one game in the player's lifetime stats, and on the leaderboard
+        return PlayerProfile.RecordGameResult(handlerInput, playerWonMatch, sessionAttributes.ColorChoice)
+            .then(() => recordMatch(handlerInput, match, playerWonMatch))
+            .then(() => handlerInput.responseBuilder.getResponse());
     }
 };
 
@@ -216,41 +662,199 @@ module.exports = GamePlay;
  * The makeRollingAnimation function will be used to generate an
  * animation sequence that cycles through all the shades of a color,
  * from first to last then back to first. The animation will be
- * designed to repeat several times so that it lasts about 20 seconds.
+ * designed to repeat several times so that it lasts the whole round.
  */
-function makeRollingAnimation(colorShades, duration) {
-    let sequence = [];
-    for (let i = 0; i < colorShades.length; i++) {
-        sequence.push({
-            "durationMs": duration,
-            "blend": false,
-            "color": colorShades[i]
-        });
+function makeRollingAnimation(colorShades, duration, totalDuration) {
+    const forward = AnimationBuilder.sequence(colorShades, duration);
+    return forward
+        .concat(forward.reverse().slice(1, -1))
+        .loopFor(totalDuration)
+        .build();
+};
+/**
+ *  The makeSolidAnimation function will be used to light a button
+ *  with a single color for the whole round. Long rounds are split
+ *  in repeated steps, as a step can't last more than about a minute.
+ */
+function makeSolidAnimation(color, totalDuration) {
+    if (totalDuration <= MAX_STEP_DURATION_MS) {
+        return BasicAnimations.SolidAnimation(1, color, totalDuration);
     }
-    for (let i = colorShades.length-2; i > 0; i--) {
-        sequence.push({
-            "durationMs": duration,
-            "blend": false,
-            "color": colorShades[i]
-        });
+    return AnimationBuilder.sequence([color], MAX_STEP_DURATION_MS)
+        .loopFor(totalDuration)
+        .build();
+};
+/**
+ *  The makeColorShades function generates up to shadeCount shades
+ *  for a color name, as configured in settings.js. Colors that aren't
+ *  recognised, and black, have no shades.
+ */
+function makeColorShades(colorName, shadeCount) {
+    const color = ColorsList.getColor(colorName);
+    if (!color) {
+        return [];
     }
-    let cycleDuration = sequence.length * duration;
-    let cycles = Math.floor(20000 / cycleDuration) + 1;
-    return [
-      {
-        "repeat": cycles,
-        "targetLights": ["1"],
-        "sequence": sequence
-      }
-    ];
+    return Colors.shades(color, {
+        count: shadeCount,
+        darkestLightness: Settings.COLOR_SHADES.DARKEST_LIGHTNESS,
+        minDistance: Settings.COLOR_SHADES.MIN_DELTA_E
+    });
+};
+/**
+ *  The metricDimensions function returns the dimensions of the
+ *  gameplay metrics: the difficulty level, and whether the round
+ *  is part of a match.
+ */
+function metricDimensions(sessionAttributes) {
+    return {
+        'difficulty': Settings.DIFFICULTY.LEVELS.hasOwnProperty(sessionAttributes.Difficulty)
+            ? sessionAttributes.Difficulty : Settings.DIFFICULTY.DEFAULT_LEVEL,
+        'mode': sessionAttributes.Match ? 'match' : 'single'
+    };
 };
 /**
  *  The pickRandomIndex function will be used to select one of
- *  the color shades at random, from the new COLOR_SHADES
- *  color arrays you've just added to settings.js.
+ *  the generated color shades at random.
  */
 function pickRandomIndex(arr) {
     let index = (arr && arr.length) ?
                 Math.floor(Math.random() * Math.floor(arr.length)) : 0;
     return index;
+};
+/**
+ *  The describeScore function returns the running score of a
+ *  match, as seen from the player's side.
+ */
+function describeScore(t, match) {
+    const score = { 'player': match.playerScore, 'alexa': match.alexaScore };
+    if (match.playerScore > match.alexaScore) {
+        return t('SCORE_PLAYER_LEADS', score);
+    } else if (match.alexaScore > match.playerScore) {
+        return t('SCORE_ALEXA_LEADS', score);
+    }
+    return t('SCORE_TIED', score);
+};
+/**
+ *  The scoreReaction function measures how long it took the player
+ *  to press their button since the round started, computes the points
+ *  earned for the match (pointsShare of them, for a close match) and
+ *  keeps track of their best time in this session. It returns the
+ *  speech describing the player's reaction time, with the points and
+ *  the reaction time (none when it can't be measured).
+ */
+function scoreReaction(t, sessionAttributes, playerNumber, pressTimestamp, pointsShare) {
+    const startTime = Date.parse(sessionAttributes.RoundStartTime);
+    const pressTime = Date.parse(pressTimestamp);
+    if (isNaN(startTime) || isNaN(pressTime)) {
+        log.warn('missing timestamps, can\'t measure the reaction time');
+        return { 'speech': SsmlBuilder.create(), 'points': 0 };
+    }
+    const reactionTime = Math.max(pressTime - startTime, 0);
+    const points = Math.round(pointsShare * computeSpeedScore(reactionTime,
+        GamePlay.GetDifficulty(sessionAttributes).ROUND_TIMEOUT_MS));
+    log.debug('reaction scored', { 'player': playerNumber, 'reactionTimeMs': reactionTime, 'points': points });
+    Logger.metric('ReactionTime', reactionTime, metricDimensions(sessionAttributes), 'Milliseconds');
+
+    let speech = SsmlBuilder.create().text(t('REACTION_TIME', { 
+        'seconds': t.formatDecimal(reactionTime / 1000, 1), 
+        'count': points 
+    }));
+    sessionAttributes.BestReactionTimes = sessionAttributes.BestReactionTimes || {};
+    const bestTime = sessionAttributes.BestReactionTimes[playerNumber];
+    if (bestTime === undefined || reactionTime < bestTime) {
+        sessionAttributes.BestReactionTimes[playerNumber] = reactionTime;
+        if (bestTime !== undefined) {
+            speech.text(t('PERSONAL_BEST'));
+        }
+    }
+    return { 'speech': speech, 'points': points, 'reactionMs': reactionTime };
+};
+/**
+ *  The addMatchPoints function adds the points a player scored in a
+ *  round of a match to their points for the match, and keeps track of
+ *  their fastest match in it.
+ */
+function addMatchPoints(match, playerNumber, reaction) {
+    match.points[playerNumber] = (match.points[playerNumber] || 0) + reaction.points;
+    const bestTime = match.reactionMs[playerNumber];
+    if (reaction.reactionMs !== undefined && (bestTime === undefined || reaction.reactionMs < bestTime)) {
+        match.reactionMs[playerNumber] = reaction.reactionMs;
+    }
+};
+/**
+ *  The recordMatch function records a match that is over on the
+ *  leaderboard, as one game for every named player who pressed their
+ *  button in it, with the points they scored in the match.
+ */
+function recordMatch(handlerInput, match, playerWonMatch) {
+    const playerNames = handlerInput.attributesManager.getSessionAttributes().PlayerNames || {};
+    return Object.keys(match.points)
+        .filter((playerNumber) => playerNames[playerNumber])
+        .reduce((recorded, playerNumber) => recorded.then(() => Leaderboard.RecordGameResult(handlerInput,
+            playerNames[playerNumber], playerWonMatch, match.points[playerNumber], match.reactionMs[playerNumber])),
+        Promise.resolve());
+};
+/**
+ *  The estimatePromptDuration function estimates how long Alexa
+ *  takes to speak a prompt, from its words and sounds (see
+ *  Settings.SCORING).
+ */
+function estimatePromptDuration(speech) {
+    const ssml = speech.toSsml();
+    const clips = (ssml.match(/<audio /g) || []).length;
+    const words = ssml.replace(/<[^>]+>/g, ' ').split(/\s+/).filter((word) => word.length > 0).length;
+    return words * Settings.SCORING.PROMPT_MS_PER_WORD + clips * Settings.SCORING.PROMPT_MS_PER_CLIP;
+};
+/**
+ *  The computeSpeedScore function scales the points for a correct
+ *  match with the reaction time: an instant press earns the maximum
+ *  points, a press just before the round times out the minimum.
+ */
+function computeSpeedScore(reactionTime, roundTimeout) {
+    const speed = 1 - Math.min(reactionTime / roundTimeout, 1);
+    return Math.round(Settings.SCORING.MIN_POINTS
+        + (Settings.SCORING.MAX_POINTS - Settings.SCORING.MIN_POINTS) * speed);
+};
+/**
+ *  The describeJudgement function returns the speech announcing the
+ *  result of a press, and the feedback on how far off the player was
+ *  (nothing for a perfect match).
+ */
+function describeJudgement(t, judgement) {
+    if (judgement.verdict === 'perfect') {
+        return { 'result': t('COLORS_MATCH'), 'feedback': '' };
+    }
+    return {
+        'result': judgement.verdict === 'close' ? t('COLORS_CLOSE_ENOUGH') : t('COLORS_DONT_MATCH'),
+        'feedback': t('SHADE_FEEDBACK.' + judgement.verdict + '_' + judgement.direction)
+    };
+};
+/**
+ *  The getPalette function returns the shades of the color blind
+ *  palette, brightest first, or undefined when color blind mode is off.
+ */
+function getPalette(sessionAttributes) {
+    const colorBlind = sessionAttributes.ColorBlind;
+    if (!colorBlind || !Settings.COLOR_BLIND.PALETTES.hasOwnProperty(colorBlind.palette)) {
+        return undefined;
+    }
+    return Settings.COLOR_BLIND.PALETTES[colorBlind.palette].map((color) => ColorsList.getColor(color));
+};
+/**
+ *  The pickPaletteShades function picks shadeCount shades of a
+ *  palette, spread from its brightest to its darkest shade, or the
+ *  whole palette when it doesn't have that many.
+ */
+function pickPaletteShades(palette, shadeCount) {
+    if (shadeCount >= palette.length) {
+        return palette.slice();
+    }
+    if (shadeCount <= 1) {
+        return palette.slice(0, 1);
+    }
+    let shades = [];
+    for (let i = 0; i < shadeCount; i++) {
+        shades.push(palette[Math.round(i * (palette.length - 1) / (shadeCount - 1))]);
+    }
+    return shades;
 };
\ No newline at end of file
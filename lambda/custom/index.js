@@ -22,37 +22,60 @@ const GadgetDirectives = require('util/gadgetDirectives.js');
 const BasicAnimations = require('button_animations/basicAnimations.js');
 // import the skill settings constants 
 const Settings = require('settings.js');
+// Persistence Adapters (in-memory, local file or DynamoDB)
+const PersistenceAdapters = require('util/persistenceAdapters.js');
+// Locale-aware message catalogs
+const I18n = require('util/i18n.js');
+// Declarative state machine, to pick handlers by skill state
+const StateMachine = require('util/stateMachine.js');
+// Listens for button events, across input handlers
+const InputManager = require('inputManager.js');
+// Structured logs and metrics
+const Logger = require('util/logger.js');
+// Well-formed speech, with the player's words escaped
+const SsmlBuilder = require('util/ssmlBuilder.js');
+const log = Logger.create('Skill');
+Logger.configure(Settings.LOGGING);
 
 const RollCall = require('rollcall.js');
 const GamePlay = require('gameplay.js');
+const Buttons = require('buttons.js');
+const GameModes = require('gameModes.js');
+const Leaderboard = require('leaderboard.js');
 
 let skill;
  
 exports.handler = function (event, context) {
-     // Prints Alexa Event Request to CloudWatch logs for easier debugging
-     console.log(`===EVENT===${JSON.stringify(event)}`);
+     // every line logged while handling the request carries its id
+     const elapsed = Logger.startRequest(event);
+     log.debug('request received', { 'event': event });
      if (!skill) {
      skill = Alexa.SkillBuilders.custom()
 
          .addRequestHandlers(
              GlobalHandlers.LaunchRequestHandler,
              GlobalHandlers.GameEngineInputHandler,
-             GlobalHandlers.HelpIntentHandler,
              GlobalHandlers.StopIntentHandler,
-             GlobalHandlers.YesIntentHandler,
-             GlobalHandlers.NoIntentHandler,
              GlobalHandlers.SessionEndedRequestHandler,
+             GlobalHandlers.IntentHandler,
              GlobalHandlers.DefaultHandler
          )
          .addRequestInterceptors(GlobalHandlers.RequestInterceptor)
          .addResponseInterceptors(GlobalHandlers.ResponseInterceptor)
          .addErrorHandlers(GlobalHandlers.ErrorHandler)
+         .withPersistenceAdapter(PersistenceAdapters.createPersistenceAdapter(Settings.PERSISTENCE))
          .create();
      }
-
-     // TODO: show example of setting up DynamoDB persistance using new Alexa SDK v2
  
-     return skill.invoke(event,context);
+     return skill.invoke(event,context)
+         .then((response) => {
+             logRequestHandled(event, elapsed());
+             return response;
+         }, (error) => {
+             log.error('request failed', { 'error': error });
+             logRequestHandled(event, elapsed());
+             throw error;
+         });
  }
 
 // ***********************************************************************
@@ -63,102 +86,39 @@ exports.handler = function (event, context) {
 const GlobalHandlers = {
     LaunchRequestHandler: {
         canHandle(handlerInput) {
-            let { request } = handlerInput.requestEnvelope;
-            console.log("LaunchRequestHandler: checking if it can handle " + request.type);
             return handlerInput.requestEnvelope.request.type === 'LaunchRequest';
         },
         handle(handlerInput) {
-            console.log("LaunchRequestHandler: handling request");
-
             return RollCall.NewSession(handlerInput);
         }
     },
     ErrorHandler: {
         canHandle(handlerInput, error) {
-            let { request } = handlerInput.requestEnvelope;
-            console.log("Global.ErrorHandler: checking if it can handle " 
-                + request.type + ": [" + error.name + "] -> " + !!error.name);
             return !!error.name;     //error.name.startsWith('AskSdk');
         },
         handle(handlerInput, error) {
-            console.log("Global.ErrorHandler: error = " + error.message);
+            log.error('error handling the request', { 'error': error });
 
+            const t = I18n.getTranslator(handlerInput.requestEnvelope.request.locale);
             return handlerInput.responseBuilder
-                .speak('An error was encountered while handling your request. Try again later')
+                .speak(t('ERROR'))
                 .getResponse();
         }
     },
-    HelpIntentHandler: {
-        canHandle(handlerInput) {
-            const { request } = handlerInput.requestEnvelope;
-            const intentName = request.intent ? request.intent.name : '';
-            console.log("Global.HelpIntentHandler: checking if it can handle " 
-                + request.type + " for " + intentName);
-            return request.type === 'IntentRequest'
-                && intentName === 'AMAZON.HelpIntent';
-        },
-        handle(handlerInput) {
-            console.log("Global.HelpIntentHandler: handling request for help");
-
-            const { attributesManager } = handlerInput;
-            const sessionAttributes = attributesManager.getSessionAttributes();
-            const ctx = attributesManager.getRequestAttributes();
-
-            if (sessionAttributes.CurrentInputHandlerID) {
-                // if there is an active input handler, stop it so it doesn't interrup Alexa speaking the Help prompt
-                // see: https://developer.amazon.com/docs/gadget-skills/receive-echo-button-events.html#stop
-                ctx.directives.push(GadgetDirectives.stopInputHandler({ 
-                    'id': sessionAttributes.CurrentInputHandlerID
-                }));
-            }
-
-            let reprompt = "", 
-                outputSpeech = "";
-            if (sessionAttributes.isRollCallComplete === true) {
-                // roll call is complete
-                ctx.reprompt = ["To continue, pick a color: red, blue, or green. "];
-                ctx.reprompt.push(" Or say cancel or exit to quit. ");
-                ctx.outputSpeech = ["Now that we each have a button, you can select a color "];
-                ctx.outputSpeech.push(" for me to challenge you. ");
-                ctx.outputSpeech.push("Select one of the following colors: red, blue, or green. ");
-                ctx.outputSpeech.push("I will display a shade of your color of choice ");
-                ctx.outputSpeech.push("and wait for you to match it on your button. ");
-                ctx.outputSpeech.push("If you do not wish to continue, you can say exit. ");
-            } else {
-                // the user hasn't yet completed roll call
-                ctx.reprompt = ["You can say yes to continue, or no or exit to quit."];
-                ctx.outputSpeech = ["You will need two Echo buttons to play this game. "];
-                ctx.outputSpeech.push("Each of the two buttons you plan to use ");
-                ctx.outputSpeech.push("must be pressed in turn, to be added to the game. ");
-                ctx.outputSpeech.push("Would you like to continue and register two Echo buttons? ");
-
-                sessionAttributes.expectingEndSkillConfirmation = true;
-            }
-
-            return handlerInput.responseBuilder.getResponse();
-        }
-    },
     StopIntentHandler: {
         canHandle(handlerInput) {
             const { request } = handlerInput.requestEnvelope;
             const intentName = request.intent ? request.intent.name : '';
-                    
-            console.log("Global.StopIntentHandler: checking if it can handle " 
-                + request.type + " for " + intentName);
             return request.type === 'IntentRequest'
                 && intentName === 'AMAZON.StopIntent' || intentName === 'AMAZON.CancelIntent';
         },
         handle(handlerInput) {
-            console.log("Global.StopIntentHandler: handling request");
-            handlerInput.responseBuilder.speak('Good Bye!')
             return GlobalHandlers.SessionEndedRequestHandler.handle(handlerInput);
         }
     },
     GameEngineInputHandler: {
         canHandle(handlerInput) {
             let { request } = handlerInput.requestEnvelope;
-            console.log("Global.GameEngineInputHandler: checking if it can handle " 
-                + request.type);
             return request.type === 'GameEngine.InputHandlerEvent';
         },
         handle(handlerInput) { 
@@ -166,139 +126,69 @@ const GlobalHandlers = {
             let request = handlerInput.requestEnvelope.request;
             const sessionAttributes = attributesManager.getSessionAttributes();
             const ctx = attributesManager.getRequestAttributes();
-            if (request.originatingRequestId !== sessionAttributes.CurrentInputHandlerID) {
-                console.log("Global.GameEngineInputHandler: stale input event received -> " 
-                           +"received event from " + request.originatingRequestId 
-                           +" (was expecting " + sessionAttributes.CurrentInputHandlerID + ")");
+            if (!InputManager.IsCurrent(sessionAttributes, request.originatingRequestId)) {
+                log.warn('stale input event', {
+                    'originatingRequestId': request.originatingRequestId,
+                    'expected': sessionAttributes.InputHandler ? sessionAttributes.InputHandler.ids : []
+                });
+                Logger.metric('StaleInputEvent', 1);
                 ctx.openMicrophone = false;
                 return handlerInput.responseBuilder.getResponse();
             }
 
             var gameEngineEvents = request.events || [];
+            // an input handler that expires before the end of a round is renewed, 
+            // the state handlers only hear about the timeout at the end of the round
+            if (gameEngineEvents.some((gameEngineEvent) => gameEngineEvent.name === InputManager.TIMEOUT_EVENT)) {
+                const renewed = InputManager.HandleTimeout(handlerInput);
+                if (renewed) {
+                    return renewed;
+                }
+            }
+            // Several buttons may check in at once, so all the roll call events 
+            // in this request are handled together
+            var checkInEvents = gameEngineEvents.filter((gameEngineEvent) => 
+                RollCall.IsCheckInEvent(gameEngineEvent.name));
+            if (checkInEvents.length > 0 && SkillStates.acceptsEvent(sessionAttributes, CHECK_IN_EVENT)) {
+                ctx.gameInputEvents = checkInEvents.reduce((inputEvents, checkInEvent) => 
+                    inputEvents.concat(checkInEvent.inputEvents || []), []);
+                return SkillStates.handleEvent(handlerInput, CHECK_IN_EVENT);
+            }
+            // In this request type, we'll see one or more incoming events
+            // that correspond to the StartInputHandler we sent; the first one
+            // the current state accepts is handled
             for (var i = 0; i < gameEngineEvents.length; i++) {
-                // In this request type, we'll see one or more incoming events
-                // that correspond to the StartInputHandler we sent above.
-                switch (gameEngineEvents[i].name) {
-                    case 'first_button_checked_in':
-                        ctx.gameInputEvents = gameEngineEvents[i].inputEvents;
-                        return RollCall.HandleFirstButtonCheckIn(handlerInput);
-                    case 'second_button_checked_in':
-                        ctx.gameInputEvents = gameEngineEvents[i].inputEvents;
-                        return RollCall.HandleSecondButtonCheckIn(handlerInput);
-                    case 'button_down_event':
-                        if (sessionAttributes.state == Settings.SKILL_STATES.PLAY_MODE) {
-                            ctx.gameInputEvents = gameEngineEvents[i].inputEvents;
-                            return GamePlay.HandleButtonPressed(handlerInput);
-                        }
-                        break;
-                    case 'timeout':                        
-                        if (sessionAttributes.state == Settings.SKILL_STATES.PLAY_MODE) {
-                            return GamePlay.HandleTimeout(handlerInput);
-                        } else {
-                            RollCall.HandleTimeout(handlerInput);
-                        }
-                        break;
+                if (SkillStates.acceptsEvent(sessionAttributes, gameEngineEvents[i].name)) {
+                    ctx.gameInputEvents = gameEngineEvents[i].inputEvents;
+                    return SkillStates.handleEvent(handlerInput, gameEngineEvents[i].name);
                 }
             }
+            ctx.openMicrophone = false;
             return handlerInput.responseBuilder.getResponse();
         }
     },
-    YesIntentHandler: {
-        canHandle(handlerInput) {
-            let { request } = handlerInput.requestEnvelope;
-            let intentName = request.intent ? request.intent.name : '';
-            console.log("Global.YesIntentHandler: checking if it can handle " 
-                + request.type + " for " + intentName);
-            return request.type === 'IntentRequest'
-                && intentName === 'AMAZON.YesIntent';
-        },
-        handle(handlerInput) {
-            console.log("Global.YesIntentHandler: handling request");
-            let { attributesManager } = handlerInput;         
-            const sessionAttributes = attributesManager.getSessionAttributes();
-            const ctx = attributesManager.getRequestAttributes();
-            const state = sessionAttributes.state || '';
-            // ---- Hanlde "Yes" when we're in the context of Roll Call ...
-            if (state === Settings.SKILL_STATES.ROLL_CALL_MODE 
-                && sessionAttributes.expectingEndSkillConfirmation === true) {
-                // pass control to the StartRollCall event handler to restart the rollcall process
-                ctx.outputSpeech = ["Ok. Press the first button, wait for confirmation,"];
-                ctx.outputSpeech.push("then press the second button.");
-                ctx.outputSpeech.push(Settings.WAITING_AUDIO);
-                ctx.timeout = 30000;
-                return RollCall.StartRollCall(handlerInput);
-            } else if (state === Settings.SKILL_STATES.EXIT_MODE 
-                && sessionAttributes.expectingEndSkillConfirmation === true) {
-
-                ctx.reprompt = ["Pick a different color, red, blue, or green."];
-                ctx.outputSpeech = ["Ok, let's keep going."];
-                ctx.outputSpeech.push(ctx.reprompt);
-                ctx.openMicrophone = true;
-                sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
-                return handlerInput.responseBuilder.getResponse();
-            } else if (state === Settings.SKILL_STATES.EXIT_MODE) {
-                // ---- Handle "Yes", if we're in EXIT_MODE, but not expecting exit confirmation
-                return GlobalHandlers.DefaultHandler.handle(handlerInput);
-            } else {
-                // ---- Hanlde "Yes" in other cases .. just fall back on the help intent
-                return GlobalHandlers.HelpIntentHandler.handle(handlerInput);
-            }
-        }
-    },
-    NoIntentHandler: {
+    IntentHandler: {
         canHandle(handlerInput) {
             let { request } = handlerInput.requestEnvelope;
-            let intentName = request.intent ? request.intent.name : '';
-            console.log("Global.NoIntentHandler: checking if it can handle " 
-                + request.type + " for " + intentName);
-            return request.type === 'IntentRequest'
-                && intentName === 'AMAZON.NoIntent';
+            return request.type === 'IntentRequest';
         },
         handle(handlerInput) {
-            console.log("Global.NoIntentHandler: handling request");
-            let { attributesManager } = handlerInput;
-            const sessionAttributes = attributesManager.getSessionAttributes();
-            const ctx = attributesManager.getRequestAttributes();
-            const state = sessionAttributes.state || '';
-            
-            // ---- Hanlde "No" when we're in the context of Roll Call ...
-            if (state === Settings.SKILL_STATES.ROLL_CALL_MODE 
-                && sessionAttributes.expectingEndSkillConfirmation === true) {
-                // if user says No when prompted whether they will to continue with rollcall then just exit
-                return GlobalHandlers.StopIntentHandler.handle(handlerInput);
-            } else if (state === Settings.SKILL_STATES.EXIT_MODE
-                 && sessionAttributes.expectingEndSkillConfirmation === true) {
-                 return GlobalHandlers.SessionEndedRequestHandler.handle(handlerInput);
-            } else if (state === Settings.SKILL_STATES.EXIT_MODE) {
-                 // ---- Handle "No" in other cases .. just fall back on the help intent
-                 return GlobalHandlers.DefaultHandler.handle(handlerInput);
-            } else {
-                // ---- Hanlde "No" in other cases .. just fall back on the help intent
-                return GlobalHandlers.HelpIntentHandler.handle(handlerInput);
-            }
+            // the handler depends on the state of the skill, see SkillStates below
+            return SkillStates.handleIntent(handlerInput, handlerInput.requestEnvelope.request.intent.name);
         }
     },
     DefaultHandler: {
         canHandle(handlerInput) {
-            let { request } = handlerInput.requestEnvelope;
-            let intentName = request.intent ? request.intent.name : '';
-            console.log("Global.DefaultHandler: checking if it can handle " 
-                + request.type + " for " + intentName);
             return true;
         },
         handle(handlerInput) {            
-            console.log("Global.DefaultHandler: handling request");
-            if (handlerInput.requestEnvelope.request.type === 'IntentRequest'
-                && handlerInput.requestEnvelope.request.intent.name === 'colorIntent') {
-                return GamePlay.ColorIntentHandler(handlerInput);
-            }
- 
+            log.info('request not understood', { 'type': handlerInput.requestEnvelope.request.type });
             const ctx = handlerInput.attributesManager.getRequestAttributes();
  
-            // otherwise, try to let the user know that we couldn't understand the request 
+            // let the user know that we couldn't understand the request 
             //  and prompt for what to do next
-            ctx.reprompt = ["Please say again, or say help if you're not sure what to do."];
-            ctx.outputSpeech = ["Sorry, I didn't get that. " + ctx.reprompt[0]];
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('SAY_AGAIN_REPROMPT'));
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('NOT_UNDERSTOOD')).append(ctx.reprompt);
             
             ctx.openMicrophone = true;        
             return handlerInput.responseBuilder.getResponse();
@@ -309,42 +199,36 @@ const GlobalHandlers = {
             return handlerInput.requestEnvelope.request.type === 'SessionEndedRequest';
         },
         handle(handlerInput) {
-            console.log(`Session ended with reason: ${handlerInput.requestEnvelope.request.reason}`);
+            const { request } = handlerInput.requestEnvelope;
+            log.info('session ended', { 'reason': request.reason, 'error': request.error });
             let response = handlerInput.responseBuilder.getResponse();
             response.shouldEndSession = true;
             const ctx = handlerInput.attributesManager.getRequestAttributes();
-            ctx.outputSpeech = ["Good bye!"];            
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('GOODBYE'));
             return handlerInput.responseBuilder.getResponse();
         },
     },
     RequestInterceptor: {
         process(handlerInput) {  
-            console.log("Global.RequestInterceptor: pre-processing response");
             let {attributesManager, responseBuilder} = handlerInput;
             let ctx = attributesManager.getRequestAttributes();
             ctx.directives = [];
-            ctx.outputSpeech = [];
-            ctx.reprompt = [];
-            console.log("Global.RequestInterceptor: pre-processing response complete");
+            ctx.outputSpeech = SsmlBuilder.create();
+            ctx.reprompt = SsmlBuilder.create();
+            // all prompts are looked up in the message catalog for the request's locale
+            ctx.t = I18n.getTranslator(handlerInput.requestEnvelope.request.locale);
         }
     },
     ResponseInterceptor: {
         process(handlerInput) {        
             let {attributesManager, responseBuilder} = handlerInput;                        
             const ctx = attributesManager.getRequestAttributes();   
-            console.log("Global.ResponseInterceptor: post-processing response " + JSON.stringify(ctx)); 
             
-            if (ctx.outputSpeech.length > 0) {                
-                let outputSpeech = ctx.outputSpeech.join(' ');
-                console.log("Global.ResponseInterceptor: adding " 
-                    + ctx.outputSpeech.length + " speech parts"); 
-                responseBuilder.speak(outputSpeech);
+            if (!ctx.outputSpeech.isEmpty()) {
+                responseBuilder.speak(ctx.outputSpeech.toSsml());
             }
-            if (ctx.reprompt.length > 0) {         
-                console.log("Global.ResponseInterceptor: adding " 
-                    + ctx.outputSpeech.length + " speech reprompt parts");        
-                let reprompt = ctx.reprompt.join(' ');
-                responseBuilder.reprompt(reprompt);
+            if (!ctx.reprompt.isEmpty()) {
+                responseBuilder.reprompt(ctx.reprompt.toSsml());
             }
             let response = responseBuilder.getResponse();
             
@@ -354,37 +238,332 @@ const GlobalHandlers = {
                     // see: https://developer.amazon.com/docs/gadget-skills/receive-voice-input.html#open
                     //      https://developer.amazon.com/docs/gadget-skills/keep-session-open.html
                     response.shouldEndSession = false;
-                    console.log("Global.ResponseInterceptor: request to open microphone -> shouldEndSession = false"); 
                 } else {
                     // deleting shouldEndSession will keep the skill session going, 
                     //  while the input handler is active, waiting for button presses
                     // see: https://developer.amazon.com/docs/gadget-skills/keep-session-open.html
                     delete response.shouldEndSession;
-                    console.log("Global.ResponseInterceptor: request to open microphone -> delete shouldEndSession"); 
                 }
             }
 
             if (Array.isArray(ctx.directives)) {   
-                console.log("Global.ResponseInterceptor: processing " + ctx.directives.length + " custom directives ");
                 response.directives = response.directives || [];
                 for (let i = 0; i < ctx.directives.length; i++) {
                     response.directives.push(ctx.directives[i]);
                 }
             }
 
-            console.log(`==Response==${JSON.stringify(response)}`);
-            console.log(`==SessionAttributes==${JSON.stringify(attributesManager.getSessionAttributes())}`);
+            log.debug('response', {
+                'response': response,
+                'sessionAttributes': attributesManager.getSessionAttributes()
+            });
 
-            return response;
-            //return new Promise((resolve, reject) => {
-            //    handlerInput.attributesManager.savePersistentAttributes()
-            //        .then(() => {
-            //            resolve();
-            //        })
-            //        .catch((error) => {
-            //            reject(error);
-            //        });
-            //});
+            // persist the player profile, if it was loaded or changed while handling this request
+            return attributesManager.savePersistentAttributes();
         }
     }
-};
\ No newline at end of file
+};
+
+// ***********************************************************************
+//   State Handlers
+//     handlers for intents whose meaning depends on the state of the skill,
+//     and the prompts that bring the user back on track in each state
+// ***********************************************************************
+const StateHandlers = {
+    RollCallHelp: function(handlerInput) {
+        const { attributesManager } = handlerInput;
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const ctx = attributesManager.getRequestAttributes();
+
+        InputManager.Stop(handlerInput);
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('HELP_ROLL_CALL_REPROMPT'));
+        const buttonCount = (sessionAttributes.playerCount || Settings.ROLL_CALL.MIN_PLAYERS) + 1;
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('HELP_ROLL_CALL', { 'count': buttonCount }));
+
+        sessionAttributes.state = Settings.SKILL_STATES.ROLL_CALL_CONFIRM_MODE;
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+    // the help of the game played in this state, the other games, then what players can do between games
+    PlayHelp: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        const lobby = GameModes.Lobby();
+
+        lobby.help(handlerInput);
+        GameModes.Hints(ctx.t, lobby.name).forEach((hint) => ctx.outputSpeech.text(hint));
+        ctx.outputSpeech.text(ctx.t('LEADERBOARD_HELP'));
+        ctx.outputSpeech.text(ctx.t('COLOR_BLIND_HELP'));
+        ctx.outputSpeech.text(ctx.t('BUTTONS_HELP'));
+
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+    // "Yes" to more time for roll call: start it again
+    RestartRollCall: function(handlerInput) {
+        const { attributesManager } = handlerInput;
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const ctx = attributesManager.getRequestAttributes();
+
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('ROLL_CALL_RESTART'));
+        ctx.outputSpeech.text(sessionAttributes.playerCount > 1
+            ? ctx.t('ROLL_CALL_RESTART_MULTI_PLAYER')
+            : ctx.t('ROLL_CALL_RESTART_SINGLE_PLAYER'));
+        ctx.outputSpeech.audio(Settings.WAITING_AUDIO);
+        return RollCall.StartRollCall(handlerInput, Settings.ROLL_CALL.RESTART_TIMEOUT_MS);
+    },
+    ButtonChangeHelp: function(handlerInput) {
+        const { attributesManager } = handlerInput;
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const ctx = attributesManager.getRequestAttributes();
+
+        // listen again, from the start
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('HELP_BUTTON_CHANGE'));
+        ctx.outputSpeech.audio(Settings.WAITING_AUDIO);
+        return Buttons.StartButtonChange(handlerInput, sessionAttributes.ButtonChange.player);
+    },
+    ButtonCheckHelp: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('BUTTONS_UNRESPONSIVE_REPROMPT'));
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('HELP_BUTTON_CHECK')).append(ctx.reprompt);
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+    Exit: function(handlerInput) {
+        return GlobalHandlers.SessionEndedRequestHandler.handle(handlerInput);
+    },
+
+    // Speaks the reason an intent was refused, before the state's recovery prompt
+    InvalidIntent: function(handlerInput, state, intentName) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        // intents some other state accepts are valid, just not now
+        const validElsewhere = Object.keys(SkillStates.states).some((name) =>
+            SkillStates.states[name].intents.hasOwnProperty(intentName));
+        ctx.outputSpeech = SsmlBuilder.create().text(validElsewhere ? ctx.t('INVALID_INTENT') : ctx.t('NOT_UNDERSTOOD'));
+        ctx.reprompt = SsmlBuilder.create();
+    },
+    RecoverRollCall: function(handlerInput) {
+        const { attributesManager } = handlerInput;
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const ctx = attributesManager.getRequestAttributes();
+
+        // pause roll call, and ask whether to go on with it
+        InputManager.Stop(handlerInput);
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('HELP_ROLL_CALL_REPROMPT'));
+        ctx.outputSpeech.text(ctx.t('ROLL_CALL_CONTINUE'));
+        sessionAttributes.state = Settings.SKILL_STATES.ROLL_CALL_CONFIRM_MODE;
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+    RecoverRollCallConfirm: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('HELP_ROLL_CALL_REPROMPT'));
+        ctx.outputSpeech.append(ctx.reprompt);
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+    RecoverPlay: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('HELP_PLAY_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+        ctx.outputSpeech.append(ctx.reprompt);
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+    RecoverButtonChange: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        // the input handler is still waiting for the new button
+        ctx.outputSpeech.text(ctx.t('HELP_BUTTON_CHANGE'));
+        ctx.openMicrophone = false;
+        return handlerInput.responseBuilder.getResponse();
+    },
+    RecoverButtonCheck: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('BUTTONS_UNRESPONSIVE_REPROMPT'));
+        ctx.outputSpeech.append(ctx.reprompt);
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+    RecoverExit: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('PLAY_AGAIN_REPROMPT'));
+        ctx.outputSpeech.append(ctx.reprompt);
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    }
+};
+
+// All the roll call check-in events of a request are handled together, under this name
+const CHECK_IN_EVENT = 'button_checked_in';
+
+// The intents that pick or set up a game, or manage the buttons, accepted whenever no game is being played
+const LOBBY_INTENTS = Object.assign({
+    'gameModeIntent': GameModes.GameModeIntentHandler,
+    'swapButtonsIntent': Buttons.SwapButtonsIntentHandler,
+    'changeButtonIntent': Buttons.ChangeButtonIntentHandler,
+    'registerButtonsIntent': Buttons.RegisterButtonsIntentHandler,
+    // they would stop the round in progress, see GamePlay.BetweenRounds
+    'nameIntent': GamePlay.BetweenRounds(Leaderboard.NameIntentHandler),
+    'leaderboardIntent': GamePlay.BetweenRounds(Leaderboard.LeaderboardIntentHandler),
+    'personalBestIntent': GamePlay.BetweenRounds(Leaderboard.PersonalBestIntentHandler),
+    // they would change the shades of the round in progress
+    'colorBlindIntent': GamePlay.BetweenRounds(GamePlay.ColorBlindIntentHandler),
+    'colorBlindOffIntent': GamePlay.BetweenRounds(GamePlay.ColorBlindOffIntentHandler)
+}, GameModes.Intents());
+
+// ***********************************************************************
+//   Skill States
+//     the intents and Game Engine events each state accepts, and the states
+//     it can move to. Stop, cancel and session end are handled in every state.
+// ***********************************************************************
+const SkillStates = StateMachine.createStateMachine({
+    'initialState': Settings.SKILL_STATES.ROLL_CALL_MODE,
+    // the games that have a state of their own are added from gameModes.js
+    'states': Object.assign(makeGameModeStates(), {
+        [Settings.SKILL_STATES.ROLL_CALL_MODE]: {
+            'intents': {
+                'AMAZON.HelpIntent': StateHandlers.RollCallHelp,
+                'AMAZON.YesIntent': StateHandlers.RollCallHelp,
+                'AMAZON.NoIntent': StateHandlers.RollCallHelp,
+                'playerCountIntent': RollCall.PlayerCountIntentHandler
+            },
+            'events': {
+                [CHECK_IN_EVENT]: RollCall.HandleButtonCheckIn,
+                'timeout': RollCall.HandleTimeout
+            },
+            'transitions': [Settings.SKILL_STATES.ROLL_CALL_CONFIRM_MODE, Settings.SKILL_STATES.PLAY_MODE],
+            'recover': StateHandlers.RecoverRollCall
+        },
+        [Settings.SKILL_STATES.ROLL_CALL_CONFIRM_MODE]: {
+            'intents': {
+                'AMAZON.HelpIntent': StateHandlers.RollCallHelp,
+                'AMAZON.YesIntent': StateHandlers.RestartRollCall,
+                'AMAZON.NoIntent': StateHandlers.Exit,
+                'playerCountIntent': RollCall.PlayerCountIntentHandler
+            },
+            'events': {},
+            'transitions': [Settings.SKILL_STATES.ROLL_CALL_MODE],
+            'recover': StateHandlers.RecoverRollCallConfirm
+        },
+        [Settings.SKILL_STATES.PLAY_MODE]: {
+            'intents': Object.assign({
+                'AMAZON.HelpIntent': StateHandlers.PlayHelp,
+                'AMAZON.YesIntent': StateHandlers.PlayHelp,
+                'AMAZON.NoIntent': StateHandlers.PlayHelp
+            }, LOBBY_INTENTS),
+            // the games played in this state, see gameModes.js
+            'events': gameModeEvents(Settings.SKILL_STATES.PLAY_MODE),
+            'transitions': [
+                Settings.SKILL_STATES.EXIT_MODE,
+                Settings.SKILL_STATES.ROLL_CALL_MODE,
+                Settings.SKILL_STATES.BUTTON_CHANGE_MODE,
+                Settings.SKILL_STATES.BUTTON_CHECK_MODE
+            ].concat(gameModeStates()),
+            'recover': StateHandlers.RecoverPlay
+        },
+        [Settings.SKILL_STATES.EXIT_MODE]: {
+            'intents': Object.assign({
+                'AMAZON.HelpIntent': StateHandlers.PlayHelp,
+                'AMAZON.YesIntent': GameModes.PlayAgain,
+                'AMAZON.NoIntent': StateHandlers.Exit
+            }, LOBBY_INTENTS),
+            'events': {},
+            'transitions': [
+                Settings.SKILL_STATES.PLAY_MODE,
+                Settings.SKILL_STATES.ROLL_CALL_MODE,
+                Settings.SKILL_STATES.BUTTON_CHANGE_MODE
+            ].concat(gameModeStates()),
+            'recover': StateHandlers.RecoverExit
+        },
+        [Settings.SKILL_STATES.BUTTON_CHANGE_MODE]: {
+            'intents': {
+                'AMAZON.HelpIntent': StateHandlers.ButtonChangeHelp,
+                'registerButtonsIntent': Buttons.RegisterButtonsIntentHandler
+            },
+            'events': {
+                'new_button_pressed': Buttons.HandleNewButton,
+                'timeout': Buttons.HandleChangeTimeout
+            },
+            'transitions': [Settings.SKILL_STATES.PLAY_MODE, Settings.SKILL_STATES.ROLL_CALL_MODE],
+            'recover': StateHandlers.RecoverButtonChange
+        },
+        [Settings.SKILL_STATES.BUTTON_CHECK_MODE]: {
+            'intents': {
+                'AMAZON.HelpIntent': StateHandlers.ButtonCheckHelp,
+                'AMAZON.YesIntent': Buttons.RegisterButtonsIntentHandler,
+                'AMAZON.NoIntent': Buttons.DeclineRegistration,
+                'registerButtonsIntent': Buttons.RegisterButtonsIntentHandler,
+                'changeButtonIntent': Buttons.ChangeButtonIntentHandler,
+                'swapButtonsIntent': Buttons.SwapButtonsIntentHandler
+            },
+            'events': {},
+            'transitions': [
+                Settings.SKILL_STATES.ROLL_CALL_MODE,
+                Settings.SKILL_STATES.PLAY_MODE,
+                Settings.SKILL_STATES.BUTTON_CHANGE_MODE
+            ],
+            'recover': StateHandlers.RecoverButtonCheck
+        }
+    }),
+    'onInvalidIntent': StateHandlers.InvalidIntent
+});
+
+
+/**
+ *  The gameModeStates function returns the states of the games
+ *  that are played in a state of their own.
+ */
+function gameModeStates() {
+    return GameModes.All()
+        .map((mode) => mode.state)
+        .filter((state) => state !== Settings.SKILL_STATES.PLAY_MODE);
+};
+/**
+ *  The gameModeEvents function returns the Game Engine events of
+ *  the games played in `state`.
+ */
+function gameModeEvents(state) {
+    return GameModes.All()
+        .filter((mode) => mode.state === state)
+        .reduce((events, mode) => Object.assign(events, mode.events), {});
+};
+/**
+ *  The makeGameModeStates function returns the definition of the
+ *  state of each game that has one: the game's own intents and
+ *  events, and its help for the help, yes and no intents. Players can
+ *  pick a game again, or another one, while it is played. When the
+ *  game is over, it moves to the exit mode; help ends it too.
+ */
+function makeGameModeStates() {
+    return GameModes.All()
+        .filter((mode) => mode.state !== Settings.SKILL_STATES.PLAY_MODE)
+        .reduce((states, mode) => Object.assign(states, {
+            [mode.state]: {
+                'intents': Object.assign({
+                    'AMAZON.HelpIntent': mode.help,
+                    'AMAZON.YesIntent': mode.help,
+                    'AMAZON.NoIntent': mode.help,
+                    'gameModeIntent': GameModes.GameModeIntentHandler
+                }, mode.intents),
+                'events': gameModeEvents(mode.state),
+                'transitions': [Settings.SKILL_STATES.EXIT_MODE, Settings.SKILL_STATES.PLAY_MODE]
+                    .concat(gameModeStates().filter((state) => state !== mode.state)),
+                'recover': mode.recover
+            }
+        }), {});
+};
+/**
+ *  The logRequestHandled function logs how long the skill took to
+ *  handle a request, with the type of request and the state the
+ *  session was in, and records the latency metric.
+ */
+function logRequestHandled(event, durationMs) {
+    const { request } = event;
+    const sessionAttributes = (event.session && event.session.attributes) || {};
+    log.info('request handled', {
+        'type': request.type,
+        'intent': request.intent ? request.intent.name : undefined,
+        'state': SkillStates.currentState(sessionAttributes),
+        'durationMs': durationMs
+    });
+    Logger.metric('RequestLatency', durationMs, { 'requestType': request.type }, 'Milliseconds');
+    Logger.endRequest();
+};
@@ -0,0 +1,171 @@
+/*
+ * Copyright 2018 Amazon.com, Inc. and its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the License.
+ * A copy of the License is located at
+ *
+ * http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is distributed
+ * on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+'use strict';
+
+// Gadget Directives Builder
+const GadgetDirectives = require('util/gadgetDirectives.js');
+// import the skill settings constants
+const Settings = require('settings.js');
+const Logger = require('util/logger.js');
+const log = Logger.create('InputManager');
+
+// The name of the event reported when an input handler times out. Every input started with
+// InputManager.Start reports it, so that the input can be renewed.
+const TIMEOUT_EVENT = 'timeout';
+
+// ***********************************************************************
+//   Input Manager
+//     listens for button events for as long as the skill needs, even past
+//     the lifetime of a single input handler: when an input handler expires
+//     before the end of the input, the next one is started for the rest of
+//     it, with the same recognizers and events. The IDs of all the input
+//     handlers of the current input are kept, so that late events from the
+//     previous handler of a chain are still accepted.
+//     The input is kept in the 'InputHandler' session attribute.
+// ***********************************************************************
+const InputManager = {
+    TIMEOUT_EVENT: TIMEOUT_EVENT,
+
+    // Starts listening for button events, for `duration` ms. `input` has the proxies, recognizers
+    // and events of the input handlers. With `renew`, input handlers are chained until the
+    // duration is over, and the player hears how much time is left before the end (see
+    // Settings.INPUT_HANDLERS); otherwise the input lasts one input handler at most.
+    // This adds the StartInputHandler directive to the response.
+    Start: function(handlerInput, { duration, input, renew = false }) {
+        log.debug('starting input', { 'durationMs': duration, 'renew': renew });
+        const {attributesManager} = handlerInput;
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { request } = handlerInput.requestEnvelope;
+
+        let events = Object.assign({}, input.events);
+        if (!events[TIMEOUT_EVENT]) {
+            events[TIMEOUT_EVENT] = {
+                'meets': ['timed out'],
+                'reports': 'history',
+                'shouldEndInputHandler': true
+            };
+        }
+        sessionAttributes.InputHandler = {
+            // every input handler started for this input, the current one last
+            'ids': [],
+            'startTime': request.timestamp,
+            'duration': duration,
+            'renew': renew,
+            'warning': renew && Settings.INPUT_HANDLERS.TIME_LEFT_WARNING_MS > 0
+                && duration >= Settings.INPUT_HANDLERS.WARNING_MIN_DURATION_MS,
+            'input': {
+                'proxies': input.proxies,
+                'maximumHistoryLength': input.maximumHistoryLength,
+                'recognizers': input.recognizers,
+                'events': events
+            }
+        };
+        startInputHandler(handlerInput, duration);
+    },
+
+    // Called for the timeout event of an input handler. When the input isn't over, starts the
+    // next input handler and returns the response, otherwise returns null: the input is over.
+    HandleTimeout: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const ctx = attributesManager.getRequestAttributes();
+        const inputHandler = sessionAttributes.InputHandler;
+        if (!inputHandler || !inputHandler.renew) {
+            return null;
+        }
+        const remaining = remainingTime(handlerInput);
+        log.debug('input handler timed out', { 'remainingMs': remaining });
+        if (remaining < Settings.INPUT_HANDLERS.MIN_RENEWAL_MS) {
+            return null;
+        }
+        if (inputHandler.warning && remaining <= Settings.INPUT_HANDLERS.TIME_LEFT_WARNING_MS
+            + Settings.INPUT_HANDLERS.MIN_RENEWAL_MS) {
+            // this input handler was cut short to warn the player now
+            inputHandler.warning = false;
+            ctx.outputSpeech.text(ctx.t('TIME_LEFT', { 'count': Math.round(remaining / 1000) }));
+        }
+        startInputHandler(handlerInput, remaining);
+        ctx.openMicrophone = false;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    // true if the events of the input handler started by `originatingRequestId` are expected
+    IsCurrent: function(sessionAttributes, originatingRequestId) {
+        const inputHandler = sessionAttributes.InputHandler;
+        return !!inputHandler && inputHandler.ids.indexOf(originatingRequestId) >= 0;
+    },
+
+    // Stops listening for button events, so that the input handler doesn't interrupt Alexa
+    // speaking a prompt; events from the input handlers of the input are ignored from now on.
+    // see: https://developer.amazon.com/docs/gadget-skills/receive-echo-button-events.html#stop
+    Stop: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const ctx = attributesManager.getRequestAttributes();
+        const inputHandler = sessionAttributes.InputHandler;
+        if (inputHandler && inputHandler.ids.length > 0) {
+            log.debug('stopping input');
+            ctx.directives.push(GadgetDirectives.stopInputHandler({
+                'id': inputHandler.ids[inputHandler.ids.length - 1]
+            }));
+        }
+        sessionAttributes.InputHandler = null;
+    }
+};
+
+module.exports = InputManager;
+
+/**
+ *  The remainingTime function returns how long the current input
+ *  still lasts, in ms, at the time of the request.
+ */
+function remainingTime(handlerInput) {
+    const inputHandler = handlerInput.attributesManager.getSessionAttributes().InputHandler;
+    const elapsed = Date.parse(handlerInput.requestEnvelope.request.timestamp)
+        - Date.parse(inputHandler.startTime);
+    return inputHandler.duration - (isNaN(elapsed) ? 0 : elapsed);
+};
+/**
+ *  The startInputHandler function adds the StartInputHandler
+ *  directive for the next `remaining` ms of the input. An input
+ *  handler lasts at most MAX_DURATION_MS; when the player is to be
+ *  warned, it ends when the warning is due.
+ */
+function startInputHandler(handlerInput, remaining) {
+    const {attributesManager} = handlerInput;
+    const sessionAttributes = attributesManager.getSessionAttributes();
+    const ctx = attributesManager.getRequestAttributes();
+    const inputHandler = sessionAttributes.InputHandler;
+    const settings = Settings.INPUT_HANDLERS;
+
+    let timeout = Math.min(remaining, settings.MAX_DURATION_MS);
+    if (inputHandler.warning && remaining - settings.TIME_LEFT_WARNING_MS >= settings.MIN_RENEWAL_MS) {
+        timeout = Math.min(timeout, remaining - settings.TIME_LEFT_WARNING_MS);
+    }
+    ctx.directives.push(GadgetDirectives.startInputHandler({
+        'timeout': timeout,
+        'proxies': inputHandler.input.proxies,
+        'maximumHistoryLength': inputHandler.input.maximumHistoryLength,
+        'recognizers': inputHandler.input.recognizers,
+        'events': inputHandler.input.events
+    }));
+    inputHandler.ids.push(handlerInput.requestEnvelope.request.requestId);
+    log.debug('input handler started', {
+        'timeoutMs': timeout,
+        'inputHandlerId': handlerInput.requestEnvelope.request.requestId,
+        'renewals': inputHandler.ids.length - 1
+    });
+};
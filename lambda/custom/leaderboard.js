@@ -0,0 +1,279 @@
+/*
+ * Copyright 2018 Amazon.com, Inc. and its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the License.
+ * A copy of the License is located at
+ *
+ * http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is distributed
+ * on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+'use strict';
+
+// import the skill settings constants
+const Settings = require('settings.js');
+// Input handlers, chained past the Game Engine time limit
+const InputManager = require('inputManager.js');
+// Structured logs and metrics
+const Logger = require('util/logger.js');
+// Well-formed speech, with the player's words escaped
+const SsmlBuilder = require('util/ssmlBuilder.js');
+const log = Logger.create('Leaderboard');
+
+// The stats we keep for every named player, stored by lowercase name under the
+// 'leaderboard' key of the persistent attributes, next to the profile of the user.
+// bestScore is the most points scored in a game (a round played on its own, or a whole
+// match), bestReactionMs the fastest match.
+const NEW_ENTRY = {
+    'name': '',
+    'gamesPlayed': 0,
+    'wins': 0,
+    'losses': 0,
+    'bestScore': 0,
+    'bestReactionMs': null,
+    'lastPlayed': null
+};
+
+// ***********************************************************************
+//   Leaderboard
+//     the players of the household say their name ("this is Marco"), and
+//     the games they play in the shades game are recorded under it. Players
+//     are ranked by their best score, then their win rate. The persistent
+//     attributes are saved by the Global.ResponseInterceptor; set the
+//     PERSISTENCE_ADAPTER to 'memory' or 'file' to keep them locally.
+// ***********************************************************************
+const Leaderboard = {
+
+    // returns a promise for the leaderboard of the user making the request
+    Load: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        return attributesManager.getPersistentAttributes()
+            .then((persistentAttributes) => {
+                persistentAttributes = persistentAttributes || {};
+                persistentAttributes.leaderboard = Object.assign({ 'players': {} }, persistentAttributes.leaderboard);
+                attributesManager.setPersistentAttributes(persistentAttributes);
+                return persistentAttributes.leaderboard;
+            });
+    },
+
+    // records the outcome of a game for the player called `name`, with the points they
+    // scored in it and their fastest match in it (undefined if none)
+    RecordGameResult: function(handlerInput, name, playerWon, score, reactionMs) {
+        log.debug('recording leaderboard result', { 'won': playerWon });
+        return Leaderboard.Load(handlerInput)
+            .then((leaderboard) => {
+                const entry = addPlayer(leaderboard, name);
+                entry.gamesPlayed += 1;
+                if (playerWon) {
+                    entry.wins += 1;
+                } else {
+                    entry.losses += 1;
+                }
+                entry.bestScore = Math.max(entry.bestScore, score || 0);
+                if (reactionMs !== undefined && (entry.bestReactionMs === null || reactionMs < entry.bestReactionMs)) {
+                    entry.bestReactionMs = reactionMs;
+                }
+                return entry;
+            });
+    },
+
+    // Returns the players who played at least one game, best first
+    Rank: function(leaderboard) {
+        return Object.keys(leaderboard.players)
+            .map((key) => leaderboard.players[key])
+            .filter((entry) => entry.gamesPlayed > 0)
+            .sort((a, b) => (b.bestScore - a.bestScore)
+                || (winRate(b) - winRate(a))
+                || a.name.localeCompare(b.name));
+    },
+
+    // "this is Marco", "player 2 is Anna": the games of the player are recorded under their name
+    NameIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { intent } = handlerInput.requestEnvelope.request;
+
+        InputManager.Stop(handlerInput);
+        const name = formatName(intent.slots.name && intent.slots.name.value);
+        const playerSlot = intent.slots.player && intent.slots.player.value;
+        const player = playerSlot === undefined || playerSlot === '?' ? 1 : parseInt(playerSlot, 10);
+        if (!Number.isInteger(player) || player < 1 || player > (sessionAttributes.playerCount || 1)) {
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('BUTTON_PLAYER_INVALID', { 'player': playerSlot }));
+            return askToPlay(handlerInput);
+        }
+        if (!name) {
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('NAME_REPROMPT'));
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('NAME_INVALID')).append(ctx.reprompt);
+            ctx.openMicrophone = true;
+            return handlerInput.responseBuilder.getResponse();
+        }
+
+        let playerNames = sessionAttributes.PlayerNames = sessionAttributes.PlayerNames || {};
+        if (playerNames[player] !== name) {
+            // a new player takes the button: their points in the match and their best time start from scratch
+            Object.keys(playerNames)
+                .filter((other) => playerNames[other] === name)
+                .forEach((other) => delete playerNames[other]);
+            playerNames[player] = name;
+            if (sessionAttributes.Match) {
+                delete sessionAttributes.Match.points[player];
+                delete sessionAttributes.Match.reactionMs[player];
+            }
+            delete (sessionAttributes.BestReactionTimes || {})[player];
+        }
+        log.info('player named', { 'player': player });
+        Logger.metric('PlayerNamed', 1);
+
+        return Leaderboard.Load(handlerInput)
+            .then((leaderboard) => {
+                const entry = addPlayer(leaderboard, name);
+                ctx.outputSpeech = SsmlBuilder.create();
+                if (sessionAttributes.playerCount > 1) {
+                    ctx.outputSpeech.text(ctx.t('NAME_PLAYER_CONFIRM', { 'player': player, 'name': name }));
+                }
+                ctx.outputSpeech.text(entry.gamesPlayed > 0
+                    ? ctx.t('NAME_WELCOME_BACK', { 'name': name })
+                    : ctx.t('NAME_CONFIRM', { 'name': name }));
+                return askToPlay(handlerInput);
+            });
+    },
+
+    // "read the leaderboard": the best players, with their best score
+    LeaderboardIntentHandler: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+
+        InputManager.Stop(handlerInput);
+        return Leaderboard.Load(handlerInput)
+            .then((leaderboard) => {
+                const ranking = Leaderboard.Rank(leaderboard).slice(0, Settings.LEADERBOARD.SIZE);
+                ctx.outputSpeech = SsmlBuilder.create();
+                if (ranking.length === 0) {
+                    ctx.outputSpeech.text(ctx.t('LEADERBOARD_EMPTY'));
+                    return askToPlay(handlerInput);
+                }
+                ctx.outputSpeech.text(ctx.t('LEADERBOARD_INTRO', { 'count': ranking.length }));
+                ranking.forEach((entry, index) => {
+                    ctx.outputSpeech.text(ctx.t('LEADERBOARD_ENTRY', {
+                        'rank': index + 1, 'name': entry.name, 'count': entry.bestScore
+                    }));
+                });
+                return askToPlay(handlerInput);
+            });
+    },
+
+    // "what's my high score", "what's Marco's best score": the personal bests of a player
+    PersonalBestIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { intent } = handlerInput.requestEnvelope.request;
+
+        InputManager.Stop(handlerInput);
+        // without a name, "my" scores are those of the only player named in this session
+        const sessionNames = Object.keys(sessionAttributes.PlayerNames || {})
+            .map((player) => sessionAttributes.PlayerNames[player]);
+        const name = formatName(intent.slots.name && intent.slots.name.value)
+            || (sessionNames.length === 1 ? sessionNames[0] : undefined);
+        if (!name) {
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('NAME_REPROMPT'));
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('PERSONAL_BEST_WHO'));
+            ctx.openMicrophone = true;
+            return handlerInput.responseBuilder.getResponse();
+        }
+
+        return Leaderboard.Load(handlerInput)
+            .then((leaderboard) => {
+                const entry = leaderboard.players[nameKey(name)];
+                ctx.outputSpeech = SsmlBuilder.create();
+                if (!entry || entry.gamesPlayed === 0) {
+                    ctx.outputSpeech.text(ctx.t('PERSONAL_BEST_NONE', { 'name': name }));
+                    return askToPlay(handlerInput);
+                }
+                const rank = Leaderboard.Rank(leaderboard).indexOf(entry) + 1;
+                ctx.outputSpeech.text(ctx.t('PERSONAL_BEST_SCORE', {
+                    'name': entry.name, 'count': entry.bestScore, 'rank': rank
+                }));
+                if (entry.bestReactionMs !== null) {
+                    ctx.outputSpeech.text(ctx.t('PERSONAL_BEST_REACTION', {
+                        'seconds': ctx.t.formatDecimal(entry.bestReactionMs / 1000, 1)
+                    }));
+                }
+                ctx.outputSpeech.text(ctx.t('PERSONAL_BEST_WINS', {
+                    'wins': entry.wins,
+                    'count': entry.gamesPlayed,
+                    'percent': Math.round(winRate(entry) * 100)
+                }));
+                return askToPlay(handlerInput);
+            });
+    }
+};
+
+module.exports = Leaderboard;
+
+/**
+ *  The formatName function capitalizes each word of a name as heard
+ *  by Alexa ("marco" reads back as "Marco"), or returns undefined
+ *  when no name was heard.
+ */
+function formatName(value) {
+    const words = (value || '').trim().split(/\s+/).filter((word) => word.length > 0);
+    if (words.length === 0) {
+        return undefined;
+    }
+    return words.map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+};
+/**
+ *  The nameKey function returns the key a player is stored under,
+ *  whatever the case the name was heard with.
+ */
+function nameKey(name) {
+    return name.toLowerCase();
+};
+/**
+ *  The addPlayer function returns the leaderboard entry of a player,
+ *  adding one for a new player. When the leaderboard is full, the
+ *  player who played least recently makes room for the new one.
+ */
+function addPlayer(leaderboard, name) {
+    const key = nameKey(name);
+    if (!leaderboard.players[key]) {
+        const keys = Object.keys(leaderboard.players);
+        if (keys.length >= Settings.LEADERBOARD.MAX_PLAYERS) {
+            const oldest = keys.reduce((a, b) =>
+                (leaderboard.players[a].lastPlayed || '') <= (leaderboard.players[b].lastPlayed || '') ? a : b);
+            log.info('leaderboard full, dropping a player', { 'players': keys.length });
+            delete leaderboard.players[oldest];
+        }
+        leaderboard.players[key] = Object.assign({}, NEW_ENTRY, { 'name': name });
+    }
+    leaderboard.players[key].lastPlayed = new Date().toISOString();
+    return leaderboard.players[key];
+};
+/**
+ *  The winRate function returns the share of the games a player won.
+ */
+function winRate(entry) {
+    return entry.gamesPlayed > 0 ? entry.wins / entry.gamesPlayed : 0;
+};
+/**
+ *  The askToPlay function ends the response with the prompt of the
+ *  current state: whether to play again, or the color to play with.
+ */
+function askToPlay(handlerInput) {
+    const {attributesManager} = handlerInput;
+    const ctx = attributesManager.getRequestAttributes();
+    const sessionAttributes = attributesManager.getSessionAttributes();
+
+    ctx.reprompt = sessionAttributes.state === Settings.SKILL_STATES.EXIT_MODE
+        ? SsmlBuilder.create().text(ctx.t('PLAY_AGAIN_REPROMPT'))
+        : SsmlBuilder.create().text(ctx.t('HELP_PLAY_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+    ctx.outputSpeech.append(ctx.reprompt);
+    ctx.openMicrophone = true;
+    return handlerInput.responseBuilder.getResponse();
+};
@@ -0,0 +1,91 @@
+/*
+ * Copyright 2018 Amazon.com, Inc. and its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the License.
+ * A copy of the License is located at
+ *
+ * http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is distributed
+ * on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+'use strict';
+
+const Logger = require('util/logger.js');
+const log = Logger.create('PlayerProfile');
+
+// The lifetime stats we keep for every user, stored under the 'profile' key
+// of the persistent attributes. A positive currentStreak counts wins in a row,
+// a negative one counts losses in a row.
+const NEW_PROFILE = {
+    'gamesPlayed': 0,
+    'wins': 0,
+    'losses': 0,
+    'currentStreak': 0,
+    'bestStreak': 0,
+    'colorCounts': {},
+    'favoriteColor': null
+};
+
+// ***********************************************************************
+//   Player Profile
+//     keeps per-user lifetime stats in the persistent attributes;
+//     the persistent attributes are saved by the Global.ResponseInterceptor
+// ***********************************************************************
+const PlayerProfile = {
+
+    // returns a promise for the profile of the user making the request
+    Load: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        return attributesManager.getPersistentAttributes()
+            .then((persistentAttributes) => {
+                persistentAttributes = persistentAttributes || {};
+                persistentAttributes.profile = Object.assign({}, NEW_PROFILE,
+                    { 'colorCounts': {} }, persistentAttributes.profile);
+                attributesManager.setPersistentAttributes(persistentAttributes);
+                return persistentAttributes.profile;
+            });
+    },
+
+    // records the outcome of a game, along with the color the game was played with
+    RecordGameResult: function(handlerInput, playerWon, color) {
+        log.debug('recording game result', { 'won': playerWon });
+        return PlayerProfile.Load(handlerInput)
+            .then((profile) => {
+                profile.gamesPlayed += 1;
+                if (playerWon) {
+                    profile.wins += 1;
+                    profile.currentStreak = Math.max(profile.currentStreak, 0) + 1;
+                    profile.bestStreak = Math.max(profile.bestStreak, profile.currentStreak);
+                } else {
+                    profile.losses += 1;
+                    profile.currentStreak = Math.min(profile.currentStreak, 0) - 1;
+                }
+                if (color) {
+                    profile.colorCounts[color] = (profile.colorCounts[color] || 0) + 1;
+                    profile.favoriteColor = pickFavoriteColor(profile.colorCounts);
+                }
+                return profile;
+            });
+    }
+};
+
+module.exports = PlayerProfile;
+
+/**
+ *  The pickFavoriteColor function returns the color that was
+ *  played most often.
+ */
+function pickFavoriteColor(colorCounts) {
+    let favorite = null;
+    Object.keys(colorCounts).forEach((color) => {
+        if (favorite === null || colorCounts[color] > colorCounts[favorite]) {
+            favorite = color;
+        }
+    });
+    return favorite;
+};
@@ -0,0 +1,307 @@
+/*
+ * Copyright 2018 Amazon.com, Inc. and its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the License.
+ * A copy of the License is located at
+ *
+ * http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is distributed
+ * on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+'use strict';
+
+// Gadget Directives Builder
+const GadgetDirectives = require('util/gadgetDirectives.js');
+// Recognizers and events for the input handlers
+const InputHandlerBuilder = require('util/inputHandlerBuilder.js');
+// Basic Animation Helper Library
+const BasicAnimations = require('button_animations/basicAnimations.js');
+// Fluent builder for custom animation sequences
+const AnimationBuilder = require('button_animations/animationBuilder.js');
+// import the skill settings constants
+const Settings = require('settings.js');
+// Shades and difficulty levels of the shades game
+const GamePlay = require('gameplay.js');
+// Listens for button events, across input handlers
+const InputManager = require('inputManager.js');
+// Structured logs and metrics
+const Logger = require('util/logger.js');
+// Well-formed speech, with the player's words escaped
+const SsmlBuilder = require('util/ssmlBuilder.js');
+const log = Logger.create('Race');
+
+/* The animations for winning and losing, played on the button of each player */
+const WINNING_ANIMATION = Settings.RESULT_ANIMATIONS.Win;
+const LOSING_ANIMATION = Settings.RESULT_ANIMATIONS.Lose;
+
+// A short flash when a player presses their button, so they know the press was seen
+const PRESS_ANIMATION = BasicAnimations.SolidAnimation(1, "white", 100);
+
+// The Game Engine reports an event once unless told otherwise: a player can keep pressing
+// after a wrong press, until one of them finds the target shade
+const MAX_PRESSES_PER_POINT = 100;
+
+// Define a recognizer for button down events on each player's button, and an event for each
+// player, so that the first player to press is the first event reported. The input handler
+// doesn't end on a press, and presses made before the buttons roll through the shades are ignored.
+// see: https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html#recognizers
+function configureRace(racerIds, rollStartMs) {
+    return racerIds.reduce((builder, gadgetId, index) => builder
+            .match(recognizerName(index + 1), [ InputHandlerBuilder.down([ gadgetId ]) ],
+                { "fuzzy": false, "anchor": "end" })
+            .event(Race.PressEventName(index + 1), {
+                "meets": [ recognizerName(index + 1) ],
+                "reports": "matches",
+                "shouldEndInputHandler": false,
+                "maximumInvocations": MAX_PRESSES_PER_POINT,
+                "triggerTimeMilliseconds": rollStartMs
+            }),
+        InputHandlerBuilder.create())
+        .timeoutEvent()
+        .build();
+}
+
+
+// ***********************************************************************
+//   RACE_MODE Handlers
+//     a head-to-head race between two players, on the first two registered
+//     buttons: both buttons show the target shade, then roll through the
+//     shades of a color. The first player to press on the target shade wins
+//     the point, and a wrong press loses one.
+// ***********************************************************************
+const Race = {
+    // "race": starts a new race, on shades of the last color picked
+    RaceIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+
+        InputManager.Stop(handlerInput);
+        const color = sessionAttributes.ColorChoice || Settings.RACE.DEFAULT_COLOR;
+        // the scores of player 1 and player 2
+        sessionAttributes.Race = { 'color': color, 'scores': [0, 0] };
+        sessionAttributes.GameMode = 'race';
+        log.info('race started', { 'color': color });
+
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('RACE_START', {
+            'color': GamePlay.DescribeColor(ctx.t, sessionAttributes, color),
+            'count': Settings.RACE.POINTS_TO_WIN
+        }));
+        return Race.StartPoint(handlerInput);
+    },
+
+    // The name of the event reported when player `playerNumber` presses their button
+    PressEventName: function(playerNumber) {
+        return 'player_' + playerNumber + '_pressed';
+    },
+
+    // Picks a new target shade and listens for the players' buttons. The buttons of the players
+    // first show who won the last point (`lastWinner`, when there is one), then the target shade.
+    // The caller is responsible for the speech before the point.
+    StartPoint: function(handlerInput, lastWinner) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { request } = handlerInput.requestEnvelope;
+        const race = sessionAttributes.Race;
+        const difficulty = GamePlay.GetDifficulty(sessionAttributes);
+
+        const colorShades = GamePlay.GetColorShades(sessionAttributes, race.color);
+        race.target = colorShades[Math.floor(Math.random() * colorShades.length)];
+
+        const racerIds = getRacerIds(sessionAttributes);
+        const results = racerIds.map((gadgetId, index) => lastWinner === undefined ? []
+            : (index + 1 === lastWinner ? WINNING_ANIMATION : LOSING_ANIMATION).animations);
+        // both buttons show the target shade at the same time, even if the results don't last as long
+        const resultMs = Math.max.apply(null, results.map(animationDuration));
+        const rollStartMs = resultMs + Settings.RACE.TARGET_MS;
+        const duration = Math.min(rollStartMs + difficulty.ROUND_TIMEOUT_MS, Settings.INPUT_HANDLERS.MAX_DURATION_MS);
+        race.startTime = request.timestamp;
+        race.duration = duration;
+        log.debug('point started', { 'target': race.target, 'durationMs': duration });
+
+        InputManager.Start(handlerInput, {
+            'duration': duration,
+            'input': configureRace(racerIds, rollStartMs)
+        });
+
+        const rolling = GamePlay.MakeRollingAnimation(sessionAttributes, colorShades, difficulty.ROUND_TIMEOUT_MS);
+        racerIds.forEach((gadgetId, index) => {
+            ctx.directives.push(GadgetDirectives.setIdleAnimation({
+                'targetGadgets': [ gadgetId ],
+                'animations': makeLeadIn(results[index], resultMs, race.target).concat(rolling)
+            } ));
+        });
+        /* a press flashes the button, then it rolls through the shades again */
+        ctx.directives.push(GadgetDirectives.setButtonDownAnimation({
+            'targetGadgets': racerIds,
+            'animations': PRESS_ANIMATION
+        } ));
+        ctx.directives.push(GadgetDirectives.setButtonUpAnimation({
+            'targetGadgets': racerIds,
+            'animations': rolling
+        } ));
+
+        ctx.outputSpeech.text(ctx.t('RACE_WATCH'));
+        ctx.outputSpeech.append(GamePlay.ShadeCue(ctx.t, sessionAttributes, race.target));
+        ctx.outputSpeech.audio(Settings.WAITING_AUDIO);
+
+        sessionAttributes.state = Settings.SKILL_STATES.RACE_MODE;
+        ctx.openMicrophone = false;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    HandleButtonPressed: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { request } = handlerInput.requestEnvelope;
+        const race = sessionAttributes.Race;
+
+        const inputEvent = ctx.gameInputEvents[0];
+        const racerIds = getRacerIds(sessionAttributes);
+        const playerNumber = racerIds.indexOf(inputEvent.gadgetId) + 1;
+        // judged like the shades game: a shade that looks the same as the target is correct
+        const correct = GamePlay.JudgeMatch(race.target, inputEvent.color).verdict !== 'far';
+        log.info('race press', { 'player': playerNumber, 'color': inputEvent.color, 'correct': correct });
+
+        if (!correct) {
+            // the point goes on: the other player can still find the target shade
+            race.scores[playerNumber - 1] = Math.max(race.scores[playerNumber - 1] - 1, 0);
+            ctx.outputSpeech = SsmlBuilder.create()
+                .audio(Settings.LOSING_AUDIO)
+                .text(ctx.t('RACE_WRONG', { 'player': playerNumber }));
+            // on the skill's clock, like the start of the point: the button's clock can be off
+            const elapsed = Date.parse(request.timestamp) - Date.parse(race.startTime);
+            const remaining = isNaN(elapsed) ? race.duration : Math.max(race.duration - elapsed, 0);
+            ctx.directives.push(GadgetDirectives.setIdleAnimation({
+                'targetGadgets': [ inputEvent.gadgetId ],
+                'animations': LOSING_ANIMATION.animations.concat(GamePlay.MakeRollingAnimation(sessionAttributes,
+                    GamePlay.GetColorShades(sessionAttributes, race.color), remaining))
+            } ));
+            ctx.openMicrophone = false;
+            return handlerInput.responseBuilder.getResponse();
+        }
+
+        InputManager.Stop(handlerInput);
+        race.scores[playerNumber - 1] += 1;
+        ctx.outputSpeech = SsmlBuilder.create()
+            .audio(Settings.WINNING_AUDIO)
+            .text(ctx.t('RACE_POINT', { 'player': playerNumber }));
+        if (race.scores[playerNumber - 1] >= Settings.RACE.POINTS_TO_WIN) {
+            return Race.EndRace(handlerInput);
+        }
+        ctx.outputSpeech.text(ctx.t('RACE_SCORE', { 'one': race.scores[0], 'two': race.scores[1] }));
+        return Race.StartPoint(handlerInput, playerNumber);
+    },
+
+    HandleTimeout: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        log.info('race point timed out');
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('TIME_IS_UP'));
+        return Race.EndRace(handlerInput);
+    },
+
+    // Help in the middle of a race ends it: the players choose what to play next
+    HelpIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+
+        InputManager.Stop(handlerInput);
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('RACE_HELP_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('HELP_RACE')).append(ctx.reprompt);
+        sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    // Recovery prompt for the intents refused during a race
+    Recover: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        // the input handler is still listening for the players' buttons
+        ctx.outputSpeech.text(ctx.t('RACE_CONTINUE'));
+        ctx.openMicrophone = false;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    // Ends the race: the player with the most points wins, and I ask whether they want to
+    // race again. The caller has already added the speech saying why the race ended.
+    EndRace: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const scores = sessionAttributes.Race.scores;
+
+        InputManager.Stop(handlerInput);
+        const winner = scores[0] === scores[1] ? 0 : (scores[0] > scores[1] ? 1 : 2);
+        const finished = winner > 0 && scores[winner - 1] >= Settings.RACE.POINTS_TO_WIN;
+        log.info('race over', { 'winner': winner, 'scores': scores });
+        Logger.metric('RaceFinished', 1, { 'reason': finished ? 'points' : 'timeout' });
+
+        ctx.outputSpeech.text(winner > 0
+            ? ctx.t('RACE_WINNER', { 'player': winner, 'score': scores[winner - 1], 'other': scores[2 - winner] })
+            : ctx.t('RACE_TIE', { 'score': scores[0] }));
+        ctx.outputSpeech.text(ctx.t('PLAY_AGAIN_QUESTION'));
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('PLAY_AGAIN_REPROMPT'));
+
+        let deviceIds = sessionAttributes.DeviceIDs;
+        getRacerIds(sessionAttributes).forEach((gadgetId, index) => {
+            let idleAnimation = index + 1 === winner ? WINNING_ANIMATION : LOSING_ANIMATION;
+            ctx.directives.push(GadgetDirectives.setIdleAnimation(
+                idleAnimation, {'targetGadgets': [ gadgetId ] } ));
+        });
+        ctx.directives.push(GadgetDirectives.setButtonDownAnimation(
+            Settings.DEFAULT_ANIMATIONS.ButtonDown, {'targetGadgets': deviceIds } ));
+        ctx.directives.push(GadgetDirectives.setButtonUpAnimation(
+            Settings.DEFAULT_ANIMATIONS.ButtonUp, {'targetGadgets': deviceIds } ));
+
+        // enter the ExitMode and see if the players would like to race again
+        sessionAttributes.state = Settings.SKILL_STATES.EXIT_MODE;
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    }
+};
+
+module.exports = Race;
+
+/**
+ *  The getRacerIds function returns the buttons of the race: the
+ *  first registered button is player 1's, the second one player 2's.
+ */
+function getRacerIds(sessionAttributes) {
+    return sessionAttributes.DeviceIDs.slice(0, 2);
+};
+/**
+ *  The recognizerName function names the recognizer for the
+ *  presses of player `playerNumber`.
+ */
+function recognizerName(playerNumber) {
+    return 'player_' + playerNumber + '_down';
+};
+/**
+ *  The animationDuration function returns how long the animations
+ *  of a SetLight directive last, repeats included.
+ */
+function animationDuration(animations) {
+    return animations.length > 0 ? AnimationBuilder.from(animations).duration() : 0;
+};
+/**
+ *  The makeLeadIn function returns the start of a player's animation
+ *  for a point: the result of the last point, kept dark until
+ *  `resultMs` so that both buttons show the target shade together,
+ *  then the target shade.
+ */
+function makeLeadIn(result, resultMs, target) {
+    let leadIn = AnimationBuilder.create();
+    const padding = resultMs - animationDuration(result);
+    if (padding > 0) {
+        leadIn = leadIn.step('black', padding);
+    }
+    return result.concat(leadIn.step(target, Settings.RACE.TARGET_MS).build());
+};
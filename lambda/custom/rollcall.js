@@ -18,10 +18,21 @@
 const Alexa = require('ask-sdk-core');
 // Gadget Directives Builder
 const GadgetDirectives = require('util/gadgetDirectives.js');
+// Recognizers and events for the input handlers
+const InputHandlerBuilder = require('util/inputHandlerBuilder.js');
 // Basic Animation Helper Library
 const BasicAnimations = require('button_animations/basicAnimations.js');
 // import the skill settings constants 
 const Settings = require('settings.js');
+// Listens for button events, across input handlers
+const InputManager = require('inputManager.js');
+// Canonical values of custom slots, whatever the locale
+const Slots = require('util/slots.js');
+// Structured logs and metrics
+const Logger = require('util/logger.js');
+// Well-formed speech, with the player's words escaped
+const SsmlBuilder = require('util/ssmlBuilder.js');
+const log = Logger.create('RollCall');
 
 
 // Define some animations that we'll use during roll call, to be played in various situations,
@@ -50,61 +61,36 @@ const ROLL_CALL_ANIMATIONS = {
     }
 };
 
-// Define two recognizers that will capture the first time each of two arbitrary buttons is pressed. 
-//  We'll use proxies to refer to the two different buttons because we don't know ahead of time 
-//  which two buttons will be used (see: https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html#proxies)
-// The two recogniziers will be used as triggers for two input handler events, used during roll call. 
-// see: https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html#recognizers
-const ROLL_CALL_RECOGNIZERS = {
-    "roll_call_first_button_recognizer": {
-        "type": "match",
-        "fuzzy": false,
-        "anchor": "end",
-        "pattern": [{
-                "gadgetIds": [ "first_button" ],
-                "action": "down"
-            }
-        ]
-    },
-    "roll_call_second_button_recognizer": {
-        "type": "match",
-        "fuzzy": true,
-        "anchor": "end",
-        "pattern": [
-            {
-                "gadgetIds": [ "first_button" ],
-                "action": "down"
-            },
-            {
-                "gadgetIds": [ "second_button" ],
-                "action": "down"
-            }]
-    }
-};
+// Check-in events are named after the button they register: "button_1_checked_in" for the
+// reference button, "button_2_checked_in" for the first player's button, and so on
+const CHECK_IN_EVENT_PATTERN = /^button_(\d+)_checked_in$/;
 
-// Define named events based on the ROLL_CALL_RECOGNIZERS and the built-in "timed out" recognizer
-// to report back to the skill when the first button checks in, when the second button checks in,
-// as well as then the input handler times out, if this happens before two buttons checked in. 
-// see: https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html#define
-const ROLL_CALL_EVENTS = {
-    "first_button_checked_in": {
-        "meets": ["roll_call_first_button_recognizer"],
-        "reports": "matches",
-        "shouldEndInputHandler": false,
-        "maximumInvocations": 1
-    },
-    "second_button_checked_in": {
-        "meets": ["roll_call_second_button_recognizer"],
-        "reports": "matches",
-        "shouldEndInputHandler": true,
-        "maximumInvocations": 1
-    },
-    "timeout": {
-        "meets": ["timed out"],
-        "reports": "history",
-        "shouldEndInputHandler": true
+// Build the proxies, recognizers and events for a roll call of `buttonCount` buttons.
+//  We'll use proxies to refer to the different buttons because we don't know ahead of time 
+//  which buttons will be used (see: https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html#proxies)
+//  The recognizer for button N matches, in order, the first press of buttons 1 through N, and
+//  triggers the "button_N_checked_in" event; the event for the last button ends the input handler.
+//  The "timeout" event reports back when the input handler times out, before all the buttons checked in.
+// see: https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html#recognizers
+//      https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html#define
+function configureRollCall(buttonCount) {
+    let proxies = [];
+    let rollCall = InputHandlerBuilder.create();
+    for (let n = 1; n <= buttonCount; n++) {
+        proxies.push("button_" + n);
+        rollCall = rollCall
+            .match("roll_call_button_" + n + "_recognizer",
+                proxies.map((proxy) => InputHandlerBuilder.down([ proxy ])),
+                { "fuzzy": n > 1, "anchor": "end" })
+            .event("button_" + n + "_checked_in", {
+                "meets": ["roll_call_button_" + n + "_recognizer"],
+                "reports": "matches",
+                "shouldEndInputHandler": n === buttonCount,
+                "maximumInvocations": 1
+            });
     }
-};
+    return rollCall.proxies(proxies).timeoutEvent().build();
+}
 
 
 // ***********************************************************************
@@ -113,41 +99,57 @@ const ROLL_CALL_EVENTS = {
 // ***********************************************************************
 const RollCall = {
     NewSession: function(handlerInput) {
-        console.log("RollCall::NewSession");
+        log.debug('new session');
         
         const ctx = handlerInput.attributesManager.getRequestAttributes();
 
          /* setup the output speech that Alexa should speak when roll call is stared, */
          /* after the skill is first launched */
-         ctx.outputSpeech = ["Welcome to Quick Colors!"];
-         ctx.outputSpeech.push("We need two buttons for this game.");
-         ctx.outputSpeech.push("You'll pick a color and I'll use the ");
-         ctx.outputSpeech.push("first button to display a shade of your color.");
-         ctx.outputSpeech.push("Using the second button, you'll have to try ");
-         ctx.outputSpeech.push("to match the color I'm showing on mine.");
-         ctx.outputSpeech.push("Are you ready?");
-         ctx.outputSpeech.push("To get started, assign a button to me, by pressing it now. ");
-         ctx.outputSpeech.push(Settings.WAITING_AUDIO);
+         ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('WELCOME'));
+         ctx.outputSpeech.audio(Settings.WAITING_AUDIO);
 
-         ctx.timeout = 50000;
-         
          ctx.openMicrophone = true;
-         return RollCall.StartRollCall(handlerInput);
+         return RollCall.StartRollCall(handlerInput, Settings.ROLL_CALL.TIMEOUT_MS);
+    },
+    PlayerCountIntentHandler: function(handlerInput) {
+        const { attributesManager } = handlerInput;        
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const { request } = handlerInput.requestEnvelope;
+
+        const playerCount = parseInt(Slots.resolvedValue(request.intent.slots && request.intent.slots.players), 10);
+        log.debug('player count', { 'playerCount': playerCount });
+
+        if (isNaN(playerCount) || playerCount < Settings.ROLL_CALL.MIN_PLAYERS
+            || playerCount > Settings.ROLL_CALL.MAX_PLAYERS) {
+            ctx.reprompt = SsmlBuilder.create().text(ctx.t('PLAYER_COUNT_REPROMPT'));
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('PLAYER_COUNT_INVALID')).append(ctx.reprompt);
+            ctx.openMicrophone = true;
+            return handlerInput.responseBuilder.getResponse();
+        }
+
+        // restart roll call, now expecting one button for me and one for each player
+        sessionAttributes.playerCount = playerCount;
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('PLAYER_COUNT_CONFIRM', { 'count': playerCount }));
+        ctx.outputSpeech.text(ctx.t('PLAYER_COUNT_INSTRUCTIONS'));
+        ctx.outputSpeech.audio(Settings.WAITING_AUDIO);
+        return RollCall.StartRollCall(handlerInput, Settings.ROLL_CALL.TIMEOUT_MS);
     },
-    StartRollCall: function(handlerInput) {
-        console.log("RollCall::StartRollCall");
+    // Starts listening for the buttons to check in, for `timeout` ms
+    StartRollCall: function(handlerInput, timeout) {
         const { attributesManager } = handlerInput;        
         const ctx = attributesManager.getRequestAttributes();
         const sessionAttributes = attributesManager.getSessionAttributes();
+        const playerCount = sessionAttributes.playerCount || Settings.ROLL_CALL.MIN_PLAYERS;
  
-        console.log("RollCall::StartRollCall -> timeout = " + ctx.timeout);
-        // add a StartInputHandler directive using the ROLL_CALL recognizers and events
-        ctx.directives.push(GadgetDirectives.startInputHandler({ 
-            'timeout': ctx.timeout, 
-            'proxies': ['first_button', 'second_button'],
-            'recognizers': ROLL_CALL_RECOGNIZERS, 
-            'events': ROLL_CALL_EVENTS 
-        }));
+        log.info('roll call started', { 'timeoutMs': timeout, 'playerCount': playerCount });
+        // add a StartInputHandler directive using the roll call recognizers and events,
+        // for one reference button plus one button per player. Roll call isn't renewed: when
+        // it times out, the players are asked whether they want more time.
+        InputManager.Start(handlerInput, {
+            'duration': timeout,
+            'input': configureRollCall(playerCount + 1)
+        });
         ctx.directives.push(GadgetDirectives.setButtonDownAnimation(
             ROLL_CALL_ANIMATIONS.ButtonCheckInDown));                            
         ctx.directives.push(GadgetDirectives.setButtonUpAnimation(
@@ -155,85 +157,108 @@ const RollCall = {
  
         // start keeping track of some state
         // see: https://developer.amazon.com/docs/gadget-skills/save-state-echo-button-skill.html
+        sessionAttributes.playerCount = playerCount;
         sessionAttributes.buttonCount = 0;
         sessionAttributes.isRollCallComplete = false;
-        sessionAttributes.expectingEndSkillConfirmation = false;
-        // setup an array of DeviceIDs to hold IDs of buttons that will be used in the skill
-        sessionAttributes.DeviceIDs = [];        
-        sessionAttributes.DeviceIDs[0] = "Device ID listings";
-        // Save StartInput Request ID
-        sessionAttributes.CurrentInputHandlerID = handlerInput.requestEnvelope.request.requestId;
+        sessionAttributes.state = Settings.SKILL_STATES.ROLL_CALL_MODE;
+        // setup a list of the IDs of the buttons that will be used in the skill, in check-in order:
+        // the first one is the reference button, the others belong to players 1, 2 and 3
+        sessionAttributes.DeviceIDs = [];
  
         ctx.openMicrophone = false;
         return handlerInput.responseBuilder.getResponse();
     },     
+
+    // returns true for the names of the events reported when buttons check in
+    IsCheckInEvent: function(eventName) {
+        return CHECK_IN_EVENT_PATTERN.test(eventName);
+    },
      
-    HandleFirstButtonCheckIn: function(handlerInput) {
-        console.log("RollCall::InputHandlerEvent::first_button_checked_in");
+    HandleButtonCheckIn: function(handlerInput) {
         const {attributesManager} = handlerInput;
         const ctx = attributesManager.getRequestAttributes();
         const sessionAttributes = attributesManager.getSessionAttributes();
+        const gameInputEvents = ctx.gameInputEvents;
+        const expectedButtons = sessionAttributes.playerCount + 1;
 
-        console.log("RollCall:: request attributes  = " + JSON.stringify(ctx, null, 2));
+        // each event reports the presses of all the buttons checked in so far, so we only
+        // keep the buttons we haven't seen yet; once roll call is complete any late event is ignored
+        const previousCount = sessionAttributes.DeviceIDs.length;
+        let newButtonIds = [];
+        for (let i = 0; i < gameInputEvents.length; i++) {
+            let buttonId = gameInputEvents[i].gadgetId;
+            if (sessionAttributes.isRollCallComplete !== true
+                && sessionAttributes.DeviceIDs.length < expectedButtons
+                && sessionAttributes.DeviceIDs.indexOf(buttonId) === -1) {
+                sessionAttributes.DeviceIDs.push(buttonId);
+                newButtonIds.push(buttonId);
+            }
+        }
+        sessionAttributes.buttonCount = sessionAttributes.DeviceIDs.length;
+        log.debug('buttons checked in', { 'gadgetIds': newButtonIds, 'buttonCount': sessionAttributes.buttonCount });
 
-        // just in case we ever get this event, after the `second_button_checked_in` event
-        //  was already handled, we check the make sure the `buttonCount` attribute is set to 0;
-        //   if not, we will silently ignore the event
-        if (sessionAttributes.buttonCount === 0) {                        
-            /* Say something when we first encounter a button */
-            ctx.outputSpeech = ["Thanks! I'll use this button. Now, add one more for yourself."];
-            ctx.outputSpeech.push(Settings.WAITING_AUDIO)
+        if (newButtonIds.length === 0) {
+            ctx.openMicrophone = false;
+            return handlerInput.responseBuilder.getResponse();
+        }
+        if (sessionAttributes.buttonCount === expectedButtons) {
+            return RollCall.CompleteRollCall(handlerInput, previousCount);
+        }
 
-            let fistButtonId = ctx.gameInputEvents[0].gadgetId;
-            ctx.directives.push(GadgetDirectives.setIdleAnimation(
-                ROLL_CALL_ANIMATIONS.ButtonCheckInIdle, { 'targetGadgets': [fistButtonId] } ));
-            
-            sessionAttributes.DeviceIDs[1] = fistButtonId;
-            sessionAttributes.buttonCount = 1;
+        /* Say something when we encounter new buttons */
+        const nextPlayer = sessionAttributes.buttonCount;
+        if (previousCount === 0 && sessionAttributes.playerCount === 1) {
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('CHECK_IN_REFERENCE_SINGLE_PLAYER'));
+        } else if (previousCount === 0) {
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('CHECK_IN_REFERENCE', { 'player': nextPlayer }));
+        } else {
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('CHECK_IN_PLAYER', { 'player': nextPlayer }));
         }
+        ctx.outputSpeech.audio(Settings.WAITING_AUDIO);
+
+        ctx.directives.push(GadgetDirectives.setIdleAnimation(
+            ROLL_CALL_ANIMATIONS.ButtonCheckInIdle, { 'targetGadgets': newButtonIds } ));
          
         ctx.openMicrophone = false;
         return handlerInput.responseBuilder.getResponse();
     },    
-    HandleSecondButtonCheckIn: function(handlerInput) {
-        console.log("RollCall::InputHandlerEvent::second_button_checked_in");
+    CompleteRollCall: function(handlerInput, previousCount) {
         const {attributesManager} = handlerInput;
         const ctx = attributesManager.getRequestAttributes();
         const sessionAttributes = attributesManager.getSessionAttributes();
-        const gameInputEvents = ctx.gameInputEvents;
-        console.log("RollCall::InputHandlerEvent::second_button_checked_in");
+        log.info('roll call complete', { 'playerCount': sessionAttributes.playerCount });
+        Logger.metric('RollCallCompleted', 1, { 'players': String(sessionAttributes.playerCount) });
         
-        ctx.reprompt = ["Please pick a color: green, red, or blue"];
-        ctx.outputSpeech = [];
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('CHOOSE_COLOR_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+        ctx.outputSpeech = SsmlBuilder.create();
 
-        if (sessionAttributes.buttonCount == 0) {
+        if (sessionAttributes.isRegisteringAgain) {
+            /* the buttons were registered again in the middle of a game, which goes on */
+            ctx.outputSpeech.text(ctx.t('ROLL_CALL_COMPLETE_AGAIN'));
+        } else if (sessionAttributes.playerCount > 1) {
+            ctx.outputSpeech.text(ctx.t('ROLL_CALL_COMPLETE_MULTI_PLAYER', { 'count': sessionAttributes.playerCount }));
+            ctx.outputSpeech.break('1s');
+            ctx.outputSpeech.text(ctx.t('START_GAME'));
+        } else if (previousCount === 0) {
             /* just got both buttons at the same time */
-            ctx.outputSpeech.push("We both have buttons.");
-            ctx.outputSpeech.push("<break time='1s'/>");
-            ctx.outputSpeech.push("Awesome. Let's start the game!");
-
-            sessionAttributes.DeviceIDs[1] = gameInputEvents[0].gadgetId;
-            sessionAttributes.DeviceIDs[2] = gameInputEvents[1].gadgetId;
-
+            ctx.outputSpeech.text(ctx.t('ROLL_CALL_COMPLETE_TOGETHER'));
+            ctx.outputSpeech.break('1s');
+            ctx.outputSpeech.text(ctx.t('START_GAME_AWESOME'));
         } else {
             /* already had button 1, just got button 2.. */
-            ctx.outputSpeech.push("I see your button too.");
-            ctx.outputSpeech.push("<break time='1s'/>");
-            ctx.outputSpeech.push("Let's start the game!");
-
-            if (sessionAttributes.DeviceIDs.indexOf(gameInputEvents[0].gadgetId) === -1) {
-                sessionAttributes.DeviceIDs[2] = gameInputEvents[0].gadgetId;
-            } else {
-                sessionAttributes.DeviceIDs[2] = gameInputEvents[1].gadgetId;
-            }                        
+            ctx.outputSpeech.text(ctx.t('ROLL_CALL_COMPLETE_SECOND'));
+            ctx.outputSpeech.break('1s');
+            ctx.outputSpeech.text(ctx.t('START_GAME'));
         }
-        sessionAttributes.buttonCount = 2;
         
+        if (!sessionAttributes.isRegisteringAgain && !sessionAttributes.PlayerNames) {
+            /* the players can tell me their names, for the leaderboard */
+            ctx.outputSpeech.text(sessionAttributes.playerCount > 1 ? ctx.t('NAME_HINT_MULTI_PLAYER') : ctx.t('NAME_HINT'));
+        }
         /* .. and ask use to pick a color for the next stage of the skill */
-        ctx.outputSpeech.push("Choose a color: red, blue, or green.");
+        ctx.outputSpeech.text(ctx.t('CHOOSE_COLOR', { 'colors': ctx.t('COLOR_CHOICES') }));
             
         let deviceIds = sessionAttributes.DeviceIDs;
-        deviceIds = deviceIds.slice(-2);
 
         // send an idle animation to registered buttons
         ctx.directives.push(GadgetDirectives.setIdleAnimation(
@@ -245,23 +270,27 @@ const RollCall = {
             Settings.DEFAULT_ANIMATIONS.ButtonUp));
     
         sessionAttributes.isRollCallComplete = true;
+        sessionAttributes.isRegisteringAgain = false;
         sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
 
         ctx.openMicrophone = true;
         return handlerInput.responseBuilder.getResponse();
     },
     HandleTimeout: function(handlerInput) {
-        console.log("rollCallModeIntentHandlers::InputHandlerEvent::timeout");
         const {attributesManager} = handlerInput;
         const ctx = attributesManager.getRequestAttributes();
         const sessionAttributes = attributesManager.getSessionAttributes();        
+        log.info('roll call timed out', {
+            'playerCount': sessionAttributes.playerCount,
+            'buttonCount': sessionAttributes.DeviceIDs.length
+        });
+        Logger.metric('RollCallFailed', 1, { 'players': String(sessionAttributes.playerCount) });
 
-        ctx.outputSpeech = ["For this skill we need two buttons."];
-        ctx.outputSpeech.push("Would you like more time to press the buttons?");
-        ctx.reprompt = ["Say yes to go back and add buttons, or no to exit now."];
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('ROLL_CALL_TIMEOUT', { 'count': sessionAttributes.playerCount + 1 }));
+        ctx.outputSpeech.text(ctx.t('ROLL_CALL_MORE_TIME'));
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('ROLL_CALL_MORE_TIME_REPROMPT'));
  
         let deviceIds = sessionAttributes.DeviceIDs;
-        deviceIds = deviceIds.slice(-2);
  
         ctx.directives.push(GadgetDirectives.setIdleAnimation(
             ROLL_CALL_ANIMATIONS.Timeout, { 'targetGadgets': deviceIds } ));                    
@@ -270,7 +299,8 @@ const RollCall = {
         ctx.directives.push(GadgetDirectives.setButtonUpAnimation(
             Settings.DEFAULT_ANIMATIONS.ButtonUp, { 'targetGadgets': deviceIds } ));
 
-        sessionAttributes.expectingEndSkillConfirmation = true;
+        // wait for the player to say whether they want more time
+        sessionAttributes.state = Settings.SKILL_STATES.ROLL_CALL_CONFIRM_MODE;
 
         ctx.openMicrophone = true;
         return handlerInput.responseBuilder.getResponse();
@@ -15,49 +15,367 @@
 
 'use strict';
 
-// Gadget Directives Builder
-const GadgetDirectives = require('util/gadgetDirectives.js');
+const path = require('path');
+// Layers a config file and environment variables over the defaults below
+const Config = require('util/config.js');
 // Basic Animation Helper Library
 const BasicAnimations = require('button_animations/basicAnimations.js');
+// Color names and notations, to check the configured colors
+const ColorsList = require('button_animations/colorsList.js');
+const Colors = require('button_animations/colors.js');
+const Logger = require('util/logger.js');
 
-module.exports = {
-    // The skill states are the different parts of the skill.
-    SKILL_STATES: {
-        // Roll Call mode performs roll call and button registration.
-        // https://developer.amazon.com/docs/gadget-skills/discover-echo-buttons.html
-        ROLL_CALL_MODE: '',
-        PLAY_MODE: '_PLAY_MODE',
-        // Exit mode performs the actions described in
-        // https://developer.amazon.com/docs/gadget-skills/exit-echo-button-skill.html
-        EXIT_MODE: '_EXIT_MODE'
-    },
+// The skill states are the different parts of the skill. The intents and events each
+// state accepts, and the states it can move to, are declared in index.js.
+const SKILL_STATES = {
+    // Roll Call mode performs roll call and button registration.
+    // https://developer.amazon.com/docs/gadget-skills/discover-echo-buttons.html
+    ROLL_CALL_MODE: '',
+    // Roll call was interrupted (timeout or help): waiting for a yes to restart it, or a no to exit
+    ROLL_CALL_CONFIRM_MODE: '_ROLL_CALL_CONFIRM_MODE',
+    PLAY_MODE: '_PLAY_MODE',
+    // Simon says: the players reproduce the sequence of colors played on my button
+    SIMON_MODE: '_SIMON_MODE',
+    // Head-to-head race: two players race each other on the first two registered buttons
+    RACE_MODE: '_RACE_MODE',
+    // Exit mode asks whether to play again, and performs the actions described in
+    // https://developer.amazon.com/docs/gadget-skills/exit-echo-button-skill.html
+    EXIT_MODE: '_EXIT_MODE',
+    // A player asked for a new button: waiting for a button that isn't in the game yet
+    BUTTON_CHANGE_MODE: '_BUTTON_CHANGE_MODE',
+    // No button was pressed for several rounds: waiting for a yes to register the buttons again
+    BUTTON_CHECK_MODE: '_BUTTON_CHECK_MODE'
+};
 
+// The default settings. A deployment can change any of them without a code edit, in a
+// settings.json file next to this one (or the file named by the SETTINGS_FILE environment
+// variable), or with environment variables such as SETTINGS__ROLL_CALL__TIMEOUT_MS=60000.
+// See util/config.js.
+const DEFAULTS = {
     // We'll use an audio sample of a ticking clock to play whenever the skill is waiting for button presses
-    // This is an audio file from the ASK Sound bank: https://developer.amazon.com/docs/custom-skills/foley-sounds.html
-    WAITING_AUDIO: '<audio src="https://s3.amazonaws.com/ask-soundlibrary/foley/amzn_sfx_rhythmic_ticking_30s_01.mp3"/>',
-    WINNING_AUDIO: '<audio src="https://s3.amazonaws.com/ask-soundlibrary/musical/amzn_sfx_bell_timer_01.mp3"/>',
-    LOSING_AUDIO:  '<audio src="https://s3.amazonaws.com/ask-soundlibrary/musical/amzn_sfx_buzzer_small_01.mp3"/>',
+    // These are audio files from the ASK Sound bank: https://developer.amazon.com/docs/custom-skills/foley-sounds.html
+    // (the URLs of the clips, played with SsmlBuilder's audio())
+    WAITING_AUDIO: 'https://s3.amazonaws.com/ask-soundlibrary/foley/amzn_sfx_rhythmic_ticking_30s_01.mp3',
+    WINNING_AUDIO: 'https://s3.amazonaws.com/ask-soundlibrary/musical/amzn_sfx_bell_timer_01.mp3',
+    LOSING_AUDIO:  'https://s3.amazonaws.com/ask-soundlibrary/musical/amzn_sfx_buzzer_small_01.mp3',
 
+    // Shades are generated for any color the player picks (see Colors.shades): as many shades as
+    // the difficulty level asks for, from full brightness down to a lightness of DARKEST_LIGHTNESS
+    // (L*, from 0 for black to 100 for white), evenly spaced in lightness. Each shade is at least
+    // MIN_DELTA_E from the previous one, so that they stay distinguishable on the button LED; a
+    // higher count is reduced to respect that. MIN_DELTA_E must be more than SCORING.CLOSE_DELTA_E,
+    // or a press on the shade next to the reference would be close enough to win.
     COLOR_SHADES: {
-        /* map the 'blue' selection to a set of shades of blue */
-        'blue':  ['0000ff', '000077', '000027', '000003'],
-        /* map the 'green' selection to a set of shades of green */
-        'green': ['00ff00', '007700', '002700', '000300'],
-        /* map the 'red' selection to a set of shades of red */
-        'red':   ['ff0000', '770000', '270000', '030000']
+        DARKEST_LIGHTNESS: 12,
+        MIN_DELTA_E: 15
     },
 
-    // Define animations to be played on button down and button up that are like the default animations on the buttons
-    // We'll use these animations when resetting play state
-    // See: https://developer.amazon.com/docs/gadget-skills/control-echo-buttons.html#animate
-    DEFAULT_ANIMATIONS: {
-        'ButtonDown' : {
-            'targetGadgets': [],
-            'animations': BasicAnimations.FadeOutAnimation(1, 'blue', 200)
+    // Color blind mode, chosen by voice ("color blind mode for red and green") and kept for the
+    // session, rolls the shades of a palette built for a color vision deficiency instead of the shades
+    // of the color the player picks. The shades of a palette differ in brightness rather than hue;
+    // the difficulty level takes as many of them as it asks for, spread from the brightest to the
+    // darkest. With audio cues, the shade on my button is announced with the sound of CUES at its
+    // place in the palette. DEFAULT_PALETTE is used when the players don't say which colors they
+    // confuse, and CUES_BY_DEFAULT when they don't ask for sounds or no sounds.
+    COLOR_BLIND: {
+        DEFAULT_PALETTE: 'red_green',
+        PALETTES: {
+            // protanopia and deuteranopia: blues
+            'red_green': ['aaccff', '5599ff', '0044cc', '001a4d'],
+            // tritanopia: reds
+            'blue_yellow': ['ffcccc', 'ff6666', 'cc0000', '4d0000'],
+            // no color vision: grays
+            'monochrome': ['ffffff', 'a0a0a0', '505050', '141414']
         },
-        'ButtonUp': {                     
-            'targetGadgets': [], 
-            'animations': BasicAnimations.SolidAnimation(1, 'black', 100)
+        // from a high chime for the brightest shade, down to a drum for the darkest
+        CUES: [
+            'https://s3.amazonaws.com/ask-soundlibrary/musical/amzn_sfx_bell_short_chime_01.mp3',
+            'https://s3.amazonaws.com/ask-soundlibrary/musical/amzn_sfx_bell_med_chime_01.mp3',
+            'https://s3.amazonaws.com/ask-soundlibrary/musical/amzn_sfx_church_bell_1x_01.mp3',
+            'https://s3.amazonaws.com/ask-soundlibrary/musical/amzn_sfx_drum_comedy_01.mp3'
+        ],
+        CUES_BY_DEFAULT: true
+    },
+
+    // Difficulty levels, chosen by voice ("play on hard") and kept for the session. Each level sets
+    // how many shades are rolled on the player buttons, how long each shade stays lit, and how long
+    // the player has to press their button before the round times out.
+    DIFFICULTY: {
+        DEFAULT_LEVEL: 'normal',
+        LEVELS: {
+            'easy':   { SHADE_COUNT: 3, SHADE_DURATION_MS: 1500, ROUND_TIMEOUT_MS: 30000 },
+            'normal': { SHADE_COUNT: 4, SHADE_DURATION_MS: 1000, ROUND_TIMEOUT_MS: 20000 },
+            'hard':   { SHADE_COUNT: 6, SHADE_DURATION_MS: 600,  ROUND_TIMEOUT_MS: 12000 }
         }
+    },
+
+    // Simon says plays a sequence of COLORS on my button, after LEAD_IN_MS of darkness: each color
+    // stays lit SHOW_MS, followed by GAP_MS of darkness. The player buttons show each color in turn
+    // for CYCLE_MS, and once the sequence was played, the players have PRESS_TIMEOUT_MS for each of
+    // its colors. The sequence starts with START_LENGTH colors, and the game is won at MAX_LENGTH:
+    // the longest sequence is played and reproduced within one input handler.
+    SIMON: {
+        COLORS: ['red', 'green', 'blue', 'yellow'],
+        START_LENGTH: 2,
+        MAX_LENGTH: 12,
+        LEAD_IN_MS: 2500,
+        SHOW_MS: 800,
+        GAP_MS: 300,
+        CYCLE_MS: 1200,
+        PRESS_TIMEOUT_MS: 6000
+    },
+
+    // Head-to-head races are played on shades of the last color picked, or DEFAULT_COLOR. Each point
+    // starts with the target shade on both buttons for TARGET_MS, then the buttons roll through the
+    // shades like in a round of the difficulty level. The first player to POINTS_TO_WIN wins the race.
+    RACE: {
+        DEFAULT_COLOR: 'blue',
+        TARGET_MS: 2000,
+        POINTS_TO_WIN: 3
+    },
+
+    // Roll call registers one reference button for me, plus one button for each player. The
+    // players have TIMEOUT_MS to press their buttons, or RESTART_TIMEOUT_MS when they asked for more time.
+    ROLL_CALL: {
+        MIN_PLAYERS: 1,
+        MAX_PLAYERS: 3,
+        TIMEOUT_MS: 50000,
+        RESTART_TIMEOUT_MS: 30000
+    },
+
+    // A player who asks for a new button has CHANGE_TIMEOUT_MS to press it. After UNRESPONSIVE_ROUNDS
+    // rounds in a row without any button press, I offer to register the buttons again (0 never offers).
+    BUTTONS: {
+        CHANGE_TIMEOUT_MS: 30000,
+        UNRESPONSIVE_ROUNDS: 2
+    },
+
+    // An input handler lasts at most MAX_DURATION_MS (the Game Engine limit), so rounds are played
+    // on a chain of input handlers (see inputManager.js): when one expires, the next one starts for
+    // the rest of the round, unless less than MIN_RENEWAL_MS is left. Rounds lasting at least
+    // WARNING_MIN_DURATION_MS warn the players TIME_LEFT_WARNING_MS before they end (0 for no warning).
+    INPUT_HANDLERS: {
+        MAX_DURATION_MS: 90000,
+        MIN_RENEWAL_MS: 1000,
+        TIME_LEFT_WARNING_MS: 10000,
+        WARNING_MIN_DURATION_MS: 30000
+    },
+
+    // Matches are played "best of" an odd number of rounds, within these limits
+    MATCH: {
+        MIN_LENGTH: 3,
+        MAX_LENGTH: 9
+    },
+
+    // Points earned for a correct match, from a press just before the round times out (MIN_POINTS),
+    // to an instant press (MAX_POINTS). A press is judged by the perceptual distance (CIE76 Delta E,
+    // see Colors.distance) between the reference shade and the shade the player's button showed: up
+    // to PERFECT_DELTA_E the shades look the same, and up to CLOSE_DELTA_E the press is close enough
+    // to win the round, for CLOSE_POINTS_SHARE of the points.
+    // The reaction time is measured from the end of the round prompt. Nothing tells the skill when
+    // Alexa stops speaking, so the prompt's duration is estimated from its length: PROMPT_MS_PER_WORD
+    // for each word, and PROMPT_MS_PER_CLIP for each sound played before the waiting sound.
+    SCORING: {
+        MIN_POINTS: 10,
+        MAX_POINTS: 100,
+        PERFECT_DELTA_E: 2.3,
+        CLOSE_DELTA_E: 12,
+        CLOSE_POINTS_SHARE: 0.5,
+        PROMPT_MS_PER_WORD: 400,
+        PROMPT_MS_PER_CLIP: 1500
+    },
+
+    // Named players are ranked by their best score, then their win rate (see leaderboard.js). I read
+    // back the SIZE best players, and keep at most MAX_PLAYERS, dropping the one who played least recently
+    LEADERBOARD: {
+        SIZE: 3,
+        MAX_PLAYERS: 30
+    },
+
+    // Player profiles are kept in DynamoDB in production. For offline development, set the
+    // PERSISTENCE_ADAPTER environment variable to 'memory' or 'file' (see util/persistenceAdapters.js)
+    PERSISTENCE: {
+        adapter: 'dynamodb',
+        tableName: 'QuickColorsPlayers',
+        filePath: '.persistence.json'
+    },
+
+    // Logs are JSON lines, see util/logger.js. Set the LOG_LEVEL environment variable to 'debug'
+    // to also log the requests and responses, with user and device ids redacted
+    LOGGING: {
+        level: 'info',
+        namespace: 'QuickColors'
+    },
+
+    // The colors of the animations played when the skill resets the buttons (like the buttons'
+    // own animations), and when a round or match is won or lost (pulses between two colors)
+    // See: https://developer.amazon.com/docs/gadget-skills/control-echo-buttons.html#animate
+    ANIMATIONS: {
+        BUTTON_DOWN: { COLOR: 'blue', DURATION_MS: 200 },
+        BUTTON_UP: { COLOR: 'black', DURATION_MS: 100 },
+        WIN: { COLORS: ['light blue', 'dark green'], CYCLES: 3 },
+        LOSE: { COLORS: ['orange', 'red'], CYCLES: 3 }
+    }
+};
+
+// The environment variables that the skill has always read, as shorter names for their settings
+const ENV_ALIASES = {
+    'PERSISTENCE_ADAPTER': 'PERSISTENCE.adapter',
+    'PERSISTENCE_TABLE': 'PERSISTENCE.tableName',
+    'PERSISTENCE_FILE': 'PERSISTENCE.filePath',
+    'LOG_LEVEL': 'LOGGING.level',
+    'METRICS_NAMESPACE': 'LOGGING.namespace'
+};
+
+const checkAudio = (url) => /^https:\/\//.test(url) ? null : 'must be an https URL, got ' + JSON.stringify(url);
+const checkColor = (color) => ColorsList.getColor(color) ? null : 'is not a color, got ' + JSON.stringify(color);
+const checkColorPair = (colors) => colors.length === 2 && colors.every((color) => !checkColor(color))
+    ? null : 'must be two colors, got ' + JSON.stringify(colors);
+const checkColorList = (colors) => colors.length >= 2 && colors.every((color) => !checkColor(color))
+    ? null : 'must be at least two colors, got ' + JSON.stringify(colors);
+const POSITIVE_INTEGER = { 'integer': true, 'min': 1 };
+// the longest an animation step can last
+const ANIMATION_STEP_MS = { 'integer': true, 'min': 1, 'max': 65535 };
+
+// The values each setting accepts, see util/config.js
+const RULES = {
+    'WAITING_AUDIO': { 'check': checkAudio },
+    'WINNING_AUDIO': { 'check': checkAudio },
+    'LOSING_AUDIO': { 'check': checkAudio },
+    'COLOR_SHADES.DARKEST_LIGHTNESS': { 'min': 0, 'max': 100 },
+    'COLOR_SHADES.MIN_DELTA_E': { 'min': 0 },
+    'DIFFICULTY.LEVELS.*.SHADE_COUNT': POSITIVE_INTEGER,
+    'DIFFICULTY.LEVELS.*.SHADE_DURATION_MS': POSITIVE_INTEGER,
+    'DIFFICULTY.LEVELS.*.ROUND_TIMEOUT_MS': { 'integer': true, 'min': 1000 },
+    'SIMON.COLORS': { 'check': checkColorList },
+    'COLOR_BLIND.PALETTES.*': { 'check': checkColorList },
+    'COLOR_BLIND.CUES.*': { 'check': checkAudio },
+    'SIMON.START_LENGTH': POSITIVE_INTEGER,
+    // the sequence is played as one animation: a step for the lead in, and two for each color
+    'SIMON.MAX_LENGTH': { 'integer': true, 'min': 1, 'max': 18 },
+    'SIMON.LEAD_IN_MS': ANIMATION_STEP_MS,
+    'SIMON.SHOW_MS': ANIMATION_STEP_MS,
+    'SIMON.GAP_MS': ANIMATION_STEP_MS,
+    'SIMON.CYCLE_MS': ANIMATION_STEP_MS,
+    'SIMON.PRESS_TIMEOUT_MS': POSITIVE_INTEGER,
+    'RACE.DEFAULT_COLOR': { 'check': checkColor },
+    'RACE.TARGET_MS': ANIMATION_STEP_MS,
+    'RACE.POINTS_TO_WIN': { 'integer': true, 'min': 1, 'max': 20 },
+    'ROLL_CALL.MIN_PLAYERS': POSITIVE_INTEGER,
+    'ROLL_CALL.MAX_PLAYERS': POSITIVE_INTEGER,
+    'ROLL_CALL.TIMEOUT_MS': POSITIVE_INTEGER,
+    'ROLL_CALL.RESTART_TIMEOUT_MS': POSITIVE_INTEGER,
+    'BUTTONS.CHANGE_TIMEOUT_MS': POSITIVE_INTEGER,
+    'BUTTONS.UNRESPONSIVE_ROUNDS': { 'integer': true, 'min': 0 },
+    'INPUT_HANDLERS.MAX_DURATION_MS': { 'integer': true, 'min': 1000, 'max': 90000 },
+    'INPUT_HANDLERS.MIN_RENEWAL_MS': POSITIVE_INTEGER,
+    'INPUT_HANDLERS.TIME_LEFT_WARNING_MS': { 'integer': true, 'min': 0 },
+    'INPUT_HANDLERS.WARNING_MIN_DURATION_MS': { 'integer': true, 'min': 0 },
+    'MATCH.MIN_LENGTH': { 'integer': true, 'min': 1 },
+    'MATCH.MAX_LENGTH': { 'integer': true, 'min': 1 },
+    'SCORING.MIN_POINTS': { 'integer': true, 'min': 0 },
+    'SCORING.MAX_POINTS': { 'integer': true, 'min': 0 },
+    'SCORING.PERFECT_DELTA_E': { 'min': 0 },
+    'SCORING.CLOSE_DELTA_E': { 'min': 0 },
+    'SCORING.CLOSE_POINTS_SHARE': { 'min': 0, 'max': 1 },
+    'SCORING.PROMPT_MS_PER_WORD': { 'integer': true, 'min': 0 },
+    'SCORING.PROMPT_MS_PER_CLIP': { 'integer': true, 'min': 0 },
+    'LEADERBOARD.SIZE': POSITIVE_INTEGER,
+    'LEADERBOARD.MAX_PLAYERS': POSITIVE_INTEGER,
+    'PERSISTENCE.adapter': { 'oneOf': ['dynamodb', 'file', 'memory'] },
+    'LOGGING.level': { 'oneOf': Logger.LEVELS },
+    'ANIMATIONS.BUTTON_DOWN.COLOR': { 'check': checkColor },
+    'ANIMATIONS.BUTTON_UP.COLOR': { 'check': checkColor },
+    'ANIMATIONS.*.DURATION_MS': POSITIVE_INTEGER,
+    'ANIMATIONS.*.COLORS': { 'check': checkColorPair },
+    'ANIMATIONS.*.CYCLES': { 'integer': true, 'min': 1, 'max': 255 }
+};
+
+// Checks between settings
+const CHECKS = [
+    (settings) => settings.DIFFICULTY.LEVELS.hasOwnProperty(settings.DIFFICULTY.DEFAULT_LEVEL) ? []
+        : ['DIFFICULTY.DEFAULT_LEVEL must be one of ' + Object.keys(settings.DIFFICULTY.LEVELS).join(', ')],
+    (settings) => settings.ROLL_CALL.MIN_PLAYERS <= settings.ROLL_CALL.MAX_PLAYERS ? []
+        : ['ROLL_CALL.MIN_PLAYERS must be at most ROLL_CALL.MAX_PLAYERS'],
+    // roll call and button changes aren't renewed, they have to fit in one input handler
+    (settings) => ['ROLL_CALL.TIMEOUT_MS', 'ROLL_CALL.RESTART_TIMEOUT_MS', 'BUTTONS.CHANGE_TIMEOUT_MS']
+        .filter((name) => name.split('.').reduce((value, key) => value[key], settings)
+            > settings.INPUT_HANDLERS.MAX_DURATION_MS)
+        .map((name) => name + ' must be at most INPUT_HANDLERS.MAX_DURATION_MS'),
+    (settings) => settings.MATCH.MIN_LENGTH <= settings.MATCH.MAX_LENGTH ? []
+        : ['MATCH.MIN_LENGTH must be at most MATCH.MAX_LENGTH'],
+    (settings) => settings.SCORING.MIN_POINTS <= settings.SCORING.MAX_POINTS ? []
+        : ['SCORING.MIN_POINTS must be at most SCORING.MAX_POINTS'],
+    (settings) => settings.SCORING.PERFECT_DELTA_E <= settings.SCORING.CLOSE_DELTA_E ? []
+        : ['SCORING.PERFECT_DELTA_E must be at most SCORING.CLOSE_DELTA_E'],
+    // presses on the shade next to the reference mustn't be close enough to win
+    (settings) => settings.COLOR_SHADES.MIN_DELTA_E > settings.SCORING.CLOSE_DELTA_E ? []
+        : ['COLOR_SHADES.MIN_DELTA_E must be more than SCORING.CLOSE_DELTA_E'],
+    (settings) => settings.COLOR_BLIND.PALETTES.hasOwnProperty(settings.COLOR_BLIND.DEFAULT_PALETTE) ? []
+        : ['COLOR_BLIND.DEFAULT_PALETTE must be one of ' + Object.keys(settings.COLOR_BLIND.PALETTES).join(', ')],
+    // each shade of a palette has a cue, and presses on the next shade mustn't be close enough to win
+    (settings) => Object.keys(settings.COLOR_BLIND.PALETTES)
+        .filter((name) => settings.COLOR_BLIND.PALETTES[name].length > settings.COLOR_BLIND.CUES.length)
+        .map((name) => 'COLOR_BLIND.PALETTES.' + name + ' must have at most as many shades as COLOR_BLIND.CUES'),
+    (settings) => Object.keys(settings.COLOR_BLIND.PALETTES)
+        .filter((name) => settings.COLOR_BLIND.PALETTES[name].map(ColorsList.getColor).some((shade, index, shades) =>
+            index > 0 && Colors.distance(shades[index - 1], shade) <= settings.SCORING.CLOSE_DELTA_E))
+        .map((name) => 'the shades of COLOR_BLIND.PALETTES.' + name + ' must be more than SCORING.CLOSE_DELTA_E apart'),
+    (settings) => settings.SIMON.START_LENGTH <= settings.SIMON.MAX_LENGTH ? []
+        : ['SIMON.START_LENGTH must be at most SIMON.MAX_LENGTH'],
+    // presses are ignored while the sequence plays, and the sequence and the time to reproduce
+    // it have to fit in one input handler
+    (settings) => settings.SIMON.LEAD_IN_MS + settings.SIMON.MAX_LENGTH
+        * (settings.SIMON.SHOW_MS + settings.SIMON.GAP_MS + settings.SIMON.PRESS_TIMEOUT_MS)
+        <= settings.INPUT_HANDLERS.MAX_DURATION_MS ? []
+        : ['the longest SIMON sequence must play and be reproduced within INPUT_HANDLERS.MAX_DURATION_MS'],
+    // presses are ignored while the buttons show who won the last point (pulses of 1.5s, see
+    // BasicAnimations.PulseAnimation) and the target shade, within one input handler
+    (settings) => settings.RACE.TARGET_MS + 1500 * Math.max(settings.ANIMATIONS.WIN.CYCLES, settings.ANIMATIONS.LOSE.CYCLES)
+        < settings.INPUT_HANDLERS.MAX_DURATION_MS ? []
+        : ['RACE.TARGET_MS and the WIN and LOSE animations must last less than INPUT_HANDLERS.MAX_DURATION_MS']
+];
+
+const settings = Config.load(DEFAULTS, {
+    'file': process.env.SETTINGS_FILE
+        ? path.resolve(__dirname, process.env.SETTINGS_FILE) : path.join(__dirname, 'settings.json'),
+    'requireFile': !!process.env.SETTINGS_FILE,
+    'env': process.env,
+    'prefix': 'SETTINGS__',
+    'aliases': ENV_ALIASES,
+    'rules': RULES,
+    'checks': CHECKS
+});
+
+settings.SKILL_STATES = SKILL_STATES;
+
+// Define animations to be played on button down and button up that are like the default animations on the buttons
+// We'll use these animations when resetting play state
+settings.DEFAULT_ANIMATIONS = {
+    'ButtonDown' : {
+        'targetGadgets': [],
+        'animations': BasicAnimations.FadeOutAnimation(1, settings.ANIMATIONS.BUTTON_DOWN.COLOR,
+            settings.ANIMATIONS.BUTTON_DOWN.DURATION_MS)
+    },
+    'ButtonUp': {
+        'targetGadgets': [],
+        'animations': BasicAnimations.SolidAnimation(1, settings.ANIMATIONS.BUTTON_UP.COLOR,
+            settings.ANIMATIONS.BUTTON_UP.DURATION_MS)
     }
-};
\ No newline at end of file
+};
+
+// The animations played on all the buttons when a round or match is won or lost
+settings.RESULT_ANIMATIONS = {
+    'Win': {
+        'targetGadgets': [],
+        'animations': BasicAnimations.PulseAnimation(settings.ANIMATIONS.WIN.CYCLES,
+            settings.ANIMATIONS.WIN.COLORS[0], settings.ANIMATIONS.WIN.COLORS[1])
+    },
+    'Lose': {
+        'targetGadgets': [],
+        'animations': BasicAnimations.PulseAnimation(settings.ANIMATIONS.LOSE.CYCLES,
+            settings.ANIMATIONS.LOSE.COLORS[0], settings.ANIMATIONS.LOSE.COLORS[1])
+    }
+};
+
+module.exports = settings;
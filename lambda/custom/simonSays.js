@@ -0,0 +1,297 @@
+/*
+ * Copyright 2018 Amazon.com, Inc. and its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the License.
+ * A copy of the License is located at
+ *
+ * http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is distributed
+ * on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+'use strict';
+
+// Gadget Directives Builder
+const GadgetDirectives = require('util/gadgetDirectives.js');
+// Recognizers and events for the input handlers
+const InputHandlerBuilder = require('util/inputHandlerBuilder.js');
+// Basic Animation Helper Library
+const BasicAnimations = require('button_animations/basicAnimations.js');
+// Fluent builder for custom animation sequences
+const AnimationBuilder = require('button_animations/animationBuilder.js');
+// Color names and notations
+const ColorsList = require('button_animations/colorsList.js');
+// import the skill settings constants
+const Settings = require('settings.js');
+// Listens for button events, across input handlers
+const InputManager = require('inputManager.js');
+// Judges presses like the shades game
+const GamePlay = require('gameplay.js');
+// Structured logs and metrics
+const Logger = require('util/logger.js');
+// Well-formed speech, with the player's words escaped
+const SsmlBuilder = require('util/ssmlBuilder.js');
+const log = Logger.create('SimonSays');
+
+/* The animations for winning and losing, the same as in the shades game */
+const WINNING_ANIMATION = Settings.RESULT_ANIMATIONS.Win;
+const LOSING_ANIMATION = Settings.RESULT_ANIMATIONS.Lose;
+
+// A short flash when a player presses their button, so they know the press was seen
+const PRESS_ANIMATION = BasicAnimations.SolidAnimation(1, "white", 100);
+
+// Define a recognizer for button down events on the players' buttons, and an event that reports
+// each press of the sequence: the input handler doesn't end on a press, and presses made while
+// the sequence is played on my button are ignored.
+// see: https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html#define
+function configureSequence(gadgetIds, pressCount, playbackMs) {
+    return InputHandlerBuilder.create()
+        .match("simon_press_recognizer", [ InputHandlerBuilder.down(gadgetIds) ],
+            { "fuzzy": false, "anchor": "end" })
+        .event("simon_button_pressed", {
+            "meets": ["simon_press_recognizer"],
+            "reports": "matches",
+            "shouldEndInputHandler": false,
+            "maximumInvocations": pressCount,
+            "triggerTimeMilliseconds": playbackMs
+        })
+        .timeoutEvent()
+        .build();
+}
+
+
+// ***********************************************************************
+//   SIMON_MODE Handlers
+//     a memory game on the same buttons: I play a sequence of colors on
+//     my button, and the players press their button each time it shows
+//     the next color of the sequence. The sequence gets one color longer
+//     after each success, until a player gets it wrong or runs out of time.
+// ***********************************************************************
+const SimonSays = {
+    // "play Simon says": starts a new game with a short sequence
+    SimonSaysIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+
+        InputManager.Stop(handlerInput);
+        let sequence = [];
+        for (let i = 0; i < Settings.SIMON.START_LENGTH; i++) {
+            sequence.push(pickRandomColor());
+        }
+        // the longest sequence the players reproduced in this game
+        sessionAttributes.Simon = { 'sequence': sequence, 'step': 0, 'longest': 0 };
+        sessionAttributes.GameMode = 'simon';
+        log.info('simon says started', { 'length': sequence.length });
+
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('SIMON_START'));
+        return SimonSays.StartSequence(handlerInput);
+    },
+
+    // Plays the sequence on my button, and listens for the players to reproduce it.
+    // The caller is responsible for the speech before the sequence.
+    StartSequence: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const simon = sessionAttributes.Simon;
+        const settings = Settings.SIMON;
+
+        simon.step = 0;
+        const playback = makePlaybackAnimation(simon.sequence);
+        const playbackMs = playback.duration();
+        // the players get PRESS_TIMEOUT_MS for each color of the sequence, within one input handler
+        // (see the checks of settings.js)
+        const duration = playbackMs + simon.sequence.length * settings.PRESS_TIMEOUT_MS;
+        log.debug('sequence started', { 'length': simon.sequence.length, 'playbackMs': playbackMs });
+
+        let deviceIds = sessionAttributes.DeviceIDs;
+        let referenceId = deviceIds[0];
+        let playerIds = deviceIds.slice(1);
+
+        InputManager.Start(handlerInput, {
+            'duration': duration,
+            'input': configureSequence(playerIds, simon.sequence.length, playbackMs)
+        });
+
+        /* play the sequence on the reference button */
+        ctx.directives.push(GadgetDirectives.setIdleAnimation({
+            'targetGadgets': [ referenceId ],
+            'animations': playback.build()
+        } ));
+        /* the player buttons cycle through the colors; presses only count once the sequence was played */
+        const cycle = makeCycleAnimation(duration);
+        ctx.directives.push(GadgetDirectives.setIdleAnimation({
+            'targetGadgets': playerIds,
+            'animations': cycle
+        } ));
+        /* a press flashes the button, then it cycles through the colors again, from the first one.
+           The release of the press that completes a sequence restarts the cycle too, so the player
+           buttons can't be kept dark while the next sequence plays */
+        ctx.directives.push(GadgetDirectives.setButtonDownAnimation({
+            'targetGadgets': playerIds,
+            'animations': PRESS_ANIMATION
+        } ));
+        ctx.directives.push(GadgetDirectives.setButtonUpAnimation({
+            'targetGadgets': playerIds,
+            'animations': cycle
+        } ));
+
+        ctx.outputSpeech.text(ctx.t('SIMON_WATCH', { 'count': simon.sequence.length }));
+        ctx.outputSpeech.audio(Settings.WAITING_AUDIO);
+
+        sessionAttributes.state = Settings.SKILL_STATES.SIMON_MODE;
+        ctx.openMicrophone = false;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    HandleButtonPressed: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const simon = sessionAttributes.Simon;
+
+        const buttonColor = ctx.gameInputEvents[0].color;
+        const expected = simon.sequence[simon.step];
+        // judged like the shades game: a color that looks the same as the expected one is correct
+        const correct = GamePlay.JudgeMatch(ColorsList.getColor(expected), buttonColor).verdict !== 'far';
+        log.debug('sequence press', { 'step': simon.step, 'expected': expected, 'color': buttonColor, 'correct': correct });
+
+        if (!correct) {
+            ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('SIMON_WRONG', {
+                'color': ctx.t('COLORS.' + expected, { 'defaultValue': expected })
+            }));
+            return SimonSays.EndGame(handlerInput);
+        }
+
+        simon.step += 1;
+        if (simon.step < simon.sequence.length) {
+            // keep listening for the rest of the sequence
+            ctx.openMicrophone = false;
+            return handlerInput.responseBuilder.getResponse();
+        }
+
+        simon.longest = simon.sequence.length;
+        if (simon.sequence.length >= Settings.SIMON.MAX_LENGTH) {
+            ctx.outputSpeech = SsmlBuilder.create()
+                .audio(Settings.WINNING_AUDIO)
+                .text(ctx.t('SIMON_COMPLETE', { 'count': simon.longest }));
+            return SimonSays.EndGame(handlerInput);
+        }
+
+        // one more color, and the whole sequence again
+        InputManager.Stop(handlerInput);
+        simon.sequence.push(pickRandomColor());
+        ctx.outputSpeech = SsmlBuilder.create()
+            .audio(Settings.WINNING_AUDIO)
+            .text(ctx.t('SIMON_CORRECT'));
+        return SimonSays.StartSequence(handlerInput);
+    },
+
+    HandleTimeout: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        log.info('sequence timed out');
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('TIME_IS_UP'));
+        return SimonSays.EndGame(handlerInput);
+    },
+
+    // Help in the middle of a sequence ends it: the players choose what to play next
+    HelpIntentHandler: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+
+        InputManager.Stop(handlerInput);
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('SIMON_HELP_REPROMPT', { 'colors': ctx.t('COLOR_CHOICES') }));
+        ctx.outputSpeech = SsmlBuilder.create().text(ctx.t('HELP_SIMON')).append(ctx.reprompt);
+        sessionAttributes.state = Settings.SKILL_STATES.PLAY_MODE;
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    // Recovery prompt for the intents refused during a sequence
+    Recover: function(handlerInput) {
+        const ctx = handlerInput.attributesManager.getRequestAttributes();
+        // the input handler is still listening for the sequence
+        ctx.outputSpeech.text(ctx.t('SIMON_CONTINUE'));
+        ctx.openMicrophone = false;
+        return handlerInput.responseBuilder.getResponse();
+    },
+
+    // Ends the game: tells the players how long a sequence they remembered, and asks whether
+    // they want to play again. The caller has already added the speech saying why the game ended.
+    EndGame: function(handlerInput) {
+        const {attributesManager} = handlerInput;
+        const ctx = attributesManager.getRequestAttributes();
+        const sessionAttributes = attributesManager.getSessionAttributes();
+        const simon = sessionAttributes.Simon;
+
+        InputManager.Stop(handlerInput);
+        const newBest = simon.longest > (sessionAttributes.SimonBest || 0);
+        log.info('simon says over', { 'longest': simon.longest, 'newBest': newBest });
+        Logger.metric('SimonSequenceLength', simon.longest, { 'players': String(sessionAttributes.playerCount) }, 'Count');
+
+        ctx.outputSpeech.text(simon.longest > 0
+            ? ctx.t('SIMON_RESULT', { 'count': simon.longest })
+            : ctx.t('SIMON_RESULT_NONE'));
+        if (newBest) {
+            sessionAttributes.SimonBest = simon.longest;
+            ctx.outputSpeech.text(ctx.t('SIMON_BEST'));
+        }
+        ctx.outputSpeech.text(ctx.t('PLAY_AGAIN_QUESTION'));
+        ctx.reprompt = SsmlBuilder.create().text(ctx.t('PLAY_AGAIN_REPROMPT'));
+
+        let deviceIds = sessionAttributes.DeviceIDs;
+        // a new best for the session is celebrated like a win
+        let idleAnimation = newBest ? WINNING_ANIMATION : LOSING_ANIMATION;
+        ctx.directives.push(GadgetDirectives.setIdleAnimation(
+            idleAnimation, {'targetGadgets': deviceIds } ));
+        ctx.directives.push(GadgetDirectives.setButtonDownAnimation(
+            Settings.DEFAULT_ANIMATIONS.ButtonDown, {'targetGadgets': deviceIds } ));
+        ctx.directives.push(GadgetDirectives.setButtonUpAnimation(
+            Settings.DEFAULT_ANIMATIONS.ButtonUp, {'targetGadgets': deviceIds } ));
+
+        // enter the ExitMode and see if the players would like to play again
+        sessionAttributes.state = Settings.SKILL_STATES.EXIT_MODE;
+        ctx.openMicrophone = true;
+        return handlerInput.responseBuilder.getResponse();
+    }
+};
+
+module.exports = SimonSays;
+
+/**
+ *  The makePlaybackAnimation function returns the animation of the
+ *  sequence on my button: a dark pause to get ready, then each color
+ *  of the sequence, with a short dark gap between colors so that
+ *  the same color twice in a row can be told apart.
+ */
+function makePlaybackAnimation(sequence) {
+    const settings = Settings.SIMON;
+    return sequence.reduce((animation, color) => animation
+            .concat(BasicAnimations.SolidAnimation(1, color, settings.SHOW_MS))
+            .concat(BasicAnimations.SolidAnimation(1, 'black', settings.GAP_MS)),
+        AnimationBuilder.from(BasicAnimations.SolidAnimation(1, 'black', settings.LEAD_IN_MS)));
+};
+/**
+ *  The makeCycleAnimation function returns the animation of the
+ *  player buttons: every color of the game in turn, repeated for
+ *  `totalDuration` ms.
+ */
+function makeCycleAnimation(totalDuration) {
+    return AnimationBuilder.sequence(Settings.SIMON.COLORS, Settings.SIMON.CYCLE_MS)
+        .loopFor(totalDuration)
+        .build();
+};
+/**
+ *  The pickRandomColor function picks the next color of the
+ *  sequence; the same color can come up several times in a row.
+ */
+function pickRandomColor() {
+    const colors = Settings.SIMON.COLORS;
+    return colors[Math.floor(Math.random() * colors.length)];
+};
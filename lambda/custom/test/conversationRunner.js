@@ -0,0 +1,382 @@
+'use strict';
+
+// Conversation Runner
+//   replays whole skill sessions, described as data in test/conversations/*.json, against
+//   the skill's Lambda handler, and checks every response. Sessions run on the Echo Buttons
+//   emulator, so session attributes are carried between turns as Alexa does, and the
+//   directives of each response drive the virtual buttons and input handler.
+//
+//   npm test                                    runs every conversation
+//   npm test -- roll-call                       runs the conversations whose file name contains 'roll-call'
+//   npm test -- --verbose                       also shows the skill's logs
+//
+// A conversation file:
+//   {
+//     "description": "what the conversation checks",
+//     "locale": "en-US",                        optional, en-US by default
+//     "buttons": 4,                             optional, the number of virtual buttons
+//     "steps": [ { <one action>, "expect": { <assertions> } }, ... ]
+//   }
+//
+// Actions:
+//   { "launch": true }
+//   { "intent": "colorIntent", "slots": { "color": "red" } }       or { "color": { "value": "rosso", "id": "red" } }
+//   { "press": 2, "after": 1000 }             presses virtual button 2 (counting from 1), 1 second later
+//   { "press": 2, "matchReference": true }    waits until button 2 shows the reference shade, then presses it
+//   { "press": 2, "matchColor": "$Simon.sequence.0" }   waits until button 2 shows a color (a name or hex), then presses it
+//   { "wait": 20000 }                         lets time pass, for input handler timeouts
+//   { "inputHandlerEvent": [ { "name": "button_down_event",
+//         "inputEvents": [ { "button": 2, "action": "down", "color": "$RefColorShade" } ] } ],
+//     "originatingRequestId": "stale" }       sends a made up Game Engine event; the originatingRequestId
+//                                             is the current input handler's unless given ("stale" for an old one)
+//                                             An input event with "lightness": 6 reports its color (a name or hex)
+//                                             6 L* lighter.
+//   { "end": "USER_INITIATED" }               sends a SessionEndedRequest
+//   Strings starting with "$" are replaced by the session attribute of that name, and "$Name.key.0"
+//   by a value inside it.
+//
+// Assertions, checked on the last response of the step:
+//   "speech": "text" or [ "text", ... ]       the speech contains each text (SSML tags removed),
+//             or null                         or there is no speech
+//   "speechExcludes": "text" or [ ... ]       the speech contains none of them
+//   "ssml": "text" or [ ... ]                 the SSML of the speech, tags and entities as they are, contains each text
+//   "ssmlExcludes": "text" or [ ... ]         the SSML of the speech contains none of them
+//   "reprompt": "text" or [ ... ] or null     the reprompt contains each text, or there is no reprompt
+//   "shouldEndSession": true, false or null   null when the response leaves it out
+//   "directives": [ "GameEngine.StartInputHandler", "GadgetController.SetLight:none", ... ]
+//                                             the directive types, with the SetLight triggers, in order
+//   "sessionAttributes": { ... }              the session attributes include these values
+//   "noResponse": true                        the step doesn't send the skill any request
+
+// run offline: keep player profiles in memory, and fail on invalid directives
+process.env.PERSISTENCE_ADAPTER = 'memory';
+process.env.NODE_ENV = 'test';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const Emulator = require('../emulator/emulator.js');
+const ColorsList = require('../button_animations/colorsList.js');
+const Colors = require('../button_animations/colors.js');
+
+const CONVERSATIONS_DIR = path.join(__dirname, 'conversations');
+const STALE_REQUEST_ID = 'amzn1.echo-api.request.stale';
+// how often the clock moves while waiting for a button to show the reference shade
+const MATCH_POLL_MS = 50;
+// the entities the skill's SSML escapes text with
+const ENTITIES = { 'amp': '&', 'lt': '<', 'gt': '>', 'quot': '"', 'apos': "'" };
+
+const args = process.argv.slice(2);
+const verbose = args.indexOf('--verbose') >= 0;
+const filters = args.filter((arg) => arg.indexOf('--') !== 0);
+
+const log = console.log;
+if (!verbose) {
+    // the skill logs every request; keep the output for the results
+    console.log = function() {};
+}
+
+const Skill = require('../index.js');
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function plainText(outputSpeech) {
+    if (!outputSpeech) {
+        return '';
+    }
+    return (outputSpeech.ssml || outputSpeech.text || '')
+        .replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()
+        .replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => ENTITIES[name]);
+}
+
+function describeDirective(directive) {
+    return directive.type + (directive.parameters && directive.parameters.triggerEvent
+        ? ':' + directive.parameters.triggerEvent : '');
+}
+
+// replaces "$Name" strings with session attributes, anywhere in a value; "$Name.key.0" picks
+// a value inside an attribute
+function substitute(value, attributes) {
+    if (typeof value === 'string' && value.charAt(0) === '$') {
+        return value.substring(1).split('.').reduce((found, key) =>
+            (found === undefined || found === null ? undefined : found[key]), attributes);
+    } else if (Array.isArray(value)) {
+        return value.map((item) => substitute(item, attributes));
+    } else if (value !== null && typeof value === 'object') {
+        let result = {};
+        Object.keys(value).forEach((key) => result[key] = substitute(value[key], attributes));
+        return result;
+    }
+    return value;
+}
+
+function show(value) {
+    return util.inspect(value, { 'depth': 6, 'breakLength': 100 });
+}
+
+// a readable diff of an expected and an actual value
+function diff(label, expected, actual) {
+    return [
+        label + ':',
+        '    - expected ' + show(expected).split('\n').join('\n               '),
+        '    + actual   ' + show(actual).split('\n').join('\n               ')
+    ].join('\n');
+}
+
+// true when `actual` has every value of `expected` (objects are compared recursively)
+function includes(actual, expected) {
+    if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+        return actual !== null && typeof actual === 'object'
+            && Object.keys(expected).every((key) => includes(actual[key], expected[key]));
+    }
+    return util.isDeepStrictEqual(actual, expected);
+}
+
+// returns the failures of a response against the expectations of a step
+function check(expect, response) {
+    let failures = [];
+    if (expect.noResponse === true) {
+        if (response) {
+            failures.push(diff('response', 'no request sent to the skill', plainText(response.response.outputSpeech)));
+        }
+        return failures;
+    }
+    if (!response) {
+        return ['the step sent no request to the skill, so there is no response to check'];
+    }
+    const body = response.response || {};
+    const speech = plainText(body.outputSpeech);
+    if (expect.speech === null) {
+        if (body.outputSpeech) {
+            failures.push(diff('speech', null, speech));
+        }
+    } else if (expect.speech !== undefined) {
+        const missing = toList(expect.speech).filter((text) => speech.indexOf(text) < 0);
+        if (missing.length) {
+            failures.push(diff('speech', 'to contain ' + missing.map((text) => JSON.stringify(text)).join(' and '), speech));
+        }
+    }
+    if (expect.speechExcludes !== undefined) {
+        const found = toList(expect.speechExcludes).filter((text) => speech.indexOf(text) >= 0);
+        if (found.length) {
+            failures.push(diff('speech', 'not to contain ' + found.map((text) => JSON.stringify(text)).join(' or '), speech));
+        }
+    }
+    const ssml = (body.outputSpeech && body.outputSpeech.ssml) || '';
+    if (expect.ssml !== undefined) {
+        const missing = toList(expect.ssml).filter((text) => ssml.indexOf(text) < 0);
+        if (missing.length) {
+            failures.push(diff('ssml', 'to contain ' + missing.map((text) => JSON.stringify(text)).join(' and '), ssml));
+        }
+    }
+    if (expect.ssmlExcludes !== undefined) {
+        const found = toList(expect.ssmlExcludes).filter((text) => ssml.indexOf(text) >= 0);
+        if (found.length) {
+            failures.push(diff('ssml', 'not to contain ' + found.map((text) => JSON.stringify(text)).join(' or '), ssml));
+        }
+    }
+    if (expect.reprompt !== undefined) {
+        const reprompt = body.reprompt ? plainText(body.reprompt.outputSpeech) : null;
+        if (expect.reprompt === null) {
+            if (reprompt !== null) {
+                failures.push(diff('reprompt', null, reprompt));
+            }
+        } else if (reprompt === null || toList(expect.reprompt).some((text) => reprompt.indexOf(text) < 0)) {
+            failures.push(diff('reprompt', 'to contain ' + toList(expect.reprompt).map((text) => JSON.stringify(text)).join(' and '), reprompt));
+        }
+    }
+    if (expect.shouldEndSession !== undefined) {
+        const shouldEndSession = body.shouldEndSession === undefined ? null : body.shouldEndSession;
+        if (shouldEndSession !== expect.shouldEndSession) {
+            failures.push(diff('shouldEndSession', expect.shouldEndSession, shouldEndSession));
+        }
+    }
+    if (expect.directives !== undefined) {
+        const directives = (body.directives || []).map(describeDirective);
+        if (!util.isDeepStrictEqual(directives, expect.directives)) {
+            failures.push(diff('directives', expect.directives, directives));
+        }
+    }
+    if (expect.sessionAttributes !== undefined) {
+        const attributes = response.sessionAttributes || {};
+        Object.keys(expect.sessionAttributes).forEach((name) => {
+            if (!includes(attributes[name], expect.sessionAttributes[name])) {
+                failures.push(diff('sessionAttributes.' + name, expect.sessionAttributes[name], attributes[name]));
+            }
+        });
+    }
+    return failures;
+}
+
+function describeStep(step) {
+    if (step.launch) {
+        return 'launch';
+    } else if (step.intent) {
+        return 'intent ' + step.intent + (step.slots ? ' ' + JSON.stringify(step.slots) : '');
+    } else if (step.press !== undefined) {
+        return 'press button ' + step.press + (step.matchReference ? ' on the reference shade' : '')
+            + (step.after ? ' after ' + step.after + 'ms' : '');
+    } else if (step.wait !== undefined) {
+        return 'wait ' + step.wait + 'ms';
+    } else if (step.inputHandlerEvent) {
+        return 'input handler event ' + step.inputHandlerEvent.map((event) => event.name).join(', ')
+            + (step.originatingRequestId ? ' from ' + step.originatingRequestId : '');
+    } else if (step.end) {
+        return 'session ended: ' + step.end;
+    }
+    return JSON.stringify(step);
+}
+
+// waits until a button displays the reference shade, or the input handler times out
+function waitForColor(emulator, button, color) {
+    const inputHandler = emulator.inputHandler();
+    if (!inputHandler || inputHandler.isEnded()
+        || String(emulator.colorOf(button)).toUpperCase() === String(color).toUpperCase()
+        || emulator.now() + MATCH_POLL_MS >= inputHandler.timeoutTime()) {
+        return Promise.resolve();
+    }
+    return emulator.wait(MATCH_POLL_MS).then(() => waitForColor(emulator, button, color));
+}
+
+// the color a press step waits for, as a hex string, or null to press right away
+function colorToMatch(step, attributes) {
+    if (step.matchReference) {
+        return attributes.RefColorShade;
+    }
+    if (step.matchColor !== undefined) {
+        const color = substitute(step.matchColor, attributes);
+        return ColorsList.getColor(color) || color;
+    }
+    return null;
+}
+
+// runs one step; resolves with the responses it caused
+function runStep(emulator, step) {
+    if (step.launch) {
+        return emulator.launch().then((response) => [response]);
+    } else if (step.intent) {
+        return emulator.intent(step.intent, step.slots).then((response) => [response]);
+    } else if (step.press !== undefined) {
+        const button = step.press - 1;
+        return emulator.wait(step.after || 0)
+            .then((timeouts) => {
+                const color = colorToMatch(step, emulator.sessionAttributes());
+                return Promise.resolve(color !== null ? waitForColor(emulator, button, color) : null)
+                    .then(() => emulator.press(button))
+                    .then((responses) => timeouts.concat(responses));
+            });
+    } else if (step.wait !== undefined) {
+        return emulator.wait(step.wait);
+    } else if (step.inputHandlerEvent) {
+        const attributes = emulator.sessionAttributes();
+        const inputHandler = emulator.inputHandler();
+        const originatingRequestId = step.originatingRequestId === 'stale' ? STALE_REQUEST_ID
+            : substitute(step.originatingRequestId, attributes) || (inputHandler ? inputHandler.originatingRequestId
+                : attributes.InputHandler && attributes.InputHandler.ids[attributes.InputHandler.ids.length - 1]);
+        const events = substitute(step.inputHandlerEvent, attributes).map((event) => ({
+            'name': event.name,
+            'inputEvents': (event.inputEvents || []).map((inputEvent) => {
+                let filled = Object.assign({
+                    'gadgetId': inputEvent.button ? emulator.gadgets[inputEvent.button - 1].gadgetId : undefined,
+                    'timestamp': emulator.lastRequest().request.timestamp,
+                    'action': 'down',
+                    'color': '000000',
+                    'feature': 'press'
+                }, inputEvent);
+                if (inputEvent.lightness !== undefined) {
+                    let lab = Colors.hexToLab(ColorsList.getColor(filled.color));
+                    lab.l += inputEvent.lightness;
+                    filled.color = Colors.labToHex(lab);
+                }
+                delete filled.button;
+                delete filled.lightness;
+                return filled;
+            })
+        }));
+        return emulator.request({
+            'type': 'GameEngine.InputHandlerEvent',
+            'originatingRequestId': originatingRequestId,
+            'events': events
+        }).then((response) => [response]);
+    } else if (step.end) {
+        return emulator.endSession(step.end).then((response) => response ? [response] : []);
+    }
+    return Promise.reject(new Error('unknown step ' + JSON.stringify(step)));
+}
+
+// runs a conversation; resolves with the list of failures
+function runConversation(name, conversation) {
+    const emulator = Emulator.createEmulator({
+        'handler': Skill.handler,
+        'locale': conversation.locale || 'en-US',
+        'buttonCount': conversation.buttons || 4,
+        // each conversation is a different user, so their player profiles don't mix
+        'userId': 'amzn1.ask.account.' + name
+    });
+    let failures = [];
+    const steps = conversation.steps || [];
+    const next = function(index) {
+        if (index >= steps.length) {
+            return Promise.resolve(failures);
+        }
+        const step = steps[index];
+        return runStep(emulator, step)
+            .then((responses) => {
+                const stepFailures = check(step.expect || {}, responses[responses.length - 1]);
+                if (stepFailures.length) {
+                    failures.push({ 'step': index + 1, 'description': describeStep(step), 'failures': stepFailures });
+                }
+            }, (error) => {
+                failures.push({ 'step': index + 1, 'description': describeStep(step), 'failures': [error.stack || String(error)] });
+            })
+            .then(() => next(index + 1));
+    };
+    return next(0);
+}
+
+function loadConversations() {
+    return fs.readdirSync(CONVERSATIONS_DIR)
+        .filter((file) => path.extname(file) === '.json')
+        .filter((file) => filters.length === 0 || filters.some((filter) => file.indexOf(filter) >= 0))
+        .sort()
+        .map((file) => ({
+            'name': path.basename(file, '.json'),
+            'conversation': JSON.parse(fs.readFileSync(path.join(CONVERSATIONS_DIR, file), 'utf8'))
+        }));
+}
+
+function main() {
+    const conversations = loadConversations();
+    let failed = 0;
+    const next = function(index) {
+        if (index >= conversations.length) {
+            return Promise.resolve();
+        }
+        const { name, conversation } = conversations[index];
+        return runConversation(name, conversation).then((failures) => {
+            if (failures.length === 0) {
+                log('ok     ' + name + (conversation.description ? ' - ' + conversation.description : ''));
+            } else {
+                failed++;
+                log('FAILED ' + name + (conversation.description ? ' - ' + conversation.description : ''));
+                failures.forEach((failure) => {
+                    log('  step ' + failure.step + ': ' + failure.description);
+                    failure.failures.forEach((message) => log('    ' + message.split('\n').join('\n    ')));
+                });
+            }
+            return next(index + 1);
+        });
+    };
+    return next(0).then(() => {
+        log('');
+        log((conversations.length - failed) + ' of ' + conversations.length + ' conversations passed');
+        process.exitCode = failed > 0 || conversations.length === 0 ? 1 : 0;
+    });
+}
+
+main().catch((error) => {
+    log(error.stack || String(error));
+    process.exitCode = 1;
+});
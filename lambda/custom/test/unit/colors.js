@@ -0,0 +1,97 @@
+'use strict';
+
+const assert = require('assert');
+const Colors = require('button_animations/colors.js');
+const ColorsList = require('button_animations/colorsList.js');
+
+module.exports = {
+    'parse reads hex colors': function() {
+        assert.strictEqual(Colors.parse('00FF7f'), '00ff7f');
+        assert.strictEqual(Colors.parse('#0f0'), '00ff00');
+        assert.strictEqual(Colors.parse(' 0x00ff00 '), '00ff00');
+    },
+
+    'parse reads color names, whatever their spacing and case': function() {
+        assert.strictEqual(Colors.parse('Dark-Slate Gray'), '2f4f4f');
+        assert.strictEqual(Colors.parse('darkslategray'), '2f4f4f');
+    },
+
+    'parse reads rgb() and hsl() colors': function() {
+        assert.strictEqual(Colors.parse('rgb(0, 128, 128)'), '008080');
+        assert.strictEqual(Colors.parse('rgb(100%, 0%, 0%)'), 'ff0000');
+        assert.strictEqual(Colors.parse('hsl(120, 100%, 25%)'), '008000');
+        assert.strictEqual(Colors.parse('hsla(240 100% 50% / 0.5)'), '0000ff');
+        assert.strictEqual(Colors.parse('hsl(-120, 100%, 50%)'), '0000ff');
+    },
+
+    'parse returns null for what isn\'t a color': function() {
+        ['', 'nope', '#12345', 'ggg', 'rgb(1, 2)', 'rgb(a, b, c)', 'hsl(abc,1,1)', 'hsl(none 50% 50%)',
+            'hsl(Infinity, 50%, 50%)', 'hsl(120, x, 50%)', null, undefined, 255].forEach((input) => {
+            assert.strictEqual(Colors.parse(input), null, JSON.stringify(input));
+        });
+    },
+
+    'the color list reports malformed colors instead of throwing': function() {
+        assert.strictEqual(ColorsList.getColor('hsl(abc,1,1)'), undefined);
+        assert.strictEqual(ColorsList.validateColor('hsl(none 50% 50%)'), 'hsl(none 50% 50%)');
+    },
+
+    'nearestName returns the CSS name that looks closest': function() {
+        assert.strictEqual(Colors.nearestName('0a6b6b'), 'teal');
+        assert.strictEqual(Colors.nearestName('#fe0101'), 'red');
+        assert.strictEqual(Colors.nearestName('rgb(0, 0, 120)'), 'navy');
+    },
+
+    'nearestName returns null for what isn\'t a color': function() {
+        assert.strictEqual(Colors.nearestName('zz'), null);
+        assert.strictEqual(Colors.nearestName('hsl(abc,1,1)'), null);
+        assert.strictEqual(Colors.nearestName(undefined), null);
+    },
+
+    'shades are spaced evenly in lightness, from full brightness down to the darkest lightness': function() {
+        const shades = Colors.shades('800000', { 'count': 4, 'darkestLightness': 12, 'minDistance': 10 });
+        assert.strictEqual(shades.length, 4);
+        assert.strictEqual(shades[0], 'ff0000');
+        const lightness = shades.map((shade) => Colors.hexToLab(shade).l);
+        assert.ok(Math.abs(lightness[3] - 12) < 0.5, 'darkest L* ' + lightness[3]);
+        const steps = lightness.slice(1).map((l, i) => lightness[i] - l);
+        steps.forEach((step) => assert.ok(Math.abs(step - steps[0]) < 0.5, 'L* steps ' + steps));
+    },
+
+    'shades are reduced in number until they are far enough apart': function() {
+        ['ffffff', 'ff0000', 'ff3300', '00ff00', '004411', '0000ff', '00a0b0', '4b0098', 'ffd400', '0a0a0a'].forEach((color) => {
+            [1, 3, 4, 6, 12].forEach((count) => {
+                const shades = Colors.shades(color, { 'count': count, 'darkestLightness': 12, 'minDistance': 10 });
+                assert.ok(shades.length >= 1 && shades.length <= count, color + ' x' + count + ': ' + shades);
+                shades.slice(1).forEach((shade, i) => assert.ok(Colors.distance(shades[i], shade) >= 10,
+                    color + ' x' + count + ': ' + shades[i] + ' and ' + shade + ' are too close'));
+            });
+        });
+        assert.strictEqual(Colors.shades('0000ff', { 'count': 12, 'darkestLightness': 12, 'minDistance': 10 }).length, 6);
+    },
+
+    'black has no shades': function() {
+        assert.deepStrictEqual(Colors.shades('000000'), []);
+    },
+
+    'describe names shades in plain words': function() {
+        assert.strictEqual(Colors.describe('0a4f4f'), 'dark teal');
+        assert.strictEqual(Colors.describe('ffc0cb'), 'light pink');
+        assert.strictEqual(Colors.describe('b07070'), 'pale red');
+        assert.strictEqual(Colors.describe('0000ff'), 'blue');
+    },
+
+    'describe tells black, white and grays apart': function() {
+        assert.strictEqual(Colors.describe('000000'), 'black');
+        assert.strictEqual(Colors.describe('ffffff'), 'white');
+        assert.strictEqual(Colors.describe('404040'), 'dark gray');
+        assert.strictEqual(Colors.describe('808080'), 'gray');
+        assert.strictEqual(Colors.describe('d3d3d3'), 'light gray');
+    },
+
+    'describe returns null for what isn\'t a color': function() {
+        assert.strictEqual(Colors.describe('x'), null);
+        assert.strictEqual(Colors.describe('hsl(none 50% 50%)'), null);
+        assert.strictEqual(Colors.describe(null), null);
+    }
+};
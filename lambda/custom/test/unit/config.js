@@ -0,0 +1,161 @@
+'use strict';
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Config = require('util/config.js');
+
+const DEFAULTS = {
+    'ROLL_CALL': { 'TIMEOUT_MS': 35000, 'MAX_PLAYERS': 3 },
+    'PERSISTENCE': { 'adapter': 'dynamodb', 'tableName': 'Players' },
+    'SOUNDS': { 'ON': true, 'COLORS': ['red', 'blue'] }
+};
+const RULES = {
+    'ROLL_CALL.*': { 'integer': true, 'min': 1 },
+    'PERSISTENCE.adapter': { 'oneOf': ['dynamodb', 'file', 'memory'] }
+};
+
+// writes a config file for the test, and returns its path
+function configFile(name, settings) {
+    const file = path.join(os.tmpdir(), 'quick-colors-' + process.pid + '-' + name + '.json');
+    fs.writeFileSync(file, JSON.stringify(settings));
+    return file;
+}
+
+// the problems of an InvalidConfigError thrown by `action`
+function problemsOf(action) {
+    try {
+        action();
+    } catch (error) {
+        assert.strictEqual(error.name, 'InvalidConfigError');
+        return error.problems;
+    }
+    assert.fail('the configuration was accepted');
+}
+
+// loads the skill's settings in a new process, as the skill does when it starts
+function startSkill(env) {
+    return childProcess.spawnSync(process.execPath, ['-e', 'console.log(JSON.stringify(require("settings.js").PERSISTENCE))'], {
+        'cwd': path.join(__dirname, '..', '..'),
+        'env': Object.assign({ 'NODE_PATH': '.', 'PATH': process.env.PATH }, env),
+        'encoding': 'utf8',
+        'timeout': 30000
+    });
+}
+
+module.exports = {
+    'the defaults are returned as a copy when nothing overrides them': function() {
+        const settings = Config.load(DEFAULTS, { 'env': {}, 'prefix': 'SETTINGS__', 'rules': RULES });
+        assert.deepStrictEqual(settings, DEFAULTS);
+        settings.SOUNDS.COLORS.push('green');
+        assert.deepStrictEqual(DEFAULTS.SOUNDS.COLORS, ['red', 'blue']);
+    },
+
+    'environment variables override settings by their path, parsed as the type of the default': function() {
+        const settings = Config.load(DEFAULTS, {
+            'env': {
+                'SETTINGS__ROLL_CALL__TIMEOUT_MS': '60000',
+                'settings__sounds__on': 'false',
+                'SETTINGS__SOUNDS__COLORS': '["green"]',
+                'OTHER_VARIABLE': 'ignored'
+            },
+            'prefix': 'SETTINGS__',
+            'rules': RULES
+        });
+        assert.strictEqual(settings.ROLL_CALL.TIMEOUT_MS, 60000);
+        assert.strictEqual(settings.SOUNDS.ON, true, 'the prefix is matched with its case');
+        assert.deepStrictEqual(settings.SOUNDS.COLORS, ['green']);
+    },
+
+    'aliases are shorter names for settings': function() {
+        const settings = Config.load(DEFAULTS, {
+            'env': { 'PERSISTENCE_ADAPTER': 'memory' },
+            'prefix': 'SETTINGS__',
+            'aliases': { 'PERSISTENCE_ADAPTER': 'PERSISTENCE.adapter' },
+            'rules': RULES
+        });
+        assert.strictEqual(settings.PERSISTENCE.adapter, 'memory');
+    },
+
+    'the config file is layered over the defaults, and environment variables over the file': function() {
+        const file = configFile('layers', { 'ROLL_CALL': { 'TIMEOUT_MS': 50000 }, 'PERSISTENCE': { 'tableName': 'Household' } });
+        try {
+            const settings = Config.load(DEFAULTS, {
+                'file': file,
+                'env': { 'SETTINGS__PERSISTENCE__TABLENAME': 'Tests' },
+                'prefix': 'SETTINGS__',
+                'rules': RULES
+            });
+            assert.strictEqual(settings.ROLL_CALL.TIMEOUT_MS, 50000);
+            assert.strictEqual(settings.ROLL_CALL.MAX_PLAYERS, 3);
+            assert.strictEqual(settings.PERSISTENCE.tableName, 'Tests');
+            assert.strictEqual(settings.PERSISTENCE.adapter, 'dynamodb');
+        } finally {
+            fs.unlinkSync(file);
+        }
+    },
+
+    'a missing config file is skipped, unless it is required': function() {
+        const file = path.join(os.tmpdir(), 'quick-colors-missing.json');
+        assert.deepStrictEqual(Config.load(DEFAULTS, { 'file': file }), DEFAULTS);
+        assert.deepStrictEqual(problemsOf(() => Config.load(DEFAULTS, { 'file': file, 'requireFile': true })),
+            ['the config file ' + file + ' does not exist']);
+    },
+
+    'every invalid value is reported, with where it came from': function() {
+        const file = configFile('invalid', { 'ROLL_CALL': { 'TIMEOUT_MS': 'long' }, 'SOUND': {} });
+        try {
+            const problems = problemsOf(() => Config.load(DEFAULTS, {
+                'file': file,
+                'env': {
+                    'SETTINGS__ROLL_CALL__MAX_PLAYERS': '2.5',
+                    'SETTINGS__PERSISTENCE__ADAPTER': 'redis',
+                    'SETTINGS__SOUNDS__ON': 'yes',
+                    'SETTINGS__MISSING': '1'
+                },
+                'prefix': 'SETTINGS__',
+                'rules': RULES,
+                'checks': [(settings) => settings.ROLL_CALL.MAX_PLAYERS > 2 ? [] : ['ROLL_CALL.MAX_PLAYERS is too low']]
+            }));
+            assert.deepStrictEqual(problems, [
+                'ROLL_CALL.TIMEOUT_MS (' + file + ') must be a number, got "long"',
+                'SOUND (' + file + ') is not a setting',
+                'SOUNDS.ON (SETTINGS__SOUNDS__ON) must be a boolean, got "yes"',
+                'SETTINGS__MISSING is not a setting',
+                'ROLL_CALL.MAX_PLAYERS (SETTINGS__ROLL_CALL__MAX_PLAYERS) must be a whole number, got 2.5',
+                'PERSISTENCE.adapter (SETTINGS__PERSISTENCE__ADAPTER) must be one of dynamodb, file, memory, got "redis"'
+            ]);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    },
+
+    'the skill reads its settings from the environment when it starts': function() {
+        const result = startSkill({ 'PERSISTENCE_ADAPTER': 'memory', 'SETTINGS__PERSISTENCE__TABLENAME': 'Tests' });
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.deepStrictEqual(JSON.parse(result.stdout), { 'adapter': 'memory', 'tableName': 'Tests', 'filePath': '.persistence.json' });
+    },
+
+    'the skill doesn\'t start with an invalid setting': function() {
+        const result = startSkill({ 'SETTINGS__ROLL_CALL__TIMEOUT_MS': '-5', 'PERSISTENCE_ADAPTER': 'cloud' });
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(/InvalidConfigError|Invalid configuration/.test(result.stderr), result.stderr);
+        assert.ok(result.stderr.indexOf('ROLL_CALL.TIMEOUT_MS (SETTINGS__ROLL_CALL__TIMEOUT_MS) must be at least') >= 0, result.stderr);
+        assert.ok(result.stderr.indexOf('PERSISTENCE.adapter (PERSISTENCE_ADAPTER) must be one of') >= 0, result.stderr);
+    },
+
+    'the skill doesn\'t start with shades close enough for a press on the wrong one to win': function() {
+        const result = startSkill({ 'PERSISTENCE_ADAPTER': 'memory', 'SETTINGS__COLOR_SHADES__MIN_DELTA_E': '10' });
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(result.stderr.indexOf('COLOR_SHADES.MIN_DELTA_E must be more than SCORING.CLOSE_DELTA_E') >= 0, result.stderr);
+    },
+
+    'the skill doesn\'t start with Simon says sequences too long to reproduce in one input handler': function() {
+        const result = startSkill({ 'PERSISTENCE_ADAPTER': 'memory', 'SETTINGS__SIMON__MAX_LENGTH': '15' });
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(result.stderr.indexOf('the longest SIMON sequence must play and be reproduced within INPUT_HANDLERS.MAX_DURATION_MS') >= 0,
+            result.stderr);
+    }
+};
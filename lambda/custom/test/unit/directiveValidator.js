@@ -0,0 +1,91 @@
+'use strict';
+
+// The repair path of the directive validator: what production sends when a directive is invalid.
+// The conversations run in test mode, where invalid directives throw instead.
+
+const assert = require('assert');
+const DirectiveValidator = require('util/directiveValidator.js');
+
+const GADGET = 'amzn1.ask.gadget.unit1';
+
+function setLight(animations) {
+    return {
+        'type': 'GadgetController.SetLight',
+        'version': 1,
+        'targetGadgets': [GADGET],
+        'parameters': { 'triggerEvent': 'none', 'triggerEventTimeMs': 0, 'animations': animations }
+    };
+}
+
+function startInputHandler(recognizers, events) {
+    return { 'type': 'GameEngine.StartInputHandler', 'timeout': 10000, 'recognizers': recognizers, 'events': events };
+}
+
+// runs `action` as in production, where invalid directives are repaired
+function inProduction(action) {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+        return action();
+    } finally {
+        process.env.NODE_ENV = nodeEnv;
+    }
+}
+
+module.exports = {
+    'check throws on an invalid directive in test mode': function() {
+        assert.throws(() => DirectiveValidator.check(setLight([])), /Invalid GadgetController\.SetLight directive/);
+    },
+
+    'check repairs an invalid directive in production': function() {
+        const directive = inProduction(() => DirectiveValidator.check(setLight([
+            { 'repeat': 300, 'targetLights': ['1'], 'sequence': [{ 'durationMs': 100000, 'color': 'red', 'blend': 'no' }] }
+        ])));
+        assert.deepStrictEqual(DirectiveValidator.validate(directive), []);
+        assert.deepStrictEqual(directive.parameters.animations, [{
+            'repeat': 255,
+            'targetLights': ['1'],
+            'sequence': [{ 'durationMs': 65535, 'blend': false, 'color': '000000' }]
+        }]);
+    },
+
+    'repair keeps the valid recognizers and events of an input handler': function() {
+        const directive = DirectiveValidator.repair(startInputHandler({
+            'pressed': { 'type': 'match', 'pattern': [{ 'action': 'down' }] },
+            'broken': { 'type': 'match', 'pattern': [] }
+        }, {
+            'button_down_event': { 'meets': ['pressed'], 'reports': 'matches', 'shouldEndInputHandler': true },
+            'broken_event': { 'meets': ['broken'], 'shouldEndInputHandler': true }
+        }));
+        assert.deepStrictEqual(DirectiveValidator.validate(directive), []);
+        assert.deepStrictEqual(Object.keys(directive.recognizers), ['pressed']);
+        assert.deepStrictEqual(Object.keys(directive.events), ['button_down_event']);
+    },
+
+    'repair leaves an input handler without valid events with a timeout event': function() {
+        const directive = DirectiveValidator.repair(startInputHandler({
+            'broken': { 'type': 'progress', 'recognizer': 'missing', 'completion': 50 }
+        }, {
+            'broken_event': { 'meets': ['broken'], 'shouldEndInputHandler': true }
+        }));
+        assert.deepStrictEqual(DirectiveValidator.validate(directive), []);
+        assert.deepStrictEqual(directive.recognizers, {});
+        assert.deepStrictEqual(directive.events, {
+            'timeout': { 'meets': ['timed out'], 'reports': 'history', 'shouldEndInputHandler': true }
+        });
+    },
+
+    'repair clamps the timeout of an input handler': function() {
+        let directive = startInputHandler({}, { 'done': { 'meets': ['timed out'], 'shouldEndInputHandler': true } });
+        directive.timeout = 200000;
+        directive = DirectiveValidator.repair(directive);
+        assert.deepStrictEqual(DirectiveValidator.validate(directive), []);
+        assert.strictEqual(directive.timeout, DirectiveValidator.LIMITS.MAX_INPUT_HANDLER_TIMEOUT_MS);
+    },
+
+    'repair turns the light off when a SetLight has no animations': function() {
+        const directive = DirectiveValidator.repair(setLight([]));
+        assert.deepStrictEqual(DirectiveValidator.validate(directive), []);
+        assert.deepStrictEqual(directive.parameters.animations[0].sequence, [{ 'durationMs': 1, 'blend': false, 'color': '000000' }]);
+    }
+};
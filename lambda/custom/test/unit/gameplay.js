@@ -0,0 +1,25 @@
+'use strict';
+
+const assert = require('assert');
+
+// keep player profiles in memory
+process.env.PERSISTENCE_ADAPTER = 'memory';
+
+const Colors = require('button_animations/colors.js');
+const Settings = require('settings.js');
+const GamePlay = require('gameplay.js');
+
+module.exports = {
+    'the rolled shades are too far apart for a press on the wrong one to win': function() {
+        ['red', 'blue', 'green', 'yellow', 'purple', 'orange', 'white', 'navy', 'teal', '808000'].forEach((color) => {
+            Object.keys(Settings.DIFFICULTY.LEVELS).forEach((level) => {
+                const shades = GamePlay.GetColorShades({ 'Difficulty': level }, color);
+                assert.ok(shades.length >= 1, color + ' on ' + level);
+                shades.forEach((shade, i) => shades.slice(i + 1).forEach((other) => {
+                    assert.ok(Colors.distance(shade, other) > Settings.SCORING.CLOSE_DELTA_E,
+                        color + ' on ' + level + ': ' + shade + ' and ' + other + ' are close enough to win');
+                }));
+            });
+        });
+    }
+};
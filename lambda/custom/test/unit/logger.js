@@ -0,0 +1,82 @@
+'use strict';
+
+// The logs of whole requests, at debug level, must never show the ids of the user, their device
+// or their buttons.
+
+const assert = require('assert');
+
+// keep player profiles in memory
+process.env.PERSISTENCE_ADAPTER = 'memory';
+
+const Logger = require('util/logger.js');
+const Settings = require('settings.js');
+const Emulator = require('emulator/emulator.js');
+const Skill = require('index.js');
+
+const USER_ID = 'amzn1.ask.account.UNIT-TEST-USER-7f3a';
+const DEVICE_ID = 'amzn1.ask.device.UNIT-TEST-DEVICE-91bc';
+
+// resolves with the lines logged while `action` runs, at debug level
+function captureLogs(action) {
+    let lines = [];
+    const consoleLog = console.log;
+    console.log = function(line) {
+        lines.push(String(line));
+    };
+    Logger.configure({ 'level': 'debug' });
+    const restore = function() {
+        console.log = consoleLog;
+        Logger.configure({ 'level': Settings.LOGGING.level });
+    };
+    return Promise.resolve()
+        .then(action)
+        .then(() => {
+            restore();
+            return lines;
+        }, (error) => {
+            restore();
+            throw error;
+        });
+}
+
+module.exports = {
+    'requests and responses are logged without user, device and gadget ids': function() {
+        const emulator = Emulator.createEmulator({ 'handler': Skill.handler, 'userId': USER_ID, 'deviceId': DEVICE_ID });
+        const gadgetIds = emulator.gadgets.map((gadget) => gadget.gadgetId);
+        return captureLogs(() => emulator.launch()
+            .then(() => emulator.press(0, 1000))
+            .then(() => emulator.press(1, 1000))
+            .then(() => emulator.intent('colorIntent', { 'color': 'red' }))
+            .then(() => emulator.press(1, 500)))
+            .then((lines) => {
+                const output = lines.join('\n');
+                assert.ok(lines.some((line) => JSON.parse(line).message === 'request received'), 'the requests are logged');
+                assert.ok(lines.some((line) => JSON.parse(line).message === 'response'), 'the responses are logged');
+                [USER_ID, DEVICE_ID].concat(gadgetIds.slice(0, 2)).forEach((id) => {
+                    assert.strictEqual(output.indexOf(id), -1, id + ' is in the logs');
+                });
+                assert.strictEqual(output.indexOf('UNIT-TEST'), -1, 'part of an id is in the logs');
+            });
+    },
+
+    'redact hashes ids and removes tokens': function() {
+        const redacted = Logger.redact({
+            'context': { 'System': {
+                'user': { 'userId': USER_ID, 'accessToken': 'secret-token' },
+                'device': { 'deviceId': DEVICE_ID },
+                'apiAccessToken': 'secret-api-token'
+            } },
+            'DeviceIDs': ['button-one', 'amzn1.ask.gadget.two'],
+            'recognizer': { 'gadgetIds': ['player', 'amzn1.ask.gadget.three'] }
+        });
+        const system = redacted.context.System;
+        assert.strictEqual(system.user.userId, Logger.redact({ 'userId': USER_ID }).userId);
+        assert.ok(/^id:[0-9a-f]{8}$/.test(system.user.userId), system.user.userId);
+        assert.ok(/^id:[0-9a-f]{8}$/.test(system.device.deviceId), system.device.deviceId);
+        assert.strictEqual(system.user.accessToken, '[redacted]');
+        assert.strictEqual(system.apiAccessToken, '[redacted]');
+        assert.ok(redacted.DeviceIDs.every((id) => /^id:/.test(id)), redacted.DeviceIDs.join());
+        assert.strictEqual(redacted.recognizer.gadgetIds[0], 'player');
+        assert.ok(/^id:/.test(redacted.recognizer.gadgetIds[1]));
+    }
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+// The adapters that keep player profiles locally, and the DynamoDB adapter only being loaded when
+// it is picked: the aws-sdk it pulls in is slow to load, and needs a region.
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PersistenceAdapters = require('util/persistenceAdapters.js');
+
+const DYNAMODB_ADAPTER = 'ask-sdk-dynamodb-persistence-adapter';
+
+// a request envelope from the user `userId`
+function requestFrom(userId) {
+    return { 'context': { 'System': { 'user': { 'userId': userId } } } };
+}
+
+// the path of a persistence file for the test, removed if it was left over
+function persistenceFile(name) {
+    const file = path.join(os.tmpdir(), 'quick-colors-' + process.pid + '-' + name + '.json');
+    removeFile(file);
+    return file;
+}
+
+function removeFile(file) {
+    if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+    }
+}
+
+// saves, reads back and deletes the attributes of two users with `adapter`
+function roundTrip(adapter) {
+    const anna = requestFrom('amzn1.ask.account.ANNA');
+    const marco = requestFrom('amzn1.ask.account.MARCO');
+    const attributes = { 'leaderboard': { 'players': { 'anna': { 'name': 'Anna', 'bestScore': 3 } } } };
+    return adapter.saveAttributes(anna, attributes)
+        .then(() => adapter.saveAttributes(marco, { 'ColorBlind': { 'palette': 'red_green' } }))
+        .then(() => adapter.getAttributes(anna))
+        .then((saved) => {
+            assert.deepStrictEqual(saved, attributes);
+            assert.notStrictEqual(saved, attributes, 'the attributes are returned as a copy');
+            return adapter.deleteAttributes(anna);
+        })
+        .then(() => adapter.getAttributes(anna))
+        .then((deleted) => assert.deepStrictEqual(deleted, {}))
+        .then(() => adapter.getAttributes(marco))
+        .then((other) => assert.deepStrictEqual(other, { 'ColorBlind': { 'palette': 'red_green' } }));
+}
+
+// the modules loaded by a new process that creates the adapter of type `adapter`; the process
+// exits before the DynamoDB adapter goes on to create its table
+function modulesLoadedFor(adapter) {
+    const script = 'require("util/persistenceAdapters.js").createPersistenceAdapter({ "adapter": "' + adapter + '" });'
+        + 'console.log(JSON.stringify(Object.keys(require.cache)));'
+        + 'process.exit(0);';
+    const child = childProcess.spawnSync(process.execPath, ['-e', script], {
+        'cwd': path.join(__dirname, '..', '..'),
+        'env': { 'NODE_PATH': '.', 'PATH': process.env.PATH, 'AWS_REGION': 'us-east-1' },
+        'encoding': 'utf8',
+        'timeout': 30000
+    });
+    assert.strictEqual(child.status, 0, child.stderr);
+    return JSON.parse(child.stdout);
+}
+
+function loadsDynamoDbAdapter(modules) {
+    return modules.some((file) => file.indexOf(path.sep + DYNAMODB_ADAPTER + path.sep) >= 0);
+}
+
+module.exports = {
+    'the memory adapter keeps the attributes of each user': function() {
+        return roundTrip(PersistenceAdapters.createPersistenceAdapter({ 'adapter': 'memory' }));
+    },
+
+    'the file adapter keeps the attributes of each user in its file': function() {
+        const file = persistenceFile('round-trip');
+        return roundTrip(PersistenceAdapters.createPersistenceAdapter({ 'adapter': 'file', 'filePath': file }))
+            .then(() => {
+                const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+                assert.deepStrictEqual(Object.keys(store), ['amzn1.ask.account.MARCO']);
+            })
+            .then(() => removeFile(file), (error) => {
+                removeFile(file);
+                throw error;
+            });
+    },
+
+    'the file adapter starts with no attributes when its file is missing': function() {
+        const file = persistenceFile('missing');
+        return PersistenceAdapters.createFileAdapter({ 'filePath': file })
+            .getAttributes(requestFrom('amzn1.ask.account.ANNA'))
+            .then((attributes) => {
+                assert.deepStrictEqual(attributes, {});
+                assert.ok(!fs.existsSync(file), 'reading does not create the file');
+            });
+    },
+
+    'the file adapter rejects a file that is not JSON, and leaves it as it is': function() {
+        const file = persistenceFile('corrupt');
+        fs.writeFileSync(file, '{ "amzn1.ask.account.ANNA": ');
+        const adapter = PersistenceAdapters.createFileAdapter({ 'filePath': file });
+        const anna = requestFrom('amzn1.ask.account.ANNA');
+        const expectRejected = (promise) => promise.then(() => assert.fail('the corrupt file was accepted'),
+            (error) => assert.ok(/Could not parse persistence file/.test(error.message), error.message));
+        return expectRejected(adapter.getAttributes(anna))
+            .then(() => expectRejected(adapter.saveAttributes(anna, { 'ColorBlind': null })))
+            .then(() => assert.strictEqual(fs.readFileSync(file, 'utf8'), '{ "amzn1.ask.account.ANNA": '))
+            .then(() => removeFile(file), (error) => {
+                removeFile(file);
+                throw error;
+            });
+    },
+
+    'an unknown adapter is refused': function() {
+        assert.throws(() => PersistenceAdapters.createPersistenceAdapter({ 'adapter': 'redis' }), /Unknown persistence adapter "redis"/);
+    },
+
+    'the DynamoDB adapter is only loaded when it is picked': function() {
+        assert.ok(!loadsDynamoDbAdapter(modulesLoadedFor('memory')), 'the memory adapter loads DynamoDB');
+        assert.ok(!loadsDynamoDbAdapter(modulesLoadedFor('file')), 'the file adapter loads DynamoDB');
+        assert.ok(loadsDynamoDbAdapter(modulesLoadedFor('dynamodb')), 'the DynamoDB adapter is not loaded');
+    }
+};
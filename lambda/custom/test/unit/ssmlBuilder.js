@@ -0,0 +1,76 @@
+'use strict';
+
+// The pieces of speech Alexa doesn't support: in test mode they throw, listing their problems; in
+// production they are repaired, so that the response is still well-formed SSML.
+
+const assert = require('assert');
+const SsmlBuilder = require('util/ssmlBuilder.js');
+
+const SOUND = 'https://s3.amazonaws.com/ask-soundlibrary/foley/amzn_sfx_rhythmic_ticking_30s_01.mp3';
+
+// runs `action` as in production, where invalid pieces are repaired
+function inProduction(action) {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+        return action();
+    } finally {
+        process.env.NODE_ENV = nodeEnv;
+    }
+}
+
+// asserts that `action` throws an InvalidSsmlError with a problem matching `pattern`
+function assertInvalid(action, pattern) {
+    assert.throws(action, (error) => error.name === 'InvalidSsmlError'
+        && error.problems.some((problem) => pattern.test(problem)));
+}
+
+module.exports = {
+    'text is escaped, and valid pieces make their tags': function() {
+        const ssml = SsmlBuilder.create()
+            .text('Black & White <3')
+            .break('1s')
+            .emphasis('strong', 'now')
+            .prosody({ 'rate': 'slow', 'pitch': '+10%', 'volume': '-6dB' }, SsmlBuilder.create().sayAs('digits', '1234'))
+            .sayAs('date', '20181019', { 'format': 'ymd' })
+            .audio(SOUND)
+            .toSsml();
+        assert.strictEqual(ssml, 'Black &amp; White &lt;3 <break time="1s"/> <emphasis level="strong">now</emphasis>'
+            + ' <prosody rate="slow" pitch="+10%" volume="-6dB"><say-as interpret-as="digits">1234</say-as></prosody>'
+            + ' <say-as interpret-as="date" format="ymd">20181019</say-as> <audio src="' + SOUND + '"/>');
+    },
+
+    'prosody only takes the rates, pitches and volumes Alexa supports': function() {
+        assertInvalid(() => SsmlBuilder.create().prosody({ 'speed': 'fast' }, 'hi'), /unknown attribute "speed"/);
+        assertInvalid(() => SsmlBuilder.create().prosody({ 'rate': '10%' }, 'hi'), /prosody rate "10%"/);
+        assertInvalid(() => SsmlBuilder.create().prosody({ 'pitch': '+60%' }, 'hi'), /prosody pitch "\+60%"/);
+        assertInvalid(() => SsmlBuilder.create().prosody({ 'volume': 'loudest' }, 'hi'), /prosody volume "loudest"/);
+        assertInvalid(() => SsmlBuilder.create().prosody({}, 'hi'), /needs a rate, pitch or volume/);
+    },
+
+    'emphasis, say-as and audio only take the values Alexa supports': function() {
+        assertInvalid(() => SsmlBuilder.create().emphasis('loud', 'hi'), /emphasis level must be one of/);
+        assertInvalid(() => SsmlBuilder.create().sayAs('money', '12'), /say-as interpret-as must be one of/);
+        assertInvalid(() => SsmlBuilder.create().audio('http://example.com/sound.mp3'), /audio src must be an https URL/);
+        assertInvalid(() => SsmlBuilder.create().audio(), /audio src must be an https URL/);
+        assertInvalid(() => SsmlBuilder.create().break('11s'), /at most 10s/);
+        assertInvalid(() => SsmlBuilder.create().break({ 'strength': 'huge' }), /break strength must be one of/);
+    },
+
+    'invalid pieces are repaired in production': function() {
+        const ssml = inProduction(() => SsmlBuilder.create()
+            .prosody({ 'rate': '10%' }, 'slowly')
+            .emphasis('loud', 'now')
+            .sayAs('money', '12 & 13')
+            .audio('http://example.com/sound.mp3')
+            .break('11s')
+            .text('done')
+            .toSsml());
+        assert.strictEqual(ssml, 'slowly now 12 &amp; 13 done');
+    },
+
+    'append only takes a builder': function() {
+        assert.throws(() => SsmlBuilder.create().append('text'), TypeError);
+        assert.strictEqual(SsmlBuilder.create().text('a').append(SsmlBuilder.create()).toSsml(), 'a');
+    }
+};
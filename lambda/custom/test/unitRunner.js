@@ -0,0 +1,84 @@
+'use strict';
+
+// Unit Test Runner
+//   runs the unit tests in test/unit/*.js: modules that export their tests as named functions,
+//   which throw (an assert failure) or return a rejected promise when the test fails.
+//
+//   npm test                                    runs the unit tests, then every conversation
+//   NODE_PATH=. node test/unitRunner.js colors  runs the test files whose name contains 'colors'
+//   NODE_PATH=. node test/unitRunner.js --verbose   also shows the modules' logs
+//
+// A test file:
+//   const assert = require('assert');
+//   const Colors = require('button_animations/colors.js');
+//
+//   module.exports = {
+//       'parse reads hex colors': function() {
+//           assert.strictEqual(Colors.parse('#ff0000'), 'ff0000');
+//       }
+//   };
+
+// fail on invalid directives and SSML, as in development
+process.env.NODE_ENV = 'test';
+
+const fs = require('fs');
+const path = require('path');
+
+const UNIT_DIR = path.join(__dirname, 'unit');
+
+const args = process.argv.slice(2);
+const verbose = args.indexOf('--verbose') >= 0;
+const filters = args.filter((arg) => arg.indexOf('--') !== 0);
+
+const log = console.log;
+if (!verbose) {
+    // the modules log what they do; keep the output for the results
+    console.log = function() {};
+}
+
+function loadTestFiles() {
+    return fs.readdirSync(UNIT_DIR)
+        .filter((file) => path.extname(file) === '.js')
+        .filter((file) => filters.length === 0 || filters.some((filter) => file.indexOf(filter) >= 0))
+        .sort()
+        .map((file) => ({ 'name': path.basename(file, '.js'), 'tests': require(path.join(UNIT_DIR, file)) }));
+}
+
+// runs one test; resolves with the error it failed with, or null
+function runTest(test) {
+    return new Promise((resolve) => resolve(test()))
+        .then(() => null, (error) => error || new Error('the test failed'));
+}
+
+function main() {
+    const cases = [];
+    loadTestFiles().forEach((file) => Object.keys(file.tests)
+        .forEach((name) => cases.push({ 'file': file.name, 'name': name, 'test': file.tests[name] })));
+    let failed = 0;
+    const next = function(index) {
+        if (index >= cases.length) {
+            return Promise.resolve();
+        }
+        const { file, name, test } = cases[index];
+        return runTest(test).then((error) => {
+            if (error === null) {
+                log('ok     ' + file + ' - ' + name);
+            } else {
+                failed++;
+                log('FAILED ' + file + ' - ' + name);
+                log('    ' + String(error.stack || error).split('\n').join('\n    '));
+            }
+            return next(index + 1);
+        });
+    };
+    return next(0).then(() => {
+        log('');
+        log((cases.length - failed) + ' of ' + cases.length + ' unit tests passed');
+        process.exitCode = failed > 0 || cases.length === 0 ? 1 : 0;
+    });
+}
+
+main().catch((error) => {
+    log(error.stack || String(error));
+    process.exitCode = 1;
+});
@@ -0,0 +1,216 @@
+'use strict';
+
+// Configuration Loader
+//   layers a JSON config file and environment variables over default settings, and checks the
+//   result once, when the skill starts:
+//
+//     const settings = Config.load(DEFAULTS, {
+//         'file': path.join(__dirname, 'settings.json'),   // optional, skipped when missing
+//         'env': process.env,
+//         'prefix': 'SETTINGS__',                          // SETTINGS__ROLL_CALL__TIMEOUT_MS=60000
+//         'aliases': { 'LOG_LEVEL': 'LOGGING.level' },     // shorter names for some settings
+//         'rules': { 'ROLL_CALL.TIMEOUT_MS': { 'integer': true, 'min': 1 } },
+//         'checks': [ (settings) => [...problems] ]
+//     });
+//
+//   The config file holds the settings to change, nested like the defaults. An environment
+//   variable names a setting by its path, with '__' between the levels (letter case doesn't
+//   matter), and wins over the file. Every value must have the type of its default; numbers and
+//   booleans are parsed from environment variables, and lists or objects are given as JSON.
+//   Rules apply to the settings matching a path, where '*' matches any key:
+//     integer, min, max, oneOf (a list of values), check (a function returning a problem or null)
+//   Unknown settings, values of the wrong type and broken rules throw an InvalidConfigError
+//   listing every problem, with where each value came from.
+
+const fs = require('fs');
+
+const PATH_SEPARATOR = '.';
+
+const invalidConfigError = function (problems) {
+    const error = new Error('Invalid configuration:\n  - ' + problems.join('\n  - '));
+    error.name = 'InvalidConfigError';
+    error.problems = problems;
+    return error;
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) {
+        return 'list';
+    }
+    return value === null ? 'null' : typeof value;
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// the key of `object` matching `name`, whatever its letter case
+function findKey(object, name) {
+    if (object.hasOwnProperty(name)) {
+        return name;
+    }
+    return Object.keys(object).find((key) => key.toLowerCase() === name.toLowerCase());
+}
+
+// parses an environment variable as the type of the setting's default; returns undefined if it can't
+function parseValue(text, defaultValue) {
+    switch (typeOf(defaultValue)) {
+        case 'number':
+            return text.trim() !== '' && isFinite(Number(text)) ? Number(text) : undefined;
+        case 'boolean':
+            return text === 'true' ? true : (text === 'false' ? false : undefined);
+        case 'string':
+            return text;
+        default:
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return undefined;
+            }
+    }
+}
+
+// copies the values of `overrides` over `target`, which holds the defaults
+function merge(target, overrides, path, source, context) {
+    Object.keys(overrides).forEach((key) => {
+        const keyPath = path.concat(key);
+        const name = keyPath.join(PATH_SEPARATOR);
+        if (!target.hasOwnProperty(key)) {
+            context.problems.push(name + ' (' + source + ') is not a setting');
+            return;
+        }
+        const expected = typeOf(target[key]);
+        const actual = typeOf(overrides[key]);
+        if (expected !== actual) {
+            context.problems.push(name + ' (' + source + ') must be a ' + expected + ', got ' + JSON.stringify(overrides[key]));
+        } else if (expected === 'object') {
+            merge(target[key], overrides[key], keyPath, source, context);
+        } else {
+            target[key] = clone(overrides[key]);
+            context.sources[name] = source;
+        }
+    });
+}
+
+// the overrides given by environment variables, nested like the settings
+function environmentOverrides(settings, options, context) {
+    const env = options.env || {};
+    const prefix = options.prefix;
+    const aliases = options.aliases || {};
+    let overrides = [];
+    Object.keys(env).forEach((variable) => {
+        let names;
+        if (aliases.hasOwnProperty(variable)) {
+            names = aliases[variable].split(PATH_SEPARATOR);
+        } else if (prefix && variable.indexOf(prefix) === 0) {
+            names = variable.substring(prefix.length).split('__');
+        } else {
+            return;
+        }
+        // resolve each level of the path against the settings
+        let path = [];
+        let value = settings;
+        for (let i = 0; i < names.length; i++) {
+            const key = typeOf(value) === 'object' ? findKey(value, names[i]) : undefined;
+            if (key === undefined) {
+                context.problems.push(variable + ' is not a setting');
+                return;
+            }
+            path.push(key);
+            value = value[key];
+        }
+        const parsed = parseValue(env[variable], value);
+        if (parsed === undefined) {
+            context.problems.push(path.join(PATH_SEPARATOR) + ' (' + variable + ') must be a ' + typeOf(value)
+                + ', got ' + JSON.stringify(env[variable]));
+            return;
+        }
+        // build { A: { B: value } } for the path A.B, to be merged like the config file
+        let override = {};
+        path.slice(0, -1).reduce((object, key) => object[key] = {}, override)[path[path.length - 1]] = parsed;
+        overrides.push({ 'variable': variable, 'override': override });
+    });
+    return overrides;
+}
+
+// the [path, value] pairs of the settings matching a rule path, with '*' for any key
+function matching(settings, rulePath) {
+    let found = [[[], settings]];
+    rulePath.split(PATH_SEPARATOR).forEach((name) => {
+        let next = [];
+        found.forEach(([path, value]) => {
+            if (typeOf(value) !== 'object') {
+                return;
+            }
+            (name === '*' ? Object.keys(value) : [name]).forEach((key) => {
+                if (value.hasOwnProperty(key)) {
+                    next.push([path.concat(key), value[key]]);
+                }
+            });
+        });
+        found = next;
+    });
+    return found;
+}
+
+function checkRule(name, value, rule) {
+    if (rule.integer && !Number.isInteger(value)) {
+        return 'must be a whole number, got ' + JSON.stringify(value);
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return 'must be at least ' + rule.min + ', got ' + JSON.stringify(value);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return 'must be at most ' + rule.max + ', got ' + JSON.stringify(value);
+    }
+    if (rule.oneOf !== undefined && rule.oneOf.indexOf(value) < 0) {
+        return 'must be one of ' + rule.oneOf.join(', ') + ', got ' + JSON.stringify(value);
+    }
+    return rule.check ? rule.check(value) : null;
+}
+
+var Config = {
+    // returns the settings: the defaults, with the config file and environment variables applied.
+    // Throws an InvalidConfigError if any of them is invalid
+    'load': function(defaults, options) {
+        options = options || {};
+        let settings = clone(defaults);
+        let context = { 'problems': [], 'sources': {} };
+
+        if (options.file && fs.existsSync(options.file)) {
+            let fileSettings;
+            try {
+                fileSettings = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+            } catch (error) {
+                throw invalidConfigError([options.file + ' is not valid JSON: ' + error.message]);
+            }
+            merge(settings, fileSettings, [], options.file, context);
+        } else if (options.file && options.requireFile) {
+            context.problems.push('the config file ' + options.file + ' does not exist');
+        }
+        environmentOverrides(settings, options, context).forEach(({ variable, override }) => {
+            merge(settings, override, [], variable, context);
+        });
+
+        Object.keys(options.rules || {}).forEach((rulePath) => {
+            matching(settings, rulePath).forEach(([path, value]) => {
+                const name = path.join(PATH_SEPARATOR);
+                const problem = checkRule(name, value, options.rules[rulePath]);
+                if (problem) {
+                    const source = context.sources[name] ? ' (' + context.sources[name] + ')' : '';
+                    context.problems.push(name + source + ' ' + problem);
+                }
+            });
+        });
+        (options.checks || []).forEach((check) => {
+            context.problems = context.problems.concat(check(settings));
+        });
+
+        if (context.problems.length > 0) {
+            throw invalidConfigError(context.problems);
+        }
+        return settings;
+    }
+};
+
+module.exports = Config;
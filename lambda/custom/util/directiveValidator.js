@@ -0,0 +1,365 @@
+'use strict';
+
+// Checks Gadget Controller and Game Engine directives against the documented Echo Buttons limits
+// before they go into a response. See:
+//   https://developer.amazon.com/docs/gadget-skills/gadgetcontroller-interface-reference.html
+//   https://developer.amazon.com/docs/gadget-skills/gameengine-interface-reference.html
+//
+// In development (NODE_ENV=development or test) an invalid directive throws an error listing every
+// problem found. In production the problems are logged and the directive is repaired instead, so a
+// bad animation never costs the player the whole response.
+
+const Logger = require('./logger.js');
+const log = Logger.create('DirectiveValidator');
+
+const LIMITS = {
+    MAX_SEQUENCE_STEPS: 38,
+    MIN_STEP_DURATION_MS: 1,
+    MAX_STEP_DURATION_MS: 65535,
+    MIN_REPEAT: 0,
+    MAX_REPEAT: 255,
+    MAX_TRIGGER_EVENT_TIME_MS: 65535,
+    MIN_INPUT_HANDLER_TIMEOUT_MS: 1,
+    MAX_INPUT_HANDLER_TIMEOUT_MS: 90000,
+    MAX_EVENT_INVOCATIONS: 2048,
+    MAX_EVENT_TRIGGER_TIME_MS: 300000
+};
+
+const TRIGGER_EVENTS = ['buttonDown', 'buttonUp', 'none'];
+const TARGET_LIGHTS = ['1'];
+const RECOGNIZER_TYPES = ['match', 'deviation', 'progress'];
+const ANCHORS = ['start', 'end', 'anywhere'];
+const ACTIONS = ['down', 'up', 'silence'];
+const REPORTS = ['history', 'matches', 'nothing'];
+// built-in recognizer that every input handler gets for free
+const TIMED_OUT_RECOGNIZER = 'timed out';
+// color used in place of an invalid one when repairing an animation
+const FALLBACK_COLOR = '000000';
+// event a repaired input handler is left with when none of its events is valid: the skill still
+// hears back from the input handler when it times out
+const FALLBACK_EVENTS = {
+    'timeout': { 'meets': [TIMED_OUT_RECOGNIZER], 'reports': 'history', 'shouldEndInputHandler': true }
+};
+
+const HEX_COLOR = /^[0-9a-f]{6}$/i;
+
+function isInteger(value, min, max) {
+    return Number.isInteger(value) && value >= min && (max === undefined || value <= max);
+}
+
+function clamp(value, min, max, fallback) {
+    const number = Math.round(Number(value));
+    if (!Number.isFinite(number)) {
+        return fallback;
+    }
+    return Math.min(max, Math.max(min, number));
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every((item) => typeof item === 'string');
+}
+
+function validateAnimations(animations, problems) {
+    if (!Array.isArray(animations) || animations.length === 0) {
+        problems.push('parameters.animations must be a non-empty array');
+        return;
+    }
+    animations.forEach((animation, a) => {
+        const where = 'animations[' + a + ']';
+        if (!isInteger(animation.repeat, LIMITS.MIN_REPEAT, LIMITS.MAX_REPEAT)) {
+            problems.push(where + '.repeat must be an integer from ' + LIMITS.MIN_REPEAT +
+                ' to ' + LIMITS.MAX_REPEAT + ', got ' + JSON.stringify(animation.repeat));
+        }
+        if (!isStringArray(animation.targetLights) || animation.targetLights.length === 0 ||
+            !animation.targetLights.every((light) => TARGET_LIGHTS.indexOf(light) >= 0)) {
+            problems.push(where + '.targetLights must be ' + JSON.stringify(TARGET_LIGHTS) +
+                ', got ' + JSON.stringify(animation.targetLights));
+        }
+        if (!Array.isArray(animation.sequence)) {
+            problems.push(where + '.sequence must be an array');
+            return;
+        }
+        if (animation.sequence.length > LIMITS.MAX_SEQUENCE_STEPS) {
+            problems.push(where + '.sequence has ' + animation.sequence.length +
+                ' steps, the limit is ' + LIMITS.MAX_SEQUENCE_STEPS);
+        }
+        animation.sequence.forEach((step, s) => {
+            const stepWhere = where + '.sequence[' + s + ']';
+            if (!isInteger(step.durationMs, LIMITS.MIN_STEP_DURATION_MS, LIMITS.MAX_STEP_DURATION_MS)) {
+                problems.push(stepWhere + '.durationMs must be an integer from ' +
+                    LIMITS.MIN_STEP_DURATION_MS + ' to ' + LIMITS.MAX_STEP_DURATION_MS +
+                    ', got ' + JSON.stringify(step.durationMs));
+            }
+            if (typeof step.color !== 'string' || !HEX_COLOR.test(step.color)) {
+                problems.push(stepWhere + '.color must be a RRGGBB hex color, got ' +
+                    JSON.stringify(step.color));
+            }
+            if (typeof step.blend !== 'boolean') {
+                problems.push(stepWhere + '.blend must be a boolean, got ' + JSON.stringify(step.blend));
+            }
+        });
+    });
+}
+
+function validateSetLight(directive, problems) {
+    if (directive.version !== 1) {
+        problems.push('version must be 1, got ' + JSON.stringify(directive.version));
+    }
+    if (!isStringArray(directive.targetGadgets)) {
+        problems.push('targetGadgets must be an array of gadget ids');
+    }
+    const parameters = directive.parameters || {};
+    if (TRIGGER_EVENTS.indexOf(parameters.triggerEvent) < 0) {
+        problems.push('parameters.triggerEvent must be one of ' + TRIGGER_EVENTS.join(', ') +
+            ', got ' + JSON.stringify(parameters.triggerEvent));
+    }
+    if (!isInteger(parameters.triggerEventTimeMs, 0, LIMITS.MAX_TRIGGER_EVENT_TIME_MS)) {
+        problems.push('parameters.triggerEventTimeMs must be an integer from 0 to ' +
+            LIMITS.MAX_TRIGGER_EVENT_TIME_MS + ', got ' + JSON.stringify(parameters.triggerEventTimeMs));
+    }
+    validateAnimations(parameters.animations, problems);
+}
+
+function validatePattern(pattern, where, problems) {
+    if (!Array.isArray(pattern) || pattern.length === 0) {
+        problems.push(where + '.pattern must be a non-empty array');
+        return;
+    }
+    pattern.forEach((entry, p) => {
+        const entryWhere = where + '.pattern[' + p + ']';
+        if (entry.action !== undefined && ACTIONS.indexOf(entry.action) < 0) {
+            problems.push(entryWhere + '.action must be one of ' + ACTIONS.join(', ') +
+                ', got ' + JSON.stringify(entry.action));
+        }
+        if (entry.gadgetIds !== undefined && !isStringArray(entry.gadgetIds)) {
+            problems.push(entryWhere + '.gadgetIds must be an array of gadget ids or proxies');
+        }
+        if (entry.colors !== undefined && (!isStringArray(entry.colors) ||
+            !entry.colors.every((color) => HEX_COLOR.test(color)))) {
+            problems.push(entryWhere + '.colors must be RRGGBB hex colors, got ' +
+                JSON.stringify(entry.colors));
+        }
+    });
+}
+
+// returns the names of the recognizers that are valid, pushing a problem for each invalid one
+function validateRecognizers(recognizers, problems) {
+    if (recognizers === null || typeof recognizers !== 'object' || Array.isArray(recognizers)) {
+        problems.push('recognizers must be an object');
+        return [];
+    }
+    return Object.keys(recognizers).filter((name) => {
+        const recognizer = recognizers[name] || {};
+        const where = 'recognizers["' + name + '"]';
+        const before = problems.length;
+        if (RECOGNIZER_TYPES.indexOf(recognizer.type) < 0) {
+            problems.push(where + '.type must be one of ' + RECOGNIZER_TYPES.join(', ') +
+                ', got ' + JSON.stringify(recognizer.type));
+        } else if (recognizer.type === 'match') {
+            if (recognizer.anchor !== undefined && ANCHORS.indexOf(recognizer.anchor) < 0) {
+                problems.push(where + '.anchor must be one of ' + ANCHORS.join(', ') +
+                    ', got ' + JSON.stringify(recognizer.anchor));
+            }
+            if (recognizer.gadgetIds !== undefined && !isStringArray(recognizer.gadgetIds)) {
+                problems.push(where + '.gadgetIds must be an array of gadget ids or proxies');
+            }
+            validatePattern(recognizer.pattern, where, problems);
+        } else {
+            if (!recognizers[recognizer.recognizer] || recognizers[recognizer.recognizer].type !== 'match') {
+                problems.push(where + '.recognizer must name a match recognizer, got ' +
+                    JSON.stringify(recognizer.recognizer));
+            }
+            if (recognizer.type === 'progress' && !isInteger(recognizer.completion, 0, 100)) {
+                problems.push(where + '.completion must be an integer from 0 to 100, got ' +
+                    JSON.stringify(recognizer.completion));
+            }
+        }
+        return problems.length === before;
+    });
+}
+
+// returns the names of the events that are valid, pushing a problem for each invalid one
+function validateEvents(events, recognizerNames, problems) {
+    if (events === null || typeof events !== 'object' || Array.isArray(events) ||
+        Object.keys(events).length === 0) {
+        problems.push('events must be a non-empty object');
+        return [];
+    }
+    const known = recognizerNames.concat([TIMED_OUT_RECOGNIZER]);
+    return Object.keys(events).filter((name) => {
+        const event = events[name] || {};
+        const where = 'events["' + name + '"]';
+        const before = problems.length;
+        if (!isStringArray(event.meets) || event.meets.length === 0) {
+            problems.push(where + '.meets must be a non-empty array of recognizer names');
+        }
+        ['meets', 'fails'].forEach((field) => {
+            (isStringArray(event[field]) ? event[field] : []).forEach((recognizer) => {
+                if (known.indexOf(recognizer) < 0) {
+                    problems.push(where + '.' + field + ' references the undefined recognizer "' +
+                        recognizer + '"');
+                }
+            });
+        });
+        if (event.reports !== undefined && REPORTS.indexOf(event.reports) < 0) {
+            problems.push(where + '.reports must be one of ' + REPORTS.join(', ') +
+                ', got ' + JSON.stringify(event.reports));
+        }
+        if (typeof event.shouldEndInputHandler !== 'boolean') {
+            problems.push(where + '.shouldEndInputHandler must be a boolean');
+        }
+        if (event.maximumInvocations !== undefined &&
+            !isInteger(event.maximumInvocations, 1, LIMITS.MAX_EVENT_INVOCATIONS)) {
+            problems.push(where + '.maximumInvocations must be an integer from 1 to ' +
+                LIMITS.MAX_EVENT_INVOCATIONS + ', got ' + JSON.stringify(event.maximumInvocations));
+        }
+        if (event.triggerTimeMilliseconds !== undefined &&
+            !isInteger(event.triggerTimeMilliseconds, 0, LIMITS.MAX_EVENT_TRIGGER_TIME_MS)) {
+            problems.push(where + '.triggerTimeMilliseconds must be an integer from 0 to ' +
+                LIMITS.MAX_EVENT_TRIGGER_TIME_MS + ', got ' + JSON.stringify(event.triggerTimeMilliseconds));
+        }
+        return problems.length === before;
+    });
+}
+
+function validateStartInputHandler(directive, problems) {
+    if (!isInteger(directive.timeout, LIMITS.MIN_INPUT_HANDLER_TIMEOUT_MS, LIMITS.MAX_INPUT_HANDLER_TIMEOUT_MS)) {
+        problems.push('timeout must be an integer from ' + LIMITS.MIN_INPUT_HANDLER_TIMEOUT_MS +
+            ' to ' + LIMITS.MAX_INPUT_HANDLER_TIMEOUT_MS + ', got ' + JSON.stringify(directive.timeout));
+    }
+    if (directive.maximumHistoryLength !== undefined && !isInteger(directive.maximumHistoryLength, 1)) {
+        problems.push('maximumHistoryLength must be a positive integer, got ' +
+            JSON.stringify(directive.maximumHistoryLength));
+    }
+    if (directive.proxies !== undefined && !isStringArray(directive.proxies)) {
+        problems.push('proxies must be an array of names');
+    }
+    const recognizerNames = validateRecognizers(directive.recognizers, problems);
+    validateEvents(directive.events, recognizerNames, problems);
+}
+
+function validateStopInputHandler(directive, problems) {
+    if (typeof directive.originatingRequestId !== 'string' || directive.originatingRequestId === '') {
+        problems.push('originatingRequestId must be the id of the request that started the input handler');
+    }
+}
+
+const VALIDATORS = {
+    'GadgetController.SetLight': validateSetLight,
+    'GameEngine.StartInputHandler': validateStartInputHandler,
+    'GameEngine.StopInputHandler': validateStopInputHandler
+};
+
+// brings every value within its limits; a directive without animations turns the light off
+function repairSetLight(directive) {
+    const parameters = directive.parameters || {};
+    const animations = Array.isArray(parameters.animations) && parameters.animations.length > 0
+        ? parameters.animations : [{ 'sequence': [{ 'durationMs': LIMITS.MIN_STEP_DURATION_MS }] }];
+    return Object.assign({}, directive, {
+        "version": 1,
+        "targetGadgets": isStringArray(directive.targetGadgets) ? directive.targetGadgets : [],
+        "parameters": Object.assign({}, parameters, {
+            "triggerEvent": TRIGGER_EVENTS.indexOf(parameters.triggerEvent) >= 0 ?
+                parameters.triggerEvent : 'none',
+            "triggerEventTimeMs": clamp(parameters.triggerEventTimeMs, 0, LIMITS.MAX_TRIGGER_EVENT_TIME_MS, 0),
+            "animations": animations.map((animation) => ({
+                "repeat": clamp(animation.repeat, LIMITS.MIN_REPEAT, LIMITS.MAX_REPEAT, 1),
+                "targetLights": TARGET_LIGHTS,
+                "sequence": (Array.isArray(animation.sequence) ? animation.sequence : [])
+                    .slice(0, LIMITS.MAX_SEQUENCE_STEPS)
+                    .map((step) => ({
+                        "durationMs": clamp(step.durationMs, LIMITS.MIN_STEP_DURATION_MS,
+                            LIMITS.MAX_STEP_DURATION_MS, LIMITS.MIN_STEP_DURATION_MS),
+                        "blend": step.blend === true,
+                        "color": (typeof step.color === 'string' && HEX_COLOR.test(step.color)) ?
+                            step.color : FALLBACK_COLOR
+                    }))
+            }))
+        })
+    });
+}
+
+// drops the invalid recognizers, and the events that depend on them; an input handler needs at
+// least one event, so one left without any only reports its time out
+function repairStartInputHandler(directive) {
+    const ignored = [];
+    const recognizers = {};
+    validateRecognizers(directive.recognizers, ignored)
+        .forEach((name) => recognizers[name] = directive.recognizers[name]);
+    let events = {};
+    validateEvents(directive.events, Object.keys(recognizers), ignored)
+        .forEach((name) => events[name] = directive.events[name]);
+    if (Object.keys(events).length === 0) {
+        events = FALLBACK_EVENTS;
+    }
+    return Object.assign({}, directive, {
+        "timeout": clamp(directive.timeout, LIMITS.MIN_INPUT_HANDLER_TIMEOUT_MS,
+            LIMITS.MAX_INPUT_HANDLER_TIMEOUT_MS, LIMITS.MAX_INPUT_HANDLER_TIMEOUT_MS),
+        "maximumHistoryLength": isInteger(directive.maximumHistoryLength, 1) ?
+            directive.maximumHistoryLength : undefined,
+        "proxies": isStringArray(directive.proxies) ? directive.proxies : undefined,
+        "recognizers": recognizers,
+        "events": events
+    });
+}
+
+const REPAIRS = {
+    'GadgetController.SetLight': repairSetLight,
+    'GameEngine.StartInputHandler': repairStartInputHandler
+};
+
+const invalidDirectiveError = function (directive, problems) {
+    const error = new Error(
+        `Invalid ${directive.type} directive:\n  - ${problems.join('\n  - ')}`
+    );
+    error.name = 'InvalidDirectiveError';
+    error.directiveType = directive.type;
+    error.problems = problems;
+    // point the stack trace at the code that built the directive
+    if (typeof Error.captureStackTrace === 'function') {
+        Error.captureStackTrace(error, directiveValidator.check);
+    }
+    return error;
+};
+
+var directiveValidator = {
+    LIMITS: LIMITS,
+
+    // true when invalid directives should throw instead of being repaired
+    'isStrict': function() {
+        return process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test';
+    },
+
+    // returns the list of problems found in a directive (empty when it is valid)
+    'validate': function(directive) {
+        const problems = [];
+        if (!directive || !VALIDATORS[directive.type]) {
+            problems.push('unknown directive type ' + JSON.stringify(directive && directive.type));
+        } else {
+            VALIDATORS[directive.type](directive, problems);
+        }
+        return problems;
+    },
+
+    // returns a copy of the directive brought within the limits, as far as that is possible
+    'repair': function(directive) {
+        const repair = directive && REPAIRS[directive.type];
+        return repair ? repair(directive) : directive;
+    },
+
+    // returns the directive if it is valid; otherwise throws in development, or logs
+    // the problems and returns the repaired directive in production
+    'check': function(directive) {
+        const problems = directiveValidator.validate(directive);
+        if (problems.length === 0) {
+            return directive;
+        }
+        if (directiveValidator.isStrict()) {
+            throw invalidDirectiveError(directive, problems);
+        }
+        log.warn('repairing invalid directive', { 'type': directive.type, 'problems': problems });
+        return directiveValidator.repair(directive);
+    }
+};
+
+module.exports = directiveValidator;
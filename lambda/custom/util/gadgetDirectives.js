@@ -1,4 +1,7 @@
 'use strict';
+
+// Checks every directive against the Echo Buttons limits before it goes into a response
+const DirectiveValidator = require('./directiveValidator.js');
            
 const requiredParam = function (param) {
   const requiredParamError = new Error(
@@ -23,24 +26,24 @@ var gadgetDirectives = {
         recognizers = requiredParam('recognizers'), 
         events = requiredParam('events')
     } = {}, params) {
-        return {
+        return DirectiveValidator.check({
             "type": "GameEngine.StartInputHandler",
             "timeout": (params && params.timeout) || timeout,
             "maximumHistoryLength": (params && params.maximumHistoryLength) || maximumHistoryLength,
             "proxies": (params && params.proxies) || proxies,
             "recognizers": (params && params.recognizers) || recognizers,
             "events": (params && params.events) || events,
-        };
+        });
     },
 
     // returns a StopInputHandler directive that can be added to an Alexa skill response
     'stopInputHandler': function({
         id = requiredParam('id')
     } = {}) {
-        return {
+        return DirectiveValidator.check({
             "type": "GameEngine.StopInputHandler",
             "originatingRequestId": id
-        };
+        });
     },
 
     // returns a SetLight directive, with a 'buttonDown' trigger, that can be added to an Alexa skill response
@@ -49,7 +52,7 @@ var gadgetDirectives = {
         animations = requiredParam('animations'),
         triggerEventTimeMs = 0
     } = {}, params) {
-        return {
+        return DirectiveValidator.check({
             "type": "GadgetController.SetLight",
             "version": 1,
             "targetGadgets": (params && params.targetGadgets) || targetGadgets,
@@ -58,7 +61,7 @@ var gadgetDirectives = {
                 "triggerEvent": "buttonDown",
                 "triggerEventTimeMs": (params && params.triggerEventTimeMs) || triggerEventTimeMs,
             }
-        };
+        });
     },
 
     // returns a SetLight directive, with a 'buttonUp' trigger, that can be added to an Alexa skill response
@@ -67,7 +70,7 @@ var gadgetDirectives = {
         animations = requiredParam('animations'),
         triggerEventTimeMs = 0
     } = {}, params) {
-        return {
+        return DirectiveValidator.check({
             "type": "GadgetController.SetLight",
             "version": 1,
             "targetGadgets": (params && params.targetGadgets) || targetGadgets,
@@ -76,7 +79,7 @@ var gadgetDirectives = {
                 "triggerEvent": "buttonUp",
                 "triggerEventTimeMs": (params && params.triggerEventTimeMs) || triggerEventTimeMs,
             }
-        };
+        });
     },
     
     // returns a SetLight directive, with a 'none' trigger, that can be added to an Alexa skill response
@@ -85,7 +88,7 @@ var gadgetDirectives = {
         animations = requiredParam('animations'),
         triggerEventTimeMs = 0
     } = {}, params) {
-        return {
+        return DirectiveValidator.check({
             "type": "GadgetController.SetLight",
             "version": 1,
             "targetGadgets": (params && params.targetGadgets) || targetGadgets,
@@ -94,7 +97,7 @@ var gadgetDirectives = {
                 "triggerEvent": "none",
                 "triggerEventTimeMs": (params && params.triggerEventTimeMs) || triggerEventTimeMs,
             }
-        };
+        });
     }
 
 
@@ -0,0 +1,102 @@
+'use strict';
+
+const path = require('path');
+const Logger = require('./logger.js');
+const log = Logger.create('i18n');
+
+// Message catalogs live in the locales/ folder: one JSON file per language ('it.json'), plus
+// optional files for regional variants ('en-GB.json') holding only the messages that differ.
+// Supporting a new locale only takes a new catalog file (and an interaction model).
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const FALLBACK_LANGUAGE = 'en';
+
+let catalogs = {};
+
+// loads a catalog on first use; returns null if there is no catalog with that name
+function loadCatalog(name) {
+    if (!(name in catalogs)) {
+        try {
+            catalogs[name] = require(path.join(LOCALES_DIR, name + '.json'));
+        } catch (error) {
+            if (error.code !== 'MODULE_NOT_FOUND') {
+                throw error;
+            }
+            catalogs[name] = null;
+        }
+    }
+    return catalogs[name];
+}
+
+// returns the catalogs to search for a locale, most specific first: 'it-IT' -> it-IT, it, en
+function catalogChain(locale) {
+    const names = [];
+    if (locale) {
+        names.push(locale);
+        names.push(locale.split('-')[0]);
+    }
+    names.push(FALLBACK_LANGUAGE);
+    return names
+        .filter((name, index) => names.indexOf(name) === index)
+        .map(loadCatalog)
+        .filter((catalog) => catalog !== null);
+}
+
+// looks up a dotted key ('COLORS.red') in a catalog
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) =>
+        (node !== undefined && node !== null) ? node[part] : undefined, catalog);
+}
+
+// picks the plural form for a count, using the CLDR rules when the runtime ships them
+function pluralCategory(locale, count) {
+    if (typeof Intl === 'object' && typeof Intl.PluralRules === 'function') {
+        try {
+            return new Intl.PluralRules(locale).select(count);
+        } catch (error) {
+            // unsupported locale, fall back to the simple rule below
+        }
+    }
+    return count === 1 ? 'one' : 'other';
+}
+
+function interpolate(message, params) {
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        (params[name] !== undefined) ? String(params[name]) : placeholder);
+}
+
+var i18n = {
+    // returns a translate function for the given locale:
+    //   t('CHOOSE_COLOR', { 'colors': ... })  interpolates {colors} in the message
+    //   t('PLAYER_COUNT_CONFIRM', { 'count': 2 })  picks the 'one'/'other' plural form
+    //   t('COLORS.purple', { 'defaultValue': 'purple' })  falls back when the key is missing
+    'getTranslator': function(locale) {
+        const chain = catalogChain(locale);
+        const t = function(key, params) {
+            params = params || {};
+            let message;
+            for (let i = 0; i < chain.length && message === undefined; i++) {
+                message = lookup(chain[i], key);
+            }
+            if (message !== null && typeof message === 'object') {
+                const category = pluralCategory(locale, Number(params.count));
+                message = (category in message) ? message[category] : message.other;
+            }
+            if (typeof message !== 'string') {
+                if (params.defaultValue !== undefined) {
+                    return params.defaultValue;
+                }
+                log.warn('missing message', { 'key': key, 'locale': locale });
+                return key;
+            }
+            return interpolate(message, params);
+        };
+        // formats a decimal number with the separator the locale uses in speech
+        t.formatDecimal = function(value, digits) {
+            return value.toFixed(digits).replace('.', t('DECIMAL_SEPARATOR', { 'defaultValue': '.' }));
+        };
+        t.locale = locale;
+        return t;
+    }
+};
+
+module.exports = i18n;
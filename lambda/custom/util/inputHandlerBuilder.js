@@ -0,0 +1,246 @@
+'use strict';
+
+// Input Handler Builder
+//   a fluent way to write the proxies, recognizers and events of a GameEngine.StartInputHandler
+//   directive. Builders are immutable: every method returns a new builder. build() checks the
+//   whole definition and throws on mistakes that would otherwise only show on a device, such as
+//   an event that meets a recognizer that doesn't exist, or a misspelled option.
+//   see: https://developer.amazon.com/docs/gadget-skills/define-echo-button-events.html
+//
+//   InputHandlerBuilder.create()
+//       .proxies(['player'])
+//       .match('first_press', [InputHandlerBuilder.down(['player'])], { 'anchor': 'start' })
+//       .match('double_press', [InputHandlerBuilder.down(['player'], { 'repeat': 2 })], { 'fuzzy': true })
+//       .progress('half_way', 'double_press', 50)
+//       .deviation('wrong_button', 'double_press')
+//       .event('pressed', { 'meets': ['first_press'], 'reports': 'matches', 'maximumInvocations': 1 })
+//       .event('done', { 'meets': ['double_press'], 'fails': ['wrong_button'], 'shouldEndInputHandler': true })
+//       .timeoutEvent()
+//       .build();          // { proxies, recognizers, events }, for gadgetDirectives.startInputHandler
+//
+//   or .directive(timeout) for the StartInputHandler directive itself.
+
+const GadgetDirectives = require('./gadgetDirectives.js');
+const DirectiveValidator = require('./directiveValidator.js');
+
+// built-in recognizer that every input handler gets for free
+const TIMED_OUT_RECOGNIZER = 'timed out';
+// how the directive validator reports a deviation or progress recognizer that doesn't follow a match recognizer
+const FOLLOWS_PROBLEM = /^recognizers\["(.*)"\]\.recognizer must name a match recognizer/;
+// real gadget ids look like this; anything else in gadgetIds has to be a proxy
+const GADGET_ID_PREFIX = 'amzn1.';
+
+// the options each part accepts, to catch misspelled ones
+const OPTIONS = {
+    'match': ['anchor', 'fuzzy', 'gadgetIds', 'actions'],
+    'pattern': ['gadgetIds', 'colors', 'action', 'repeat'],
+    'event': ['meets', 'fails', 'reports', 'shouldEndInputHandler', 'maximumInvocations', 'triggerTimeMilliseconds']
+};
+
+function unknownOptions(kind, options, where) {
+    return Object.keys(options || {})
+        .filter((key) => OPTIONS[kind].indexOf(key) < 0)
+        .map((key) => where + ' has an unknown option "' + key + '" (expected one of ' + OPTIONS[kind].join(', ') + ')');
+}
+
+function isProxyOrGadget(id, proxies) {
+    return proxies.indexOf(id) >= 0 || (typeof id === 'string' && id.indexOf(GADGET_ID_PREFIX) === 0);
+}
+
+// returns the problems that the directive validator doesn't know about
+function checkDefinition(definition) {
+    let problems = definition.problems.slice();
+    const proxies = definition.proxies;
+    const recognizers = definition.recognizers;
+    const checkGadgetIds = (gadgetIds, where) => {
+        (Array.isArray(gadgetIds) ? gadgetIds : []).forEach((id) => {
+            if (!isProxyOrGadget(id, proxies)) {
+                problems.push(where + ' uses "' + id + '", which is neither a declared proxy nor a gadget id');
+            }
+        });
+    };
+    Object.keys(recognizers).forEach((name) => {
+        const recognizer = recognizers[name];
+        const where = 'recognizer "' + name + '"';
+        if (recognizer.type === 'match') {
+            checkGadgetIds(recognizer.gadgetIds, where);
+            (recognizer.pattern || []).forEach((entry, p) => {
+                checkGadgetIds(entry.gadgetIds, where + ' pattern[' + p + ']');
+            });
+        } else if (!recognizers[recognizer.recognizer]) {
+            problems.push(where + ' follows the undefined recognizer "' + recognizer.recognizer + '"');
+        }
+    });
+    Object.keys(definition.events).forEach((name) => {
+        const event = definition.events[name];
+        ['meets', 'fails'].forEach((field) => {
+            (event[field] || []).forEach((recognizer) => {
+                if (recognizer !== TIMED_OUT_RECOGNIZER && !recognizers[recognizer]) {
+                    problems.push('event "' + name + '" ' + field + ' the undefined recognizer "' + recognizer + '"');
+                }
+            });
+        });
+    });
+    return problems;
+}
+
+function inputHandlerBuilder(definition) {
+    // returns a new builder with some parts of the definition changed
+    const extend = function(changes, problems) {
+        return inputHandlerBuilder(Object.assign({}, definition, changes, {
+            'problems': definition.problems.concat(problems || [])
+        }));
+    };
+    const addRecognizer = function(name, recognizer, problems) {
+        problems = problems || [];
+        if (name === TIMED_OUT_RECOGNIZER) {
+            problems.push('"' + TIMED_OUT_RECOGNIZER + '" is a built-in recognizer and can\'t be redefined');
+        } else if (definition.recognizers.hasOwnProperty(name)) {
+            problems.push('recognizer "' + name + '" is defined twice');
+        }
+        let recognizers = Object.assign({}, definition.recognizers);
+        recognizers[name] = recognizer;
+        return extend({ 'recognizers': recognizers }, problems);
+    };
+
+    const builder = {
+        // adds proxies, names that stand for the buttons that are pressed first
+        'proxies': function(names) {
+            return extend({ 'proxies': definition.proxies.concat(names) });
+        },
+        // limits how many button events the input handler keeps
+        'maximumHistoryLength': function(length) {
+            return extend({ 'maximumHistoryLength': length });
+        },
+        // adds a recognizer that matches a pattern of button events (see down(), up() and silence()).
+        // Options: anchor ('start', 'end' or 'anywhere'), fuzzy, gadgetIds and actions
+        'match': function(name, pattern, options) {
+            const where = 'recognizer "' + name + '"';
+            let problems = unknownOptions('match', options, where);
+            (Array.isArray(pattern) ? pattern : []).forEach((entry, p) => {
+                const entryWhere = where + ' pattern[' + p + ']';
+                problems = problems.concat(unknownOptions('pattern', entry, entryWhere));
+                if (entry.repeat !== undefined && !(Number.isInteger(entry.repeat) && entry.repeat >= 1)) {
+                    problems.push(entryWhere + ' repeat must be a positive integer, got ' + JSON.stringify(entry.repeat));
+                }
+            });
+            const recognizer = Object.assign({ 'type': 'match' }, options, { 'pattern': pattern });
+            return addRecognizer(name, recognizer, problems);
+        },
+        // adds a recognizer that is met as soon as the button events can no longer match `recognizer`
+        'deviation': function(name, recognizer) {
+            return addRecognizer(name, { 'type': 'deviation', 'recognizer': recognizer });
+        },
+        // adds a recognizer that is met once `completion` percent of `recognizer` is matched
+        'progress': function(name, recognizer, completion) {
+            return addRecognizer(name, { 'type': 'progress', 'recognizer': recognizer, 'completion': completion });
+        },
+        // adds an event, reported to the skill when all its `meets` recognizers are met and none
+        // of its `fails` ones. Options: meets, fails, reports ('history', 'matches' or 'nothing'),
+        // shouldEndInputHandler (false by default), maximumInvocations and triggerTimeMilliseconds
+        'event': function(name, options) {
+            let problems = unknownOptions('event', options, 'event "' + name + '"');
+            if (definition.events.hasOwnProperty(name)) {
+                problems.push('event "' + name + '" is defined twice');
+            }
+            let events = Object.assign({}, definition.events);
+            events[name] = Object.assign({ 'shouldEndInputHandler': false }, options);
+            return extend({ 'events': events }, problems);
+        },
+        // adds the event reported when the input handler times out
+        'timeoutEvent': function(name, options) {
+            return builder.event(name || 'timeout', Object.assign({
+                'meets': [TIMED_OUT_RECOGNIZER],
+                'reports': 'history',
+                'shouldEndInputHandler': true
+            }, options));
+        },
+        // returns the problems found in the definition (empty when it is valid)
+        'validate': function() {
+            const input = {
+                'type': 'GameEngine.StartInputHandler',
+                'timeout': DirectiveValidator.LIMITS.MIN_INPUT_HANDLER_TIMEOUT_MS,
+                'proxies': definition.proxies.length ? definition.proxies : undefined,
+                'maximumHistoryLength': definition.maximumHistoryLength,
+                'recognizers': definition.recognizers,
+                'events': definition.events
+            };
+            // undefined recognizers are reported by checkDefinition, no need to report them twice
+            const alreadyReported = (problem) => {
+                const follows = FOLLOWS_PROBLEM.exec(problem);
+                return problem.indexOf('references the undefined recognizer') >= 0
+                    || (follows !== null && !definition.recognizers[definition.recognizers[follows[1]].recognizer]);
+            };
+            return checkDefinition(definition).concat(DirectiveValidator.validate(input)
+                .filter((problem) => !alreadyReported(problem)));
+        },
+        // returns the proxies, recognizers and events, for gadgetDirectives.startInputHandler.
+        // Throws an InvalidInputHandlerError listing the problems if the definition is invalid
+        'build': function() {
+            const problems = builder.validate();
+            if (problems.length > 0) {
+                throw invalidInputHandlerError(problems);
+            }
+            let input = {
+                'recognizers': JSON.parse(JSON.stringify(definition.recognizers)),
+                'events': JSON.parse(JSON.stringify(definition.events))
+            };
+            if (definition.proxies.length > 0) {
+                input.proxies = definition.proxies.slice();
+            }
+            if (definition.maximumHistoryLength !== undefined) {
+                input.maximumHistoryLength = definition.maximumHistoryLength;
+            }
+            return input;
+        },
+        // returns the StartInputHandler directive, for an input handler lasting `timeout` ms
+        'directive': function(timeout) {
+            return GadgetDirectives.startInputHandler(Object.assign({ 'timeout': timeout }, builder.build()));
+        }
+    };
+    return builder;
+}
+
+const invalidInputHandlerError = function(problems) {
+    const error = new Error('Invalid input handler:\n  - ' + problems.join('\n  - '));
+    error.name = 'InvalidInputHandlerError';
+    error.problems = problems;
+    return error;
+};
+
+// returns a pattern entry for a button event; options: colors and repeat
+function patternEntry(action, gadgetIds, options) {
+    let entry = Object.assign({}, options, { 'action': action });
+    if (gadgetIds !== undefined) {
+        entry.gadgetIds = gadgetIds;
+    }
+    return entry;
+}
+
+var InputHandlerBuilder = {
+    'TIMED_OUT_RECOGNIZER': TIMED_OUT_RECOGNIZER,
+
+    // starts an empty input handler
+    'create': function() {
+        return inputHandlerBuilder({
+            'proxies': [],
+            'maximumHistoryLength': undefined,
+            'recognizers': {},
+            'events': {},
+            'problems': []
+        });
+    },
+
+    // pattern entries: a button (one of `gadgetIds`, or any button) pressed, released, or no button event
+    'down': function(gadgetIds, options) {
+        return patternEntry('down', gadgetIds, options);
+    },
+    'up': function(gadgetIds, options) {
+        return patternEntry('up', gadgetIds, options);
+    },
+    'silence': function(options) {
+        return patternEntry('silence', undefined, options);
+    }
+};
+
+module.exports = InputHandlerBuilder;
@@ -0,0 +1,163 @@
+'use strict';
+
+// Logger
+//   writes one JSON object per line, which CloudWatch Logs Insights can query field by field:
+//
+//     const log = Logger.create('GamePlay');
+//     log.info('round started', { 'difficulty': 'easy' });
+//     -> {"time":"...","level":"info","module":"GamePlay","message":"round started",
+//         "requestId":"amzn1.echo-api.request.1234","session":"id:8c1f0a2b","difficulty":"easy"}
+//
+//   Every line carries the id of the request being handled, to correlate the lines of a request,
+//   and a hash of the session id, to follow a session. User, device and gadget ids, and tokens,
+//   are never written as they are: identifiers are replaced by a short hash of their value (the
+//   same id always gives the same hash), tokens are removed.
+//
+//   Metrics are written in the CloudWatch embedded metric format, so they can be charted
+//   without any other setup:
+//
+//     Logger.metric('RoundWon', 1, { 'difficulty': 'easy' });
+//   see: https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/CloudWatch_Embedded_Metric_Format_Specification.html
+
+const crypto = require('crypto');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+// values starting with these are user, device, gadget or session ids
+const IDENTIFIER_PREFIXES = [
+    'amzn1.ask.account.',
+    'amzn1.ask.person.',
+    'amzn1.ask.device.',
+    'amzn1.ask.gadget.',
+    'amzn1.echo-api.session.'
+];
+// keys whose values are secrets, not just identifiers
+const SECRET_KEYS = ['apiAccessToken', 'accessToken', 'consentToken'];
+// keys whose values are identifiers, whatever they look like. Lists such as the gadgetIds of a
+// recognizer aren't here, as they also hold proxy names: gadget ids are recognized by their prefix
+const IDENTIFIER_KEYS = ['userId', 'deviceId', 'gadgetId', 'personId', 'sessionId', 'DeviceIDs'];
+
+let config = {
+    'level': 'info',
+    'namespace': 'QuickColors'
+};
+// the request being handled, to correlate the log lines
+let context = {};
+
+function hash(value) {
+    return 'id:' + crypto.createHash('sha256').update(String(value)).digest('hex').substring(0, 8);
+}
+
+function isIdentifier(value) {
+    return typeof value === 'string'
+        && IDENTIFIER_PREFIXES.some((prefix) => value.indexOf(prefix) === 0);
+}
+
+// returns a copy of a value, with the identifiers hashed and the secrets removed
+function redact(value, key) {
+    if (key !== undefined && SECRET_KEYS.indexOf(key) >= 0) {
+        return '[redacted]';
+    }
+    const identifier = key !== undefined && IDENTIFIER_KEYS.indexOf(key) >= 0;
+    if (Array.isArray(value)) {
+        return value.map((item) => identifier && typeof item === 'string' ? hash(item) : redact(item));
+    }
+    if (value !== null && typeof value === 'object') {
+        let copy = {};
+        Object.keys(value).forEach((name) => copy[name] = redact(value[name], name));
+        return copy;
+    }
+    if (typeof value === 'string' && (identifier || isIdentifier(value))) {
+        return hash(value);
+    }
+    return value;
+}
+
+function isEnabled(level) {
+    return LEVELS.indexOf(level) >= LEVELS.indexOf(config.level);
+}
+
+function write(level, moduleName, message, fields) {
+    if (!isEnabled(level)) {
+        return;
+    }
+    let entry = {
+        'time': new Date().toISOString(),
+        'level': level,
+        'module': moduleName,
+        'message': message
+    };
+    Object.assign(entry, context, redact(fields || {}));
+    if (fields && fields.error instanceof Error) {
+        entry.error = { 'name': fields.error.name, 'message': fields.error.message, 'stack': fields.error.stack };
+    }
+    console.log(JSON.stringify(entry));
+}
+
+var Logger = {
+    'LEVELS': LEVELS,
+
+    // sets the lowest level written ('debug', 'info', 'warn' or 'error') and the metrics namespace
+    'configure': function({ level, namespace } = {}) {
+        if (level !== undefined) {
+            config.level = LEVELS.indexOf(level) >= 0 ? level : 'info';
+        }
+        if (namespace !== undefined) {
+            config.namespace = namespace;
+        }
+    },
+
+    // returns a logger for a module, with debug, info, warn and error methods
+    'create': function(moduleName) {
+        let log = {};
+        LEVELS.forEach((level) => {
+            log[level] = function(message, fields) {
+                write(level, moduleName, message, fields);
+            };
+        });
+        return log;
+    },
+
+    'redact': redact,
+
+    // starts handling a request: the lines written until endRequest are correlated with it.
+    // Returns a function that gives the time elapsed since, in ms.
+    'startRequest': function(event) {
+        const request = (event && event.request) || {};
+        const session = (event && event.session) || {};
+        context = { 'requestId': request.requestId };
+        if (session.sessionId) {
+            context.session = hash(session.sessionId);
+        }
+        const start = process.hrtime();
+        return function() {
+            const elapsed = process.hrtime(start);
+            return Math.round((elapsed[0] * 1e3 + elapsed[1] / 1e6) * 10) / 10;
+        };
+    },
+
+    'endRequest': function() {
+        context = {};
+    },
+
+    // writes a metric, with optional dimensions (a few names with low-cardinality values);
+    // unit is one of the CloudWatch units, Count by default
+    'metric': function(name, value, dimensions, unit) {
+        dimensions = dimensions || {};
+        let entry = {
+            '_aws': {
+                'Timestamp': Date.now(),
+                'CloudWatchMetrics': [{
+                    'Namespace': config.namespace,
+                    'Dimensions': [Object.keys(dimensions)],
+                    'Metrics': [{ 'Name': name, 'Unit': unit || 'Count' }]
+                }]
+            },
+            'level': 'metric'
+        };
+        Object.assign(entry, context, redact(dimensions));
+        entry[name] = value === undefined ? 1 : value;
+        console.log(JSON.stringify(entry));
+    }
+};
+
+module.exports = Logger;
@@ -0,0 +1,126 @@
+'use strict';
+
+const fs = require('fs');
+
+// Persistence Adapters
+//   Every adapter implements the ASK SDK v2 PersistenceAdapter interface:
+//     getAttributes(requestEnvelope)                -> Promise<object>
+//     saveAttributes(requestEnvelope, attributes)   -> Promise<void>
+//     deleteAttributes(requestEnvelope)             -> Promise<void>
+//   so any of them can be passed to SkillBuilder.withPersistenceAdapter()
+//   see: https://ask-sdk-for-nodejs.readthedocs.io/en/latest/Managing-Attributes.html
+
+// Attributes are partitioned per Alexa user, same as the DynamoDB adapter's default
+const userIdKey = function (requestEnvelope) {
+    const user = requestEnvelope && requestEnvelope.context
+        && requestEnvelope.context.System && requestEnvelope.context.System.user;
+    if (!user || !user.userId) {
+        throw new Error('Cannot retrieve user id from request envelope!');
+    }
+    return user.userId;
+};
+
+var persistenceAdapters = {
+    // returns an adapter that keeps attributes in memory, for as long as the process (or Lambda container) lives
+    'createMemoryAdapter': function({
+        partitionKeyGenerator = userIdKey
+    } = {}) {
+        let store = {};
+        return {
+            getAttributes: function(requestEnvelope) {
+                const key = partitionKeyGenerator(requestEnvelope);
+                return Promise.resolve(store[key] ? JSON.parse(store[key]) : {});
+            },
+            saveAttributes: function(requestEnvelope, attributes) {
+                store[partitionKeyGenerator(requestEnvelope)] = JSON.stringify(attributes || {});
+                return Promise.resolve();
+            },
+            deleteAttributes: function(requestEnvelope) {
+                delete store[partitionKeyGenerator(requestEnvelope)];
+                return Promise.resolve();
+            }
+        };
+    },
+
+    // returns an adapter that keeps the attributes of all users in a single local JSON file
+    'createFileAdapter': function({
+        filePath = '.persistence.json',
+        partitionKeyGenerator = userIdKey
+    } = {}) {
+        const readStore = function() {
+            return new Promise((resolve, reject) => {
+                fs.readFile(filePath, 'utf8', (error, data) => {
+                    if (error && error.code === 'ENOENT') {
+                        return resolve({});
+                    } else if (error) {
+                        return reject(error);
+                    }
+                    try {
+                        resolve(data ? JSON.parse(data) : {});
+                    } catch (parseError) {
+                        reject(new Error(`Could not parse persistence file (${filePath}): ${parseError.message}`));
+                    }
+                });
+            });
+        };
+        const writeStore = function(store) {
+            return new Promise((resolve, reject) => {
+                fs.writeFile(filePath, JSON.stringify(store, null, 2), 'utf8',
+                    (error) => error ? reject(error) : resolve());
+            });
+        };
+        return {
+            getAttributes: function(requestEnvelope) {
+                const key = partitionKeyGenerator(requestEnvelope);
+                return readStore().then((store) => store[key] || {});
+            },
+            saveAttributes: function(requestEnvelope, attributes) {
+                const key = partitionKeyGenerator(requestEnvelope);
+                return readStore().then((store) => {
+                    store[key] = attributes || {};
+                    return writeStore(store);
+                });
+            },
+            deleteAttributes: function(requestEnvelope) {
+                const key = partitionKeyGenerator(requestEnvelope);
+                return readStore().then((store) => {
+                    delete store[key];
+                    return writeStore(store);
+                });
+            }
+        };
+    },
+
+    // returns the ASK SDK DynamoDB adapter, to be used in production
+    'createDynamoDbAdapter': function({
+        tableName = 'QuickColorsPlayers',
+        createTable = true
+    } = {}) {
+        // required here, so that the aws-sdk is only loaded when DynamoDB is actually used
+        const { DynamoDbPersistenceAdapter } = require('ask-sdk-dynamodb-persistence-adapter');
+        return new DynamoDbPersistenceAdapter({
+            'tableName': tableName,
+            'createTable': createTable
+        });
+    },
+
+    // returns the adapter matching the given type: 'memory', 'file' or 'dynamodb'
+    'createPersistenceAdapter': function({
+        adapter = 'dynamodb',
+        tableName,
+        filePath
+    } = {}) {
+        switch (adapter) {
+            case 'memory':
+                return persistenceAdapters.createMemoryAdapter();
+            case 'file':
+                return persistenceAdapters.createFileAdapter({ 'filePath': filePath });
+            case 'dynamodb':
+                return persistenceAdapters.createDynamoDbAdapter({ 'tableName': tableName });
+            default:
+                throw new Error(`Unknown persistence adapter "${adapter}". Use memory, file or dynamodb.`);
+        }
+    }
+};
+
+module.exports = persistenceAdapters;
@@ -0,0 +1,24 @@
+'use strict';
+
+// Slot values
+//   reads the values of custom slots the same way whatever the locale: the canonical value of a
+//   slot is its ID in the interaction model, so synonyms and translated values all map to it.
+
+var slots = {
+    // returns the canonical value of a custom slot, or the raw spoken value (lower case) when
+    // entity resolution found no match; undefined when the slot is missing or empty
+    'resolvedValue': function(slot) {
+        if (!slot) {
+            return undefined;
+        }
+        const authorities = (slot.resolutions && slot.resolutions.resolutionsPerAuthority) || [];
+        for (let i = 0; i < authorities.length; i++) {
+            if (authorities[i].status && authorities[i].status.code === 'ER_SUCCESS_MATCH') {
+                return authorities[i].values[0].value.id;
+            }
+        }
+        return slot.value && slot.value.toLowerCase();
+    }
+};
+
+module.exports = slots;
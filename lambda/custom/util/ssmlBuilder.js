@@ -0,0 +1,221 @@
+'use strict';
+
+// SSML Builder
+//   builds the speech of a response from pieces that always make well-formed SSML: text is
+//   escaped, and breaks, audio clips, prosody, emphasis and say-as are checked against the
+//   values Alexa supports.
+//   see: https://developer.amazon.com/docs/custom-skills/speech-synthesis-markup-language-ssml-reference.html
+//
+//   SsmlBuilder.create()
+//       .text(t('WELCOME'))                 // "Black & White" is spoken, it doesn't break the SSML
+//       .break('1s')
+//       .emphasis('strong', t('START_GAME'))
+//       .prosody({ 'rate': 'slow' }, SsmlBuilder.create().sayAs('digits', '1234'))
+//       .audio('https://s3.amazonaws.com/ask-soundlibrary/foley/amzn_sfx_rhythmic_ticking_30s_01.mp3')
+//       .toSsml();                          // the content of the <speak> element
+//
+//   Unlike the animation and input handler builders, a speech builder is changed in place and
+//   every method returns the builder itself: the handlers of a request add to the same
+//   ctx.outputSpeech in turn.
+//
+//   In development (NODE_ENV=development or test) an invalid piece throws an error listing its
+//   problems. In production the problems are logged and the piece is repaired instead: a break or
+//   audio clip is left out, a tag is dropped but its text is still spoken.
+
+const Logger = require('./logger.js');
+const log = Logger.create('SsmlBuilder');
+
+const MAX_BREAK_MS = 10000;
+const BREAK_STRENGTHS = ['none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong'];
+const EMPHASIS_LEVELS = ['strong', 'moderate', 'reduced'];
+const PROSODY = {
+    'rate': { 'keywords': ['x-slow', 'slow', 'medium', 'fast', 'x-fast'], 'pattern': /^(\d+(\.\d+)?)%$/, 'min': 20 },
+    'pitch': { 'keywords': ['x-low', 'low', 'medium', 'high', 'x-high'], 'pattern': /^([+-]\d+(\.\d+)?)%$/, 'min': -33.3, 'max': 50 },
+    'volume': { 'keywords': ['silent', 'x-soft', 'soft', 'medium', 'loud', 'x-loud'], 'pattern': /^([+-]\d+(\.\d+)?)dB$/ }
+};
+const INTERPRETATIONS = ['characters', 'spell-out', 'cardinal', 'number', 'ordinal', 'digits', 'fraction',
+    'unit', 'date', 'time', 'telephone', 'address', 'interjection', 'expletive'];
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+// true when invalid pieces should throw instead of being repaired
+function isStrict() {
+    return process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test';
+}
+
+const invalidSsmlError = function (problems) {
+    const error = new Error('Invalid SSML:\n  - ' + problems.join('\n  - '));
+    error.name = 'InvalidSsmlError';
+    error.problems = problems;
+    return error;
+};
+
+// escapes text for SSML; quotes only need to be escaped in attribute values
+function escape(text) {
+    return String(text).replace(/[&<>]/g, (character) => ESCAPES[character]);
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/[&<>"']/g, (character) => ESCAPES[character]);
+}
+
+function isBuilder(content) {
+    return content !== null && typeof content === 'object' && typeof content.toSsml === 'function';
+}
+
+// the SSML of the content of a tag: a builder, or text
+function contentOf(content) {
+    return isBuilder(content) ? content.toSsml() : escape(content === undefined || content === null ? '' : content);
+}
+
+function checkBreakTime(time) {
+    const match = /^(\d+(\.\d+)?)(s|ms)$/.exec(time);
+    if (!match) {
+        return ['break time must be a number of seconds ("1s") or milliseconds ("500ms"), got ' + JSON.stringify(time)];
+    }
+    const durationMs = parseFloat(match[1]) * (match[3] === 's' ? 1000 : 1);
+    return durationMs > MAX_BREAK_MS ? ['break time must be at most 10s, got ' + JSON.stringify(time)] : [];
+}
+
+function checkProsody(attributes) {
+    let problems = [];
+    Object.keys(attributes || {}).forEach((name) => {
+        const value = attributes[name];
+        const rule = PROSODY[name];
+        if (!rule) {
+            problems.push('prosody has an unknown attribute "' + name + '" (expected one of ' + Object.keys(PROSODY).join(', ') + ')');
+            return;
+        }
+        if (rule.keywords.indexOf(value) >= 0) {
+            return;
+        }
+        const match = rule.pattern.exec(value);
+        const amount = match ? parseFloat(match[1]) : NaN;
+        if (!match || (rule.min !== undefined && amount < rule.min) || (rule.max !== undefined && amount > rule.max)) {
+            problems.push('prosody ' + name + ' ' + JSON.stringify(value) + ' is not supported');
+        }
+    });
+    if (Object.keys(attributes || {}).length === 0) {
+        problems.push('prosody needs a rate, pitch or volume');
+    }
+    return problems;
+}
+
+// throws in development, logs in production; returns true when the piece is valid
+function accept(problems) {
+    if (problems.length === 0) {
+        return true;
+    }
+    if (isStrict()) {
+        throw invalidSsmlError(problems);
+    }
+    log.warn('repairing invalid SSML', { 'problems': problems });
+    return false;
+}
+
+function ssmlBuilder() {
+    // the SSML of each piece, in order
+    let pieces = [];
+
+    const builder = {
+        // adds text to speak; characters that have a meaning in SSML are escaped
+        'text': function(text) {
+            if (text !== undefined && text !== null && String(text) !== '') {
+                pieces.push(escape(text));
+            }
+            return builder;
+        },
+        // adds a pause: a time ('1s', '500ms', up to 10s) or { 'strength': 'strong' }
+        'break': function(pause) {
+            const options = typeof pause === 'object' && pause !== null ? pause : { 'time': pause };
+            let problems = [];
+            if (options.time !== undefined) {
+                problems = problems.concat(checkBreakTime(options.time));
+            }
+            if (options.strength !== undefined && BREAK_STRENGTHS.indexOf(options.strength) < 0) {
+                problems.push('break strength must be one of ' + BREAK_STRENGTHS.join(', ') + ', got ' + JSON.stringify(options.strength));
+            }
+            if (options.time === undefined && options.strength === undefined) {
+                problems.push('break needs a time or a strength');
+            }
+            if (accept(problems)) {
+                pieces.push('<break' + (options.strength !== undefined ? ' strength="' + options.strength + '"' : '')
+                    + (options.time !== undefined ? ' time="' + options.time + '"' : '') + '/>');
+            }
+            return builder;
+        },
+        // adds an audio clip, from an https URL
+        'audio': function(src) {
+            if (accept(typeof src === 'string' && src.indexOf('https://') === 0 ? []
+                : ['audio src must be an https URL, got ' + JSON.stringify(src)])) {
+                pieces.push('<audio src="' + escapeAttribute(src) + '"/>');
+            }
+            return builder;
+        },
+        // adds text or a builder's speech, spoken with a { rate, pitch, volume }
+        'prosody': function(attributes, content) {
+            if (accept(checkProsody(attributes))) {
+                pieces.push('<prosody' + Object.keys(attributes).map((name) =>
+                    ' ' + name + '="' + escapeAttribute(attributes[name]) + '"').join('') + '>' + contentOf(content) + '</prosody>');
+            } else {
+                pieces.push(contentOf(content));
+            }
+            return builder;
+        },
+        // adds text or a builder's speech, with a 'strong', 'moderate' or 'reduced' emphasis
+        'emphasis': function(level, content) {
+            if (accept(EMPHASIS_LEVELS.indexOf(level) >= 0 ? []
+                : ['emphasis level must be one of ' + EMPHASIS_LEVELS.join(', ') + ', got ' + JSON.stringify(level)])) {
+                pieces.push('<emphasis level="' + level + '">' + contentOf(content) + '</emphasis>');
+            } else {
+                pieces.push(contentOf(content));
+            }
+            return builder;
+        },
+        // adds text spoken as a particular kind of value ('digits', 'ordinal', 'date'...);
+        // options: format, for dates ('mdy', 'ymd'...)
+        'sayAs': function(interpretAs, text, options) {
+            const format = options && options.format;
+            if (accept(INTERPRETATIONS.indexOf(interpretAs) >= 0 ? []
+                : ['say-as interpret-as must be one of ' + INTERPRETATIONS.join(', ') + ', got ' + JSON.stringify(interpretAs)])) {
+                pieces.push('<say-as interpret-as="' + interpretAs + '"'
+                    + (format !== undefined ? ' format="' + escapeAttribute(format) + '"' : '') + '>' + escape(text) + '</say-as>');
+            } else {
+                builder.text(text);
+            }
+            return builder;
+        },
+        // adds the speech of another builder
+        'append': function(other) {
+            if (!isBuilder(other)) {
+                throw new TypeError('append expects an SSML builder, got ' + JSON.stringify(other));
+            }
+            if (!other.isEmpty()) {
+                pieces.push(other.toSsml());
+            }
+            return builder;
+        },
+        // true when nothing was added
+        'isEmpty': function() {
+            return pieces.length === 0;
+        },
+        // returns the SSML, without the <speak> element: the pieces separated by spaces
+        'toSsml': function() {
+            return pieces.join(' ');
+        }
+    };
+    return builder;
+}
+
+var SsmlBuilder = {
+    // starts an empty speech
+    'create': function() {
+        return ssmlBuilder();
+    },
+
+    // escapes text for SSML
+    'escape': escape,
+
+    'isBuilder': isBuilder
+};
+
+module.exports = SsmlBuilder;
@@ -0,0 +1,170 @@
+'use strict';
+
+// Skill State Machine
+//   selects the handler of a request from the state the skill session is in. A definition
+//   lists the states, the intents and Game Engine events each state accepts, and the states
+//   each one may move to:
+//
+//     const Machine = StateMachine.createStateMachine({
+//         'initialState': 'ROLL_CALL',
+//         'states': {
+//             'ROLL_CALL': {
+//                 'intents': { 'AMAZON.HelpIntent': RollCall.Help },
+//                 'events': { 'timeout': RollCall.HandleTimeout },
+//                 'transitions': ['PLAY'],
+//                 'recover': RollCall.AskToContinue
+//             },
+//             'PLAY': { ... }
+//         },
+//         'onInvalidIntent': function(handlerInput, state, intentName) { ... }
+//     });
+//
+//   The state is kept in the `state` session attribute. Handlers move the session to another
+//   state by setting it; the machine checks that the move is one of the declared transitions
+//   (staying in the same state is always allowed). Intents a state doesn't accept go to
+//   `onInvalidIntent`, followed by the state's `recover` handler, so that the player always
+//   hears why the request was refused and what they can do now. Events a state doesn't
+//   accept are ignored.
+
+const Logger = require('./logger.js');
+const log = Logger.create('StateMachine');
+
+const STATE_ATTRIBUTE = 'state';
+
+// true when invalid transitions should throw instead of being logged
+function isStrict() {
+    return process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test';
+}
+
+const invalidTransitionError = function (from, to, trigger) {
+    const error = new Error(
+        `Invalid transition from state ${JSON.stringify(from)} to ${JSON.stringify(to)} on ${trigger}`
+    );
+    error.name = 'InvalidTransitionError';
+    error.from = from;
+    error.to = to;
+    error.trigger = trigger;
+    return error;
+};
+
+// returns the problems found in a state machine definition (empty when it is valid)
+function validateDefinition(definition) {
+    let problems = [];
+    const states = definition.states || {};
+    if (!states.hasOwnProperty(definition.initialState)) {
+        problems.push('the initial state ' + JSON.stringify(definition.initialState) + ' is not defined');
+    }
+    Object.keys(states).forEach((name) => {
+        const state = states[name];
+        ['intents', 'events'].forEach((kind) => {
+            Object.keys(state[kind] || {}).forEach((trigger) => {
+                if (typeof state[kind][trigger] !== 'function') {
+                    problems.push('state ' + JSON.stringify(name) + ' has no handler for ' + trigger);
+                }
+            });
+        });
+        (state.transitions || []).forEach((target) => {
+            if (!states.hasOwnProperty(target)) {
+                problems.push('state ' + JSON.stringify(name) + ' moves to the undefined state ' + JSON.stringify(target));
+            }
+        });
+        if (state.recover !== undefined && typeof state.recover !== 'function') {
+            problems.push('state ' + JSON.stringify(name) + ' has an invalid recover handler');
+        }
+    });
+    return problems;
+}
+
+var stateMachine = {
+    'STATE_ATTRIBUTE': STATE_ATTRIBUTE,
+
+    // returns a state machine for a definition; throws if the definition is inconsistent
+    'createStateMachine': function(definition) {
+        const problems = validateDefinition(definition);
+        if (problems.length > 0) {
+            throw new Error('Invalid state machine:\n  - ' + problems.join('\n  - '));
+        }
+        const states = definition.states;
+
+        const currentState = function(sessionAttributes) {
+            const name = sessionAttributes[STATE_ATTRIBUTE];
+            return states.hasOwnProperty(name) ? name : definition.initialState;
+        };
+
+        const canMove = function(from, to) {
+            return from === to || (states[from].transitions || []).indexOf(to) >= 0;
+        };
+
+        // runs a handler, then checks the state it left the session in
+        const run = function(handler, handlerInput, from, trigger) {
+            const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+            return Promise.resolve(handler(handlerInput)).then((response) => {
+                const to = currentState(sessionAttributes);
+                if (!canMove(from, to)) {
+                    if (isStrict()) {
+                        throw invalidTransitionError(from, to, trigger);
+                    }
+                    log.error('invalid transition', { 'from': from, 'to': to, 'trigger': trigger });
+                }
+                return response;
+            });
+        };
+
+        return {
+            'states': states,
+
+            // the name of the state the session is in
+            'currentState': currentState,
+
+            // true if the state `from` may move to the state `to`
+            'canMove': canMove,
+
+            // true if the session's state accepts the intent
+            'acceptsIntent': function(sessionAttributes, intentName) {
+                const state = states[currentState(sessionAttributes)];
+                return !!(state.intents && state.intents.hasOwnProperty(intentName));
+            },
+
+            // true if the session's state accepts the Game Engine event
+            'acceptsEvent': function(sessionAttributes, eventName) {
+                const state = states[currentState(sessionAttributes)];
+                return !!(state.events && state.events.hasOwnProperty(eventName));
+            },
+
+            // handles an intent with the handler of the session's state, or recovers when the
+            // state doesn't accept it
+            'handleIntent': function(handlerInput, intentName) {
+                const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+                const name = currentState(sessionAttributes);
+                const state = states[name];
+                if (state.intents && state.intents.hasOwnProperty(intentName)) {
+                    log.debug('handling intent', { 'intent': intentName, 'state': name });
+                    return run(state.intents[intentName], handlerInput, name, intentName);
+                }
+                log.info('intent not accepted', { 'intent': intentName, 'state': name });
+                return run((input) => {
+                    if (definition.onInvalidIntent) {
+                        definition.onInvalidIntent(input, name, intentName);
+                    }
+                    return state.recover ? state.recover(input) : input.responseBuilder.getResponse();
+                }, handlerInput, name, intentName);
+            },
+
+            // handles a Game Engine event with the handler of the session's state; events the
+            // state doesn't accept are ignored and resolve with null
+            'handleEvent': function(handlerInput, eventName) {
+                const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+                const name = currentState(sessionAttributes);
+                const state = states[name];
+                if (state.events && state.events.hasOwnProperty(eventName)) {
+                    log.debug('handling event', { 'event': eventName, 'state': name });
+                    return run(state.events[eventName], handlerInput, name, eventName);
+                }
+                log.info('event ignored', { 'event': eventName, 'state': name });
+                return Promise.resolve(null);
+            }
+        };
+    }
+};
+
+module.exports = stateMachine;